@@ -0,0 +1,50 @@
+/* Service worker: shows Web Push notifications for new messages and brings the
+   chat to the right conversation when one is clicked. Served from the site root
+   so its scope covers the whole app. */
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("push", (event) => {
+  let data = null;
+  try {
+    data = event.data ? event.data.json() : null;
+  } catch {
+    data = null;
+  }
+  if (!data || data.type !== "message") return;
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "New message", {
+      body: data.body || "",
+      icon: data.icon || undefined,
+      // a newer message in the same conversation replaces the old notification
+      tag: data.tag,
+      renotify: Boolean(data.tag),
+      data: { conversationId: data.conversationId, url: data.url || "/" }
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { conversationId, url } = event.notification.data || {};
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      if (existing) {
+        await existing.focus();
+        existing.postMessage({ type: "open-conversation", conversationId });
+        return;
+      }
+      await self.clients.openWindow(url || "/");
+    })()
+  );
+});
@@ -1,7 +1,20 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useAuth } from "@clerk/clerk-react";
 import Sidebar from "./Sidebar";
 import ChatWindow from "./ChatWindow";
 import { createApiClient } from "../lib/api";
+import { useSocket } from "../hooks/useSocket";
+import { useMessageSender } from "../hooks/useMessageSender";
+import { useOutbox } from "../hooks/useOutbox";
+import { useNotifications } from "../hooks/useNotifications";
+import { useBookmarks } from "../hooks/useBookmarks";
+
+// replay pages fetched per reconnect before giving up and reloading instead
+const MAX_SYNC_PAGES = 5;
+
+const byRecentActivity = (a, b) =>
+  new Date(b.lastMessageAt || b.createdAt).getTime() -
+  new Date(a.lastMessageAt || a.createdAt).getTime();
 
 export default function ChatLayout({
   currentUserId,
@@ -9,7 +22,15 @@ export default function ChatLayout({
   currentName,
   currentEmail
 }) {
-  const api = useMemo(() => createApiClient(currentUserId), [currentUserId]);
+  const { getToken } = useAuth();
+  const getTokenRef = useRef(getToken);
+
+  useEffect(() => {
+    getTokenRef.current = getToken;
+  }, [getToken]);
+
+  // keep one client for the lifetime of the layout; the ref always resolves the latest getToken
+  const api = useMemo(() => createApiClient(() => getTokenRef.current()), []);
 
   const [conversations, setConversations] = useState([]);
   const [directory, setDirectory] = useState([]);
@@ -18,19 +39,44 @@ export default function ChatLayout({
   const [isBootstrapping, setIsBootstrapping] = useState(true);
   const [isLoadingConversations, setIsLoadingConversations] = useState(false);
   const [error, setError] = useState(null);
+  const [presence, setPresence] = useState({});
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const activeConversationIdRef = useRef(activeConversationId);
+  const deliveryAckRef = useRef(new Map());
+  // conversation id -> newest server updatedAt (ms) this client has applied
+  const highWaterRef = useRef(new Map());
+
+  const socket = useSocket(currentUserId);
+  const notifications = useNotifications(api.notifications);
+  const bookmarks = useBookmarks(api.users, socket);
+
+  useEffect(() => {
+    activeConversationIdRef.current = activeConversationId;
+  }, [activeConversationId]);
+
+  const advanceHighWater = useCallback((conversationId, timestamp) => {
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    if (!conversationId || Number.isNaN(time)) return;
+    if (time > (highWaterRef.current.get(conversationId) || 0)) {
+      highWaterRef.current.set(conversationId, time);
+    }
+  }, []);
 
   const refreshConversations = useCallback(async () => {
     setError(null);
     setIsLoadingConversations(true);
     try {
       const list = await api.conversations.list();
-      setConversations(Array.isArray(list) ? list : []);
+      const next = Array.isArray(list) ? list : [];
+      next.forEach((conversation) => advanceHighWater(conversation.id, conversation.updatedAt));
+      setConversations(next);
     } catch (err) {
       setError("Unable to load conversations. Please try again.");
     } finally {
       setIsLoadingConversations(false);
     }
-  }, [api]);
+  }, [api, advanceHighWater]);
 
   const refreshDirectory = useCallback(async () => {
     try {
@@ -41,6 +87,15 @@ export default function ChatLayout({
     }
   }, [api, currentUserId]);
 
+  const refreshPresence = useCallback(async () => {
+    try {
+      const list = await api.users.presence();
+      setPresence(Object.fromEntries(list.map((entry) => [entry.userId, entry])));
+    } catch {
+      // presence is decorative; keep whatever we last knew
+    }
+  }, [api]);
+
   useEffect(() => {
     if (!currentUserId) return;
     let active = true;
@@ -57,7 +112,11 @@ export default function ChatLayout({
         await Promise.all([refreshConversations(), refreshDirectory()]);
       } catch (err) {
         if (active) {
-          setError("We couldn't prepare your chat workspace. Please refresh.");
+          setError(
+            err.response?.data?.code === "ACCOUNT_SUSPENDED"
+              ? err.response.data.message
+              : "We couldn't prepare your chat workspace. Please refresh."
+          );
         }
       } finally {
         if (active) {
@@ -130,10 +189,265 @@ export default function ChatLayout({
       setActiveConversationId(conversation.id);
       setActiveConversation(conversation);
     } catch (err) {
-      setError("Unable to start conversation. Please try again.");
+      setError(err.response?.data?.message || "Unable to start conversation. Please try again.");
     }
   }, [api]);
 
+  const replaceConversation = useCallback((detail) => {
+    advanceHighWater(detail.id, detail.updatedAt);
+    setConversations((prev) => prev.map((item) => (item.id === detail.id ? { ...item, ...detail } : item)));
+  }, [advanceHighWater]);
+
+  const handleMuteConversation = useCallback(async (conversationId, until) => {
+    try {
+      replaceConversation(await api.conversations.mute(conversationId, until));
+    } catch (err) {
+      setError(err.response?.data?.message || "Unable to mute the conversation. Please try again.");
+    }
+  }, [api, replaceConversation]);
+
+  const handleUnmuteConversation = useCallback(async (conversationId) => {
+    try {
+      replaceConversation(await api.conversations.unmute(conversationId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Unable to unmute the conversation. Please try again.");
+    }
+  }, [api, replaceConversation]);
+
+  // the server also pushes conversation:update, but don't wait on the socket to lock the composer
+  const handleBlockChange = useCallback(async (change, userId, conversationId) => {
+    try {
+      await change(userId);
+      if (conversationId) {
+        replaceConversation(await api.conversations.getDetail(conversationId));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Unable to update your block list. Please try again.");
+    }
+  }, [api, replaceConversation]);
+
+  const handleBlockUser = useCallback(
+    (userId, conversationId) => handleBlockChange(api.users.block, userId, conversationId),
+    [api, handleBlockChange]
+  );
+
+  const handleUnblockUser = useCallback(
+    (userId, conversationId) => handleBlockChange(api.users.unblock, userId, conversationId),
+    [api, handleBlockChange]
+  );
+
+  const handleOpenSearchResult = useCallback(async (conversationId, messageId) => {
+    // the nonce lets the same result be opened twice in a row
+    setFocusRequest({ conversationId, messageId, nonce: Date.now() });
+    await handleSelectConversation(conversationId);
+  }, [handleSelectConversation]);
+
+  // notification clicks land here: ?conversation=<id> on a fresh tab, or a message
+  // from the service worker when a tab was already open
+  useEffect(() => {
+    if (isBootstrapping) return;
+    const params = new URLSearchParams(window.location.search);
+    const linkedConversationId = params.get("conversation");
+    if (!linkedConversationId) return;
+
+    // drop it from the address bar so a reload doesn't jump back to it
+    params.delete("conversation");
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`
+    );
+    handleSelectConversation(linkedConversationId);
+  }, [isBootstrapping, handleSelectConversation]);
+
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === "open-conversation" && event.data.conversationId) {
+        handleSelectConversation(event.data.conversationId);
+      }
+    };
+    navigator.serviceWorker.addEventListener("message", handleWorkerMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", handleWorkerMessage);
+  }, [handleSelectConversation]);
+
+  const handleCreateGroup = useCallback(async (name, memberIds) => {
+    try {
+      const conversation = await api.conversations.createGroup(name, memberIds);
+      setConversations((prev) => [conversation, ...prev.filter((item) => item.id !== conversation.id)]);
+      setActiveConversationId(conversation.id);
+      setActiveConversation(conversation);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Unable to create the group. Please try again.");
+      return false;
+    }
+  }, [api]);
+
+  // membership and metadata changes are pushed to our personal socket room
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleConversationUpdate = async ({ conversationId }) => {
+      try {
+        const detail = await api.conversations.getDetail(conversationId);
+        advanceHighWater(detail.id, detail.updatedAt);
+        const isActive = detail.id === activeConversationIdRef.current;
+        const next = isActive ? { ...detail, unreadCount: 0 } : detail;
+        setConversations((prev) =>
+          [next, ...prev.filter((item) => item.id !== next.id)].sort(byRecentActivity)
+        );
+      } catch {
+        // the conversation may have gone away in the meantime; the next refresh reconciles
+      }
+    };
+
+    const handleConversationRemoved = ({ conversationId }) => {
+      setConversations((prev) => prev.filter((item) => item.id !== conversationId));
+      if (activeConversationIdRef.current === conversationId) {
+        setActiveConversationId(null);
+        setActiveConversation(null);
+      }
+    };
+
+    const handlePresenceUpdate = ({ userId, online, lastSeenAt }) => {
+      setPresence((prev) => ({ ...prev, [userId]: { userId, online, lastSeenAt } }));
+    };
+
+    const handleMessageEvent = ({ conversationId, message }) => {
+      advanceHighWater(conversationId, message?.updatedAt);
+    };
+
+    const handleConnectError = (err) => {
+      if (err.data?.code === "ACCOUNT_SUSPENDED") {
+        setError(err.data.message);
+      }
+    };
+
+    socket.on("conversation:update", handleConversationUpdate);
+    socket.on("conversation:removed", handleConversationRemoved);
+    socket.on("presence:update", handlePresenceUpdate);
+    socket.on("message:new", handleMessageEvent);
+    socket.on("message:updated", handleMessageEvent);
+    socket.on("message:deleted", handleMessageEvent);
+    socket.on("connect_error", handleConnectError);
+    // presence isn't part of the replay below, so refetch it on every connect
+    socket.on("connect", refreshPresence);
+    if (socket.connected) {
+      refreshPresence();
+    }
+
+    return () => {
+      socket.off("conversation:update", handleConversationUpdate);
+      socket.off("conversation:removed", handleConversationRemoved);
+      socket.off("presence:update", handlePresenceUpdate);
+      socket.off("message:new", handleMessageEvent);
+      socket.off("message:updated", handleMessageEvent);
+      socket.off("message:deleted", handleMessageEvent);
+      socket.off("connect_error", handleConnectError);
+      socket.off("connect", refreshPresence);
+    };
+  }, [socket, api, refreshPresence, advanceHighWater]);
+
+  // fetch everything that changed since the oldest high-water mark and hand the
+  // messages to ChatWindow; re-applying something we already have is harmless
+  const syncMissedEvents = useCallback(async () => {
+    const marks = [...highWaterRef.current.values()];
+    if (marks.length === 0) return;
+
+    let since = new Date(Math.min(...marks)).toISOString();
+    let afterId;
+    const changed = new Map();
+    const messages = [];
+    let conversationIds = [];
+    let truncated = false;
+
+    try {
+      for (let page = 0; page < MAX_SYNC_PAGES; page += 1) {
+        const data = await api.conversations.sync(since, afterId);
+        data.conversations.forEach((conversation) => changed.set(conversation.id, conversation));
+        messages.push(...data.messages);
+        conversationIds = data.conversationIds;
+        since = data.nextSince;
+        afterId = data.nextAfterId || undefined;
+        truncated = data.truncated;
+        if (!truncated) break;
+      }
+    } catch {
+      // the next reconnect tries again from the same marks
+      return;
+    }
+
+    const memberOf = new Set(conversationIds);
+    [...highWaterRef.current.keys()].forEach((id) => {
+      if (!memberOf.has(id)) highWaterRef.current.delete(id);
+    });
+    conversationIds.forEach((id) => advanceHighWater(id, since));
+
+    setConversations((prev) => {
+      const kept = prev
+        .filter((item) => memberOf.has(item.id))
+        .map((item) => changed.get(item.id) || item);
+      const added = [...changed.values()].filter((item) => !prev.some((c) => c.id === item.id));
+      return [...added, ...kept]
+        .map((item) =>
+          item.id === activeConversationIdRef.current ? { ...item, unreadCount: 0 } : item
+        )
+        .sort(byRecentActivity);
+    });
+
+    if (activeConversationIdRef.current && !memberOf.has(activeConversationIdRef.current)) {
+      setActiveConversationId(null);
+      setActiveConversation(null);
+    }
+
+    setReplay({ messages, truncated, nonce: Date.now() });
+  }, [api, advanceHighWater]);
+
+  // the first connect is covered by the initial load; later ones are reconnects
+  useEffect(() => {
+    if (!socket) return;
+    let hasConnected = socket.connected;
+
+    const handleConnect = () => {
+      if (hasConnected) {
+        syncMissedEvents();
+      }
+      hasConnected = true;
+    };
+
+    socket.on("connect", handleConnect);
+    return () => {
+      socket.off("connect", handleConnect);
+    };
+  }, [socket, syncMissedEvents]);
+
+  // tell senders their latest message reached this client, even for conversations we haven't opened
+  useEffect(() => {
+    if (!socket) return;
+
+    const acknowledgeDelivery = () => {
+      if (!socket.connected) return;
+      conversations.forEach((conversation) => {
+        const last = conversation.lastMessage;
+        if (!last?.messageId || last.senderId === currentUserId) return;
+        if (deliveryAckRef.current.get(conversation.id) === last.messageId) return;
+        deliveryAckRef.current.set(conversation.id, last.messageId);
+        socket.emit("message:delivered", {
+          conversationId: conversation.id,
+          upToMessageId: last.messageId
+        });
+      });
+    };
+
+    acknowledgeDelivery();
+    socket.on("connect", acknowledgeDelivery);
+    return () => {
+      socket.off("connect", acknowledgeDelivery);
+    };
+  }, [socket, conversations, currentUserId]);
+
   const handleConversationSeen = useCallback((conversationId) => {
     setConversations((prev) =>
       prev.map((conversation) =>
@@ -151,7 +465,8 @@ export default function ChatLayout({
         return {
           ...conversation,
           lastMessage: {
-            text: message.text,
+            messageId: message._id,
+            text: message.text || (message.attachments?.length ? "📎 Attachment" : ""),
             senderId: message.senderId,
             senderName: message.senderName,
             senderAvatar: message.senderAvatar,
@@ -162,15 +477,23 @@ export default function ChatLayout({
         };
       });
 
-      next.sort(
-        (a, b) =>
-          new Date(b.lastMessageAt || b.createdAt).getTime() -
-          new Date(a.lastMessageAt || a.createdAt).getTime()
-      );
+      next.sort(byRecentActivity);
       return next;
     });
   }, []);
 
+  const handleMessageDelivered = useCallback((message) => {
+    handleMessageSent(String(message.conversationId), message);
+  }, [handleMessageSent]);
+
+  const sendMessage = useMessageSender(socket, api.messages);
+  const outbox = useOutbox({
+    userId: currentUserId,
+    socket,
+    send: sendMessage,
+    onDelivered: handleMessageDelivered
+  });
+
   return (
     <div className="flex h-full gap-6">
       <Sidebar
@@ -179,17 +502,31 @@ export default function ChatLayout({
         currentAvatar={currentAvatar}
         conversations={conversations}
         directory={directory}
+        presence={presence}
         isBootstrapping={isBootstrapping}
         isLoadingConversations={isLoadingConversations}
         onSelectConversation={handleSelectConversation}
         onStartConversation={handleStartConversation}
+        onCreateGroup={handleCreateGroup}
+        onSearchMessages={api.messages.search}
+        onOpenSearchResult={handleOpenSearchResult}
         onRefresh={refreshConversations}
+        onMuteConversation={handleMuteConversation}
+        onUnmuteConversation={handleUnmuteConversation}
+        onBlockUser={handleBlockUser}
+        onUnblockUser={handleUnblockUser}
+        notifications={notifications}
+        bookmarks={bookmarks}
         error={error}
         activeConversationId={activeConversationId}
       />
 
       <ChatWindow
         messagesApi={api.messages}
+        attachmentsApi={api.attachments}
+        conversationsApi={api.conversations}
+        socket={socket}
+        presence={presence}
         conversation={activeConversation}
         conversationId={activeConversationId}
         currentUser={{
@@ -198,9 +535,15 @@ export default function ChatLayout({
           avatar: currentAvatar
         }}
         onConversationSeen={handleConversationSeen}
-        onMessageSent={handleMessageSent}
+        outbox={outbox}
+        replay={replay}
+        focusRequest={focusRequest}
+        onMuteConversation={handleMuteConversation}
+        onUnmuteConversation={handleUnmuteConversation}
+        onBlockUser={handleBlockUser}
+        onUnblockUser={handleUnblockUser}
+        bookmarks={bookmarks}
         isBootstrapping={isBootstrapping}
-        currentUserId={currentUserId}
       />
     </div>
   );
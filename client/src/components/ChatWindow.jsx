@@ -1,32 +1,57 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import MessageBubble from "./MessageBubble";
+import ThreadPanel from "./ThreadPanel";
+import ConversationActions from "./ConversationActions";
+import ReportMessageDialog from "./ReportMessageDialog";
+import PinnedMessages from "./PinnedMessages";
 import { Badge } from "./ui/badge";
 import { Avatar } from "./ui/avatar";
 import { Button } from "./ui/button";
 import { Input } from "./ui/input";
-import { cn } from "../lib/utils";
-import { useSocket } from "../hooks/useSocket";
+import { cn, describeMute, formatFileSize, formatLastSeen, getRetryAfterMs } from "../lib/utils";
+import { useAttachmentUploads } from "../hooks/useAttachmentUploads";
+import { useMessageSender } from "../hooks/useMessageSender";
+import { useCooldown } from "../hooks/useCooldown";
 
-const longDateFormatter = new Intl.DateTimeFormat(undefined, {
-  dateStyle: "medium",
-  timeStyle: "short",
-});
+const PAGE_SIZE = 30;
+// start fetching older history a little before the user hits the very top
+const LOAD_OLDER_THRESHOLD_PX = 80;
+// re-announce typing while the user keeps going; the server expires it otherwise
+const TYPING_HEARTBEAT_MS = 3000;
+const TYPING_IDLE_MS = 2500;
+
+function describeTyping(names) {
+  if (names.length === 0) return null;
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return `${names.length} people are typing…`;
+}
 
 export default function ChatWindow({
   messagesApi,
+  attachmentsApi,
+  conversationsApi,
+  socket,
+  presence,
   conversation,
   conversationId,
   currentUser,
   onConversationSeen,
-  onMessageSent,
-  isBootstrapping,
-  currentUserId
+  outbox,
+  replay,
+  focusRequest,
+  onMuteConversation,
+  onUnmuteConversation,
+  onBlockUser,
+  onUnblockUser,
+  bookmarks,
+  isBootstrapping
 }) {
   const service = useMemo(() => {
     if (messagesApi) return messagesApi;
     return {
       async list() {
-        return [];
+        return { messages: [], nextCursor: null };
       },
       async send() {
         throw new Error("messagesApi not provided");
@@ -34,15 +59,52 @@ export default function ChatWindow({
     };
   }, [messagesApi]);
 
+  const sendMessage = useMessageSender(socket, messagesApi);
   const [messages, setMessages] = useState([]);
   const [draft, setDraft] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [newerCursor, setNewerCursor] = useState(null);
+  const [isLoadingNewer, setIsLoadingNewer] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [reportingMessage, setReportingMessage] = useState(null);
+  const [pins, setPins] = useState([]);
+  const [typingUserIds, setTypingUserIds] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const {
+    uploads,
+    addFiles,
+    remove: removeUpload,
+    clear: clearUploads,
+    isUploading,
+    readyAttachments
+  } = useAttachmentUploads(attachmentsApi, conversationId);
   const [isSending, setIsSending] = useState(false);
   const [error, setError] = useState(null);
+  const [cooldownUntil, setCooldownUntil] = useState(0);
+  // the outbox holds queued sends while throttled; edits report their own 429s
+  const cooldownSeconds = useCooldown(Math.max(cooldownUntil, outbox?.cooldownUntil || 0));
   const viewportRef = useRef(null);
   const conversationIdRef = useRef(conversationId);
-
-  const socket = useSocket(currentUserId);
+  const scrollRestoreRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  const typingSentAtRef = useRef(0);
+  const typingIdleTimerRef = useRef(null);
+  const lastReadAckRef = useRef(null);
+  const newerCursorRef = useRef(null);
+  const focusRequestRef = useRef(focusRequest);
+  const handledReplayRef = useRef(replay?.nonce);
+  const reportedRejectionsRef = useRef(new Set());
+  const handledFocusRef = useRef(null);
+  const pendingFocusRef = useRef(null);
+  const [isPageVisible, setIsPageVisible] = useState(
+    () => document.visibilityState === "visible"
+  );
 
   // determine the other participant
   const otherMember = useMemo(() => {
@@ -55,23 +117,119 @@ export default function ChatWindow({
     );
   }, [conversation, currentUser]);
 
+  const statusLabel = useMemo(() => {
+    if (!conversation) return "";
+    if (conversation.isGroup) {
+      const total = conversation.members?.length || 0;
+      const online = (conversation.members || []).filter(
+        (member) => member.clerkUserId !== currentUser?.id && presence?.[member.clerkUserId]?.online
+      ).length;
+      return online > 0 ? `${total} participants · ${online} online` : `${total} participants`;
+    }
+    if (!otherMember) return "";
+    const entry = presence?.[otherMember.clerkUserId];
+    if (entry?.online) return "Online";
+    return formatLastSeen(entry?.lastSeenAt || otherMember.lastSeenAt);
+  }, [conversation, currentUser, otherMember, presence]);
+
+  const memberNames = useMemo(
+    () =>
+      new Map(
+        (conversation?.members || []).map((member) => [member.clerkUserId, member.displayName])
+      ),
+    [conversation]
+  );
+
+  // queued sends render in place until the server's copy (same clientMessageId) shows up
+  const timeline = useMemo(() => {
+    const delivered = new Set(messages.map((m) => m.clientMessageId).filter(Boolean));
+    const pending = (outbox?.entries || [])
+      .filter(
+        (entry) =>
+          entry.conversationId === conversationId &&
+          !entry.threadRootId &&
+          !delivered.has(entry.clientMessageId)
+      )
+      .map((entry) => ({
+        clientMessageId: entry.clientMessageId,
+        conversationId: entry.conversationId,
+        senderId: currentUser?.id,
+        senderName: currentUser?.name,
+        senderAvatar: currentUser?.avatar,
+        text: entry.text,
+        attachments: entry.attachments,
+        replyTo: entry.replyTo,
+        createdAt: entry.createdAt,
+        outboxStatus: entry.status,
+        outboxError: entry.error,
+        outboxErrorCode: entry.errorCode
+      }));
+    return pending.length > 0 ? [...messages, ...pending] : messages;
+  }, [messages, outbox?.entries, conversationId, currentUser]);
+
+  const pinnedIds = useMemo(() => new Set(pins.map((pin) => pin.messageId)), [pins]);
+
+  const typingLabel = useMemo(() => {
+    const names = typingUserIds.map((id) => {
+      const member = conversation?.members?.find((m) => m.clerkUserId === id);
+      return member?.displayName || "Someone";
+    });
+    return describeTyping(names);
+  }, [typingUserIds, conversation]);
+
   // reset state when changing conversations
   useEffect(() => {
     setMessages([]);
+    setNextCursor(null);
+    setNewerCursor(null);
+    setHighlightedMessageId(null);
+    setEditingMessage(null);
+    setReplyingTo(null);
+    setThreadRoot(null);
+    setPins([]);
+    setTypingUserIds([]);
+    lastReadAckRef.current = null;
     setDraft("");
     setError(null);
   }, [conversationId]);
 
-  // load conversation history
+  useEffect(() => {
+    newerCursorRef.current = newerCursor;
+  }, [newerCursor]);
+
+  // declared before the history loader so it sees the request that opened the conversation
+  useEffect(() => {
+    focusRequestRef.current = focusRequest;
+  }, [focusRequest]);
+
+  const showFocusedMessage = useCallback((messageId) => {
+    pendingFocusRef.current = messageId;
+    setHighlightedMessageId(messageId);
+  }, []);
+
+  // load conversation history; when opened from a search result, load the window around it instead
   useEffect(() => {
     if (!conversationId) return;
     let active = true;
+    const request = focusRequestRef.current;
+    const focusId = request?.conversationId === conversationId ? request.messageId : null;
+    if (focusId) {
+      handledFocusRef.current = request.nonce;
+    }
     setIsLoading(true);
     (async () => {
       try {
-        const data = await service.list(conversationId);
+        const data = await service.list(
+          conversationId,
+          focusId ? { around: focusId, limit: PAGE_SIZE } : { limit: PAGE_SIZE }
+        );
         if (!active) return;
-        setMessages(Array.isArray(data) ? data : []);
+        setMessages(Array.isArray(data?.messages) ? data.messages : []);
+        setNextCursor(data?.nextCursor || null);
+        setNewerCursor(data?.newerCursor || null);
+        if (focusId) {
+          showFocusedMessage(focusId);
+        }
         onConversationSeen?.(conversationId);
       } catch (err) {
         if (active) {
@@ -86,28 +244,254 @@ export default function ChatWindow({
     return () => {
       active = false;
     };
-  }, [service, conversationId, onConversationSeen]);
+  }, [service, conversationId, onConversationSeen, showFocusedMessage]);
+
+  // pins come as a whole list; conversation:pins keeps it current while the room is joined
+  const loadPins = useCallback(async () => {
+    if (!conversationsApi || !conversationId) return;
+    const requestedFor = conversationId;
+    try {
+      const list = await conversationsApi.pins(conversationId);
+      if (conversationIdRef.current === requestedFor) {
+        setPins(Array.isArray(list) ? list : []);
+      }
+    } catch {
+      // the banner just stays empty; the conversation works without it
+    }
+  }, [conversationsApi, conversationId]);
+
+  // fetch the page before the oldest loaded message
+  const loadOlderMessages = useCallback(async () => {
+    const node = viewportRef.current;
+    if (!conversationId || !nextCursor || isLoadingOlder || !node) return;
+
+    const requestedFor = conversationId;
+    setIsLoadingOlder(true);
+    try {
+      const data = await service.list(conversationId, {
+        before: nextCursor,
+        limit: PAGE_SIZE
+      });
+      if (conversationIdRef.current !== requestedFor) return;
+
+      scrollRestoreRef.current = {
+        scrollHeight: node.scrollHeight,
+        scrollTop: node.scrollTop
+      };
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m._id));
+        const older = (data?.messages || []).filter((m) => !known.has(m._id));
+        return [...older, ...prev];
+      });
+      setNextCursor(data?.nextCursor || null);
+    } catch {
+      if (conversationIdRef.current === requestedFor) {
+        setError("We couldn't load earlier messages. Scroll up to retry.");
+      }
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  }, [service, conversationId, nextCursor, isLoadingOlder]);
+
+  // after jumping into older history, fetch the page after the newest loaded message
+  const loadNewerMessages = useCallback(async () => {
+    const node = viewportRef.current;
+    if (!conversationId || !newerCursor || isLoadingNewer || !node) return;
+
+    const requestedFor = conversationId;
+    setIsLoadingNewer(true);
+    try {
+      const data = await service.list(conversationId, {
+        after: newerCursor,
+        limit: PAGE_SIZE
+      });
+      if (conversationIdRef.current !== requestedFor) return;
+
+      scrollRestoreRef.current = { mode: "append", scrollTop: node.scrollTop };
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m._id));
+        return [...prev, ...(data?.messages || []).filter((m) => !known.has(m._id))];
+      });
+      setNewerCursor(data?.nextCursor || null);
+    } catch {
+      if (conversationIdRef.current === requestedFor) {
+        setError("We couldn't load newer messages. Scroll down to retry.");
+      }
+    } finally {
+      setIsLoadingNewer(false);
+    }
+  }, [service, conversationId, newerCursor, isLoadingNewer]);
+
+  const jumpToLatest = async () => {
+    if (!conversationId) return;
+    const requestedFor = conversationId;
+    try {
+      const data = await service.list(conversationId, { limit: PAGE_SIZE });
+      if (conversationIdRef.current !== requestedFor) return;
+      setMessages(Array.isArray(data?.messages) ? data.messages : []);
+      setNextCursor(data?.nextCursor || null);
+      setNewerCursor(null);
+    } catch {
+      setError("We couldn't fetch the latest messages. Please retry.");
+    }
+  };
+
+  const handleViewportScroll = (event) => {
+    const node = event.currentTarget;
+    if (node.scrollTop <= LOAD_OLDER_THRESHOLD_PX) {
+      loadOlderMessages();
+    }
+    if (node.scrollHeight - node.scrollTop - node.clientHeight <= LOAD_OLDER_THRESHOLD_PX) {
+      loadNewerMessages();
+    }
+  };
 
-  // auto-scroll to bottom when new messages arrive
+  // scroll to a message, loading the history around it first when it isn't on screen
+  const jumpToMessage = useCallback(async (messageId) => {
+    if (!conversationId || !messageId) return;
+    const node = viewportRef.current?.querySelector(`[data-message-id="${messageId}"]`);
+    if (node) {
+      node.scrollIntoView({ block: "center", behavior: "smooth" });
+      setHighlightedMessageId(messageId);
+      return;
+    }
+
+    try {
+      const data = await service.list(conversationId, { around: messageId, limit: PAGE_SIZE });
+      if (conversationIdRef.current !== conversationId) return;
+      setMessages(Array.isArray(data?.messages) ? data.messages : []);
+      setNextCursor(data?.nextCursor || null);
+      setNewerCursor(data?.newerCursor || null);
+      showFocusedMessage(messageId);
+    } catch {
+      setError("We couldn't open that message. It may have been deleted.");
+    }
+  }, [conversationId, service, showFocusedMessage]);
+
+  // jump to a message picked from search while this conversation is already open
+  useEffect(() => {
+    if (!focusRequest || focusRequest.conversationId !== conversationId) return;
+    if (handledFocusRef.current === focusRequest.nonce) return;
+    handledFocusRef.current = focusRequest.nonce;
+    jumpToMessage(focusRequest.messageId);
+  }, [focusRequest, conversationId, jumpToMessage]);
+
+  // reconcile with what happened while the socket was down
   useEffect(() => {
+    if (!replay || handledReplayRef.current === replay.nonce || !conversationId) return;
+    handledReplayRef.current = replay.nonce;
+
+    if (replay.truncated) {
+      // too much changed to patch in place; start again from the newest page
+      (async () => {
+        try {
+          const data = await service.list(conversationId, { limit: PAGE_SIZE });
+          if (conversationIdRef.current !== conversationId) return;
+          setMessages(Array.isArray(data?.messages) ? data.messages : []);
+          setNextCursor(data?.nextCursor || null);
+          setNewerCursor(null);
+        } catch {
+          setError("We couldn't fetch the latest messages. Please retry.");
+        }
+      })();
+      return;
+    }
+
+    const relevant = replay.messages.filter(
+      (m) => String(m.conversationId) === conversationId && !m.threadRootId
+    );
+    if (relevant.length === 0) return;
+
+    setMessages((prev) => {
+      const byId = new Map(relevant.map((m) => [m._id, m]));
+      const merged = prev.map((m) => (byId.has(m._id) ? { ...m, ...byId.get(m._id) } : m));
+      // while browsing older history only patch what is on screen
+      if (newerCursorRef.current) return merged;
+
+      const known = new Set(prev.map((m) => m._id));
+      const oldestLoaded = prev.length > 0 ? new Date(prev[0].createdAt).getTime() : 0;
+      const added = relevant.filter(
+        (m) => !known.has(m._id) && new Date(m.createdAt).getTime() >= oldestLoaded
+      );
+      if (added.length === 0) return merged;
+
+      return [...merged, ...added].sort(
+        (a, b) =>
+          new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime() ||
+          String(a._id).localeCompare(String(b._id))
+      );
+    });
+  }, [replay, conversationId, service]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // keep the viewport anchored when older history is prepended,
+  // otherwise auto-scroll to bottom when new messages arrive
+  useLayoutEffect(() => {
     const node = viewportRef.current;
     if (!node) return;
+    const lastEntry = timeline[timeline.length - 1];
+    const lastMessageId = lastEntry?._id || lastEntry?.clientMessageId || null;
+    const focusId = pendingFocusRef.current;
+    if (focusId) {
+      pendingFocusRef.current = null;
+      lastMessageIdRef.current = lastMessageId;
+      node.querySelector(`[data-message-id="${focusId}"]`)?.scrollIntoView({ block: "center" });
+      return;
+    }
+    const restore = scrollRestoreRef.current;
+    if (restore) {
+      scrollRestoreRef.current = null;
+      lastMessageIdRef.current = lastMessageId;
+      node.scrollTop = restore.mode === "append"
+        ? restore.scrollTop
+        : node.scrollHeight - restore.scrollHeight + restore.scrollTop;
+      return;
+    }
+    // edits and deletions replace messages in place and should not move the view
+    if (lastMessageId && lastMessageId === lastMessageIdRef.current) return;
+    lastMessageIdRef.current = lastMessageId;
     node.scrollTo({
       top: node.scrollHeight,
       behavior: "smooth",
     });
-  }, [messages]);
+  }, [timeline]);
 
   // join conversation room via socket.io
   useEffect(() => {
     conversationIdRef.current = conversationId;
     if (!socket || !conversationId) return;
 
-    socket.emit("conversation:join", conversationId);
+    // rooms don't survive a reconnect, so join again whenever the socket comes back
+    const joinRoom = () => {
+      socket.emit("conversation:join", { conversationId }, (response) => {
+        if (response && !response.ok && conversationIdRef.current === conversationId) {
+          setError(response.message || "Live updates are unavailable for this conversation");
+        }
+        // pins changed while we weren't in the room would otherwise be missed
+        if (response?.ok) {
+          loadPins();
+        }
+        // focus only counts once the join went through
+        if (response?.ok && document.visibilityState === "visible") {
+          socket.emit("conversation:focus", { conversationId });
+        }
+      });
+    };
+    joinRoom();
 
     // handle incoming messages in real-time
     const handleNewMessage = ({ conversationId: id, message }) => {
       if (id === conversationIdRef.current) {
+        setTypingUserIds((prev) => prev.filter((userId) => userId !== message.senderId));
+        // thread replies only bump the root's reply count, which arrives as message:updated
+        if (message.threadRootId) return;
+        // while browsing older history the live tail isn't loaded; "Jump to latest" picks it up
+        if (newerCursorRef.current) return;
         setMessages((prev) => {
           // Check if message already exists to prevent duplicates
           const exists = prev.some(m => m._id === message._id);
@@ -117,6 +501,62 @@ export default function ChatWindow({
       }
     };
 
+    // edits and deletions replace the message in place
+    const handleMessageChanged = ({ conversationId: id, message }) => {
+      if (id !== conversationIdRef.current || !message) return;
+      setMessages((prev) =>
+        prev.map((m) => {
+          if (m._id === message._id) return { ...m, ...message };
+          // keep quotes of this message in step with it
+          if (m.replyTo?.messageId === message._id) {
+            return {
+              ...m,
+              replyTo: {
+                ...m.replyTo,
+                text: message.deletedAt ? "" : message.text,
+                deleted: Boolean(message.deletedAt)
+              }
+            };
+          }
+          return m;
+        })
+      );
+      if (message.deletedAt) {
+        setEditingMessage((current) => (current?._id === message._id ? null : current));
+      }
+    };
+
+    const handleMessageStatus = ({ conversationId: id, updates }) => {
+      if (id !== conversationIdRef.current || !Array.isArray(updates)) return;
+      const byId = new Map(updates.map((update) => [update.messageId, update]));
+      setMessages((prev) =>
+        prev.map((m) => {
+          const update = byId.get(m._id);
+          return update ? { ...m, status: update.status, receipts: update.receipts } : m;
+        })
+      );
+    };
+
+    const handleReaction = ({ conversationId: id, messageId, reactions }) => {
+      if (id !== conversationIdRef.current) return;
+      setMessages((prev) =>
+        prev.map((m) => (m._id === messageId ? { ...m, reactions } : m))
+      );
+    };
+
+    const handleTypingUpdate = ({ conversationId: id, userId, isTyping }) => {
+      if (id !== conversationIdRef.current) return;
+      setTypingUserIds((prev) => {
+        const without = prev.filter((typingId) => typingId !== userId);
+        return isTyping ? [...without, userId] : without;
+      });
+    };
+
+    const handlePins = ({ conversationId: id, pins: next }) => {
+      if (id !== conversationIdRef.current || !Array.isArray(next)) return;
+      setPins(next);
+    };
+
     // handle conversation updates (e.g., unread counts)
     const handleConversationUpdate = ({ conversationId: id }) => {
       if (id === conversationIdRef.current) {
@@ -124,48 +564,302 @@ export default function ChatWindow({
       }
     };
 
+    socket.on("connect", joinRoom);
     socket.on("message:new", handleNewMessage);
     socket.on("conversation:update", handleConversationUpdate);
+    socket.on("message:updated", handleMessageChanged);
+    socket.on("message:deleted", handleMessageChanged);
+    socket.on("typing:update", handleTypingUpdate);
+    socket.on("message:status", handleMessageStatus);
+    socket.on("message:reaction", handleReaction);
+    socket.on("conversation:pins", handlePins);
 
     return () => {
+      socket.off("connect", joinRoom);
       socket.off("message:new", handleNewMessage);
+      socket.off("message:updated", handleMessageChanged);
+      socket.off("message:deleted", handleMessageChanged);
+      socket.off("typing:update", handleTypingUpdate);
+      socket.off("message:status", handleMessageStatus);
+      socket.off("message:reaction", handleReaction);
+      socket.off("conversation:pins", handlePins);
       socket.off("conversation:update", handleConversationUpdate);
-      socket.emit("conversation:leave", conversationIdRef.current);
+      socket.emit("conversation:leave", { conversationId });
+    };
+  }, [socket, conversationId, onConversationSeen, loadPins]);
+
+  // without a socket there is no join to piggyback on
+  useEffect(() => {
+    if (!socket) loadPins();
+  }, [socket, loadPins]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      setIsPageVisible(document.visibilityState === "visible");
     };
-  }, [socket, conversationId, onConversationSeen]);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, []);
+
+  // the server holds back push notifications for a conversation while it's on screen
+  useEffect(() => {
+    if (!socket || !conversationId) return;
+    socket.emit("conversation:focus", { conversationId: isPageVisible ? conversationId : null });
+  }, [socket, conversationId, isPageVisible]);
+
+  // acknowledge everything up to the newest incoming message once it is actually on screen
+  useEffect(() => {
+    if (!socket || !conversationId || !isPageVisible || isLoading) return;
+    const latestIncoming = [...messages]
+      .reverse()
+      .find((m) => m._id && m.senderId !== currentUser?.id && !m.deletedAt);
+    if (!latestIncoming || lastReadAckRef.current === latestIncoming._id) return;
+
+    lastReadAckRef.current = latestIncoming._id;
+    socket.emit("message:read", { conversationId, upToMessageId: latestIncoming._id });
+  }, [socket, conversationId, messages, isPageVisible, isLoading, currentUser]);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(typingIdleTimerRef.current);
+    typingIdleTimerRef.current = null;
+    if (typingSentAtRef.current && socket && conversationIdRef.current) {
+      socket.emit("typing:stop", { conversationId: conversationIdRef.current });
+    }
+    typingSentAtRef.current = 0;
+  }, [socket]);
+
+  const signalTyping = () => {
+    if (!socket || !conversationId) return;
+    const now = Date.now();
+    if (now - typingSentAtRef.current > TYPING_HEARTBEAT_MS) {
+      socket.emit("typing:start", { conversationId });
+      typingSentAtRef.current = now;
+    }
+    clearTimeout(typingIdleTimerRef.current);
+    typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // leaving the conversation (or unmounting) ends our typing state
+  useEffect(() => stopTyping, [conversationId, stopTyping]);
+
+  const handleDraftChange = (event) => {
+    setDraft(event.target.value);
+    if (event.target.value.trim()) {
+      signalTyping();
+    } else {
+      stopTyping();
+    }
+  };
+
+  const replaceMessage = (updated) => {
+    setMessages((prev) =>
+      prev.map((m) => (m._id === updated._id ? { ...m, ...updated } : m))
+    );
+  };
+
+  const handleStartEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setDraft(message.text);
+    setError(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setDraft("");
+  };
+
+  const handleStartReply = (message) => {
+    if (editingMessage) handleCancelEdit();
+    setReplyingTo(message);
+    setError(null);
+  };
+
+  const handleDelete = async (message) => {
+    if (!window.confirm("Delete this message for everyone?")) return;
+    setError(null);
+    try {
+      replaceMessage(await service.remove(message._id));
+      if (editingMessage?._id === message._id) {
+        handleCancelEdit();
+      }
+    } catch {
+      setError("The message could not be deleted. Please try again.");
+    }
+  };
+
+  const handleToggleReaction = async (message, emoji) => {
+    const hasReacted = message.reactions?.[emoji]?.includes(currentUser.id);
+    setError(null);
+    try {
+      const { reactions } = hasReacted
+        ? await service.unreact(message._id, emoji)
+        : await service.react(message._id, emoji);
+      setMessages((prev) =>
+        prev.map((m) => (m._id === message._id ? { ...m, reactions } : m))
+      );
+    } catch (err) {
+      const retryAfterMs = getRetryAfterMs(err);
+      if (retryAfterMs) {
+        setError(`You're reacting too quickly. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`);
+        return;
+      }
+      setError(err.response?.data?.message || "Your reaction could not be saved. Please try again.");
+    }
+  };
+
+  // content filter rejections won't pass on retry, so say why next to the composer
+  useEffect(() => {
+    (outbox?.entries || []).forEach((entry) => {
+      if (
+        entry.status !== "failed" ||
+        entry.conversationId !== conversationId ||
+        !entry.errorCode?.startsWith("CONTENT_") ||
+        reportedRejectionsRef.current.has(entry.clientMessageId)
+      ) {
+        return;
+      }
+      reportedRejectionsRef.current.add(entry.clientMessageId);
+      setError(entry.error);
+    });
+  }, [outbox?.entries, conversationId]);
+
+  // pulls a rejected text-only message back into the composer so it can be fixed
+  const handleReviseSend = (message) => {
+    if (editingMessage) handleCancelEdit();
+    setDraft(message.text);
+    setError(null);
+    outbox.discard(message.clientMessageId);
+  };
+
+  const handleTogglePin = async (message) => {
+    setError(null);
+    try {
+      setPins(
+        pinnedIds.has(message._id)
+          ? await conversationsApi.unpin(conversationId, message._id)
+          : await conversationsApi.pin(conversationId, message._id)
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || "The pin could not be saved. Please try again.");
+    }
+  };
+
+  const handleUnpin = async (messageId) => {
+    setError(null);
+    try {
+      setPins(await conversationsApi.unpin(conversationId, messageId));
+    } catch {
+      setError("The message could not be unpinned. Please try again.");
+    }
+  };
+
+  const handleToggleBookmark = async (message) => {
+    setError(null);
+    try {
+      if (bookmarks.bookmarkedIds.has(message._id)) {
+        await bookmarks.remove(message._id);
+      } else {
+        await bookmarks.save(message._id);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "The message could not be saved. Please try again.");
+    }
+  };
+
+  const handleReport = (message, { reason, details }) =>
+    service.report(message._id, { reason, details });
 
   // sending message handler
+  const canAttach = Boolean(attachmentsApi) && !editingMessage;
+  const hasContent = Boolean(draft.trim()) || (!editingMessage && readyAttachments.length > 0);
+
+  const handleDragOver = (event) => {
+    if (!canAttach || !event.dataTransfer?.types?.includes("Files")) return;
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    if (!canAttach) return;
+    event.preventDefault();
+    setIsDragging(false);
+    addFiles(event.dataTransfer.files);
+  };
+
+  const handlePaste = (event) => {
+    if (!canAttach || !event.clipboardData?.files?.length) return;
+    event.preventDefault();
+    addFiles(event.clipboardData.files);
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
-    if (!draft.trim() || !conversationId) return;
+    if (!hasContent || isUploading || cooldownSeconds > 0 || !conversationId) return;
 
     setIsSending(true);
     setError(null);
+    stopTyping();
 
-    try {
-      const nextMessage = await service.send(conversationId, draft.trim());
-      
-      // Check if message already exists before adding
-      setMessages((prev) => {
-        const exists = prev.some(m => m._id === nextMessage._id);
-        if (exists) return prev;
-        return [...prev, nextMessage];
-      });
-      
-      onMessageSent?.(conversationId, nextMessage);
-
-      // emit real-time event so others see instantly
-      socket?.emit("message:new", {
-        conversationId,
-        message: nextMessage,
-      });
+    if (editingMessage) {
+      try {
+        replaceMessage(await service.edit(editingMessage._id, draft.trim()));
+        handleCancelEdit();
+      } catch (err) {
+        const retryAfterMs = getRetryAfterMs(err);
+        if (retryAfterMs) {
+          setCooldownUntil(Date.now() + retryAfterMs);
+        } else {
+          setError(
+            err.response?.status === 422
+              ? err.response.data.message
+              : "Your changes could not be saved. Please try again."
+          );
+        }
+      } finally {
+        setIsSending(false);
+      }
+      return;
+    }
 
-      setDraft("");
-    } catch (err) {
-      setError("Your message could not be sent. Please try again.");
-    } finally {
-      setIsSending(false);
+    if (newerCursorRef.current) {
+      await jumpToLatest();
     }
+
+    const delivery = outbox.enqueue({
+      conversationId,
+      text: draft.trim(),
+      attachments: readyAttachments,
+      replyTo: replyingTo
+        ? {
+            messageId: replyingTo._id,
+            senderId: replyingTo.senderId,
+            senderName: replyingTo.senderName,
+            text: replyingTo.text,
+            deleted: false
+          }
+        : null
+    });
+    setDraft("");
+    setReplyingTo(null);
+    clearUploads();
+    setIsSending(false);
+
+    const nextMessage = await delivery;
+    if (!nextMessage || String(nextMessage.conversationId) !== conversationIdRef.current) return;
+    if (newerCursorRef.current) return;
+    setMessages((prev) => {
+      // the socket broadcast may have delivered it first
+      const exists = prev.some((m) => m._id === nextMessage._id);
+      if (exists) return prev;
+      return [...prev, nextMessage];
+    });
   };
 
   if (isBootstrapping) {
@@ -188,7 +882,20 @@ export default function ChatWindow({
   }
 
   return (
-    <section className="flex flex-1 flex-col overflow-hidden rounded-3xl border border-white/10 bg-white/[0.07] backdrop-blur-xl">
+    <section
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={cn(
+        "relative flex flex-1 flex-col overflow-hidden rounded-3xl border border-white/10 bg-white/[0.07] backdrop-blur-xl",
+        isDragging && "border-indigo-400/70"
+      )}
+    >
+      {isDragging && (
+        <div className="pointer-events-none absolute inset-0 z-10 flex items-center justify-center bg-indigo-950/70 text-sm font-medium text-indigo-100">
+          Drop files to attach them
+        </div>
+      )}
       <header className="flex items-center justify-between border-b border-white/10 bg-white/[0.04] px-6 py-4">
         <div className="flex items-center gap-3">
           <Avatar
@@ -199,75 +906,277 @@ export default function ChatWindow({
             }
             alt={conversation.name}
             fallback={conversation.name}
+            online={conversation.isGroup ? undefined : Boolean(presence?.[otherMember?.clerkUserId]?.online)}
           />
           <div>
-            <p className="text-sm font-semibold text-white">
+            <p className="flex items-center gap-2 text-sm font-semibold text-white">
               {conversation.name}
+              {describeMute(conversation) && (
+                <span className="text-[11px] font-normal text-slate-500">🔕 {describeMute(conversation)}</span>
+              )}
             </p>
             <p className="text-xs text-slate-400">
-              {otherMember?.lastSeenAt
-                ? `Last seen ${longDateFormatter.format(
-                    new Date(otherMember.lastSeenAt)
-                  )}`
-                : conversation.isGroup
-                ? `${conversation.members?.length || 0} participants`
-                : "Online"}
+              {typingLabel ? (
+                <span className="text-indigo-200">{typingLabel}</span>
+              ) : (
+                statusLabel
+              )}
             </p>
           </div>
         </div>
-        <Badge
-          variant="outline"
-          className="hidden rounded-full border-emerald-400/40 bg-emerald-500/10 px-3 py-1 text-xs font-medium text-emerald-100 sm:inline-flex"
-        >
-          Live Socket Chat
-        </Badge>
+        <div className="flex items-center gap-2">
+          <Badge
+            variant="outline"
+            className="hidden rounded-full border-emerald-400/40 bg-emerald-500/10 px-3 py-1 text-xs font-medium text-emerald-100 sm:inline-flex"
+          >
+            Live Socket Chat
+          </Badge>
+          <ConversationActions
+            conversation={conversation}
+            currentUserId={currentUser?.id}
+            onMute={onMuteConversation}
+            onUnmute={onUnmuteConversation}
+            onBlock={onBlockUser}
+            onUnblock={onUnblockUser}
+          />
+        </div>
       </header>
 
+      <PinnedMessages
+        key={conversationId}
+        pins={pins}
+        memberNames={memberNames}
+        currentUserId={currentUser?.id}
+        onJumpToMessage={jumpToMessage}
+        onUnpin={handleUnpin}
+      />
+
       <div
         ref={viewportRef}
+        onScroll={handleViewportScroll}
         className="custom-scroll flex-1 space-y-4 overflow-y-auto bg-chat-gradient px-6 py-6"
       >
+        {isLoadingOlder && (
+          <div className="text-center text-xs text-slate-400">Loading earlier messages…</div>
+        )}
+
+        {newerCursor && (
+          <div className="sticky top-0 z-10 flex justify-center">
+            <Button size="sm" variant="secondary" onClick={jumpToLatest}>
+              Jump to latest ↓
+            </Button>
+          </div>
+        )}
+
+        {!isLoading && !nextCursor && messages.length > 0 && (
+          <div className="text-center text-[11px] uppercase tracking-wide text-slate-500">
+            Beginning of conversation
+          </div>
+        )}
+
         {isLoading && (
           <div className="text-sm text-slate-300">Loading messages…</div>
         )}
 
-        {!isLoading && messages.length === 0 && (
+        {!isLoading && timeline.length === 0 && (
           <div className="rounded-2xl border border-dashed border-white/10 bg-white/[0.04] px-4 py-6 text-center text-sm text-slate-400">
             No messages yet — start the conversation.
           </div>
         )}
 
-        {messages.map((message, index) => (
+        {timeline.map((message, index) => (
           <MessageBubble
-            key={message._id ? `${message._id}-${index}` : `msg-${message.senderId}-${message.createdAt}-${index}`}
+            key={message._id ? `${message._id}-${index}` : `pending-${message.clientMessageId}`}
             message={message}
             isMine={message.senderId === currentUser.id}
             currentUser={currentUser}
             otherMember={otherMember}
+            isHighlighted={message._id === highlightedMessageId}
+            onEdit={handleStartEdit}
+            onDelete={handleDelete}
+            onToggleReaction={handleToggleReaction}
+            onReply={handleStartReply}
+            onOpenThread={setThreadRoot}
+            onJumpToMessage={jumpToMessage}
+            onRetrySend={outbox?.retry}
+            onDiscardSend={outbox?.discard}
+            onReviseSend={handleReviseSend}
+            onReport={setReportingMessage}
+            isPinned={pinnedIds.has(message._id)}
+            onTogglePin={conversationsApi ? handleTogglePin : undefined}
+            isBookmarked={Boolean(bookmarks?.bookmarkedIds.has(message._id))}
+            onToggleBookmark={bookmarks ? handleToggleBookmark : undefined}
+            memberNames={memberNames}
           />
         ))}
       </div>
 
-      <footer className="border-t border-white/10 bg-white/[0.04] px-6 py-4">
-        <form onSubmit={handleSubmit} className="flex items-center gap-3">
-          <Input
-            value={draft}
-            onChange={(event) => setDraft(event.target.value)}
-            placeholder="Write a message..."
-            disabled={isSending}
-          />
-          <Button
-            type="submit"
-            disabled={!draft.trim() || isSending}
-            className={cn(isSending && "opacity-75")}
-          >
-            {isSending ? "Sending…" : "Send"}
-          </Button>
-        </form>
-        {error && (
-          <p className="mt-2 text-xs text-red-300">{error}</p>
-        )}
-      </footer>
+      {threadRoot && (
+        <ThreadPanel
+          key={threadRoot._id}
+          service={service}
+          socket={socket}
+          onSend={sendMessage}
+          conversationId={conversationId}
+          rootMessage={threadRoot}
+          currentUser={currentUser}
+          memberNames={memberNames}
+          onToggleReaction={handleToggleReaction}
+          onDelete={handleDelete}
+          onJumpToMessage={jumpToMessage}
+          onReport={setReportingMessage}
+          onClose={() => setThreadRoot(null)}
+        />
+      )}
+
+      {reportingMessage && (
+        <ReportMessageDialog
+          key={reportingMessage._id}
+          message={reportingMessage}
+          onSubmit={handleReport}
+          onClose={() => setReportingMessage(null)}
+        />
+      )}
+
+      {conversation.canMessage === false ? (
+        <footer className="border-t border-white/10 bg-white/[0.04] px-6 py-4 text-center text-xs text-slate-400">
+          {conversation.blockedByMe ? (
+            <>
+              You blocked {otherMember?.displayName || "this user"}.{" "}
+              <button
+                type="button"
+                onClick={() => onUnblockUser?.(otherMember?.clerkUserId, conversation.id)}
+                className="text-indigo-200 hover:text-white"
+              >
+                Unblock to send messages
+              </button>
+            </>
+          ) : (
+            "You can't reply to this conversation."
+          )}
+        </footer>
+      ) : (
+        <footer className="border-t border-white/10 bg-white/[0.04] px-6 py-4">
+          {editingMessage && (
+            <div className="mb-2 flex items-center justify-between text-xs text-indigo-200">
+              <span>Editing message</span>
+              <button type="button" onClick={handleCancelEdit} className="text-slate-400 hover:text-white">
+                Cancel
+              </button>
+            </div>
+          )}
+          {replyingTo && (
+            <div className="mb-2 flex items-center justify-between gap-3 text-xs text-indigo-200">
+              <span className="truncate">
+                Replying to {replyingTo.senderName}: <span className="text-slate-400">{replyingTo.text}</span>
+              </span>
+              <button type="button" onClick={() => setReplyingTo(null)} className="text-slate-400 hover:text-white">
+                Cancel
+              </button>
+            </div>
+          )}
+          {uploads.length > 0 && (
+            <div className="mb-3 flex flex-wrap gap-2">
+              {uploads.map((upload) => (
+                <div
+                  key={upload.id}
+                  className={cn(
+                    "relative flex w-48 items-center gap-2 overflow-hidden rounded-xl border bg-white/[0.06] px-2 py-2 text-xs text-slate-200",
+                    upload.status === "error" ? "border-red-400/50" : "border-white/10"
+                  )}
+                >
+                  {upload.previewUrl ? (
+                    <img src={upload.previewUrl} alt="" className="h-8 w-8 rounded-md object-cover" />
+                  ) : (
+                    <span aria-hidden>📄</span>
+                  )}
+                  <span className="flex-1 overflow-hidden">
+                    <span className="block truncate">{upload.name}</span>
+                    <span className={cn("block text-[10px]", upload.status === "error" ? "text-red-300" : "text-slate-400")}>
+                      {upload.status === "error"
+                        ? upload.error
+                        : upload.status === "uploading"
+                        ? `Uploading ${Math.round(upload.progress * 100)}%`
+                        : formatFileSize(upload.size)}
+                    </span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeUpload(upload.id)}
+                    className="text-slate-400 hover:text-white"
+                    aria-label={`Remove ${upload.name}`}
+                  >
+                    ×
+                  </button>
+                  {upload.status === "uploading" && (
+                    <span
+                      className="absolute bottom-0 left-0 h-0.5 bg-indigo-400 transition-all"
+                      style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {cooldownSeconds > 0 && (
+            <p className="mb-2 text-xs text-amber-200" role="status">
+              You're sending messages too quickly. You can send again in {cooldownSeconds}s.
+            </p>
+          )}
+          <form onSubmit={handleSubmit} className="flex items-center gap-3">
+            {canAttach && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  className="hidden"
+                  onChange={(event) => {
+                    addFiles(event.target.files);
+                    event.target.value = "";
+                  }}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => fileInputRef.current?.click()}
+                  aria-label="Attach files"
+                >
+                  📎
+                </Button>
+              </>
+            )}
+            <Input
+              value={draft}
+              onChange={handleDraftChange}
+              onPaste={handlePaste}
+              onKeyDown={(event) => {
+                if (event.key === "Escape" && editingMessage) handleCancelEdit();
+                if (event.key === "Escape" && replyingTo) setReplyingTo(null);
+              }}
+              placeholder="Write a message..."
+              disabled={isSending}
+            />
+            <Button
+              type="submit"
+              disabled={!hasContent || isUploading || isSending || cooldownSeconds > 0}
+              className={cn(isSending && "opacity-75")}
+            >
+              {cooldownSeconds > 0
+                ? `Wait ${cooldownSeconds}s`
+                : isSending
+                  ? (editingMessage ? "Saving…" : "Sending…")
+                  : editingMessage
+                    ? "Save"
+                    : "Send"}
+            </Button>
+          </form>
+          {error && (
+            <p className="mt-2 text-xs text-red-300">{error}</p>
+          )}
+        </footer>
+      )}
     </section>
   );
 }
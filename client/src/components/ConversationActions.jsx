@@ -0,0 +1,130 @@
+import { useEffect, useRef, useState } from "react";
+import { cn, isConversationMuted } from "../lib/utils";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MUTE_OPTIONS = [
+  { label: "Mute for 1 hour", duration: HOUR_MS },
+  { label: "Mute for 8 hours", duration: 8 * HOUR_MS },
+  { label: "Mute for 1 week", duration: 7 * 24 * HOUR_MS },
+  { label: "Mute until I unmute", duration: null }
+];
+
+// the "⋯" menu shared by Sidebar rows and the ChatWindow header
+export default function ConversationActions({
+  conversation,
+  currentUserId,
+  onMute,
+  onUnmute,
+  onBlock,
+  onUnblock,
+  className
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const isMuted = isConversationMuted(conversation);
+  const otherMember = conversation.isGroup
+    ? null
+    : conversation.members?.find((member) => member.clerkUserId !== currentUserId);
+
+  const run = (action) => (event) => {
+    event.stopPropagation();
+    setIsOpen(false);
+    action();
+  };
+
+  const itemClass =
+    "block w-full px-3 py-2 text-left text-xs text-slate-200 transition hover:bg-white/[0.08]";
+
+  return (
+    <div ref={containerRef} className={cn("relative", className, isOpen && "opacity-100")}>
+      <button
+        type="button"
+        onClick={(event) => {
+          event.stopPropagation();
+          setIsOpen((open) => !open);
+        }}
+        className="rounded-md px-2 py-1 text-slate-400 transition hover:bg-white/10 hover:text-white"
+        aria-label={`Options for ${conversation.name}`}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        ⋯
+      </button>
+      {isOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 top-full z-30 mt-1 w-48 overflow-hidden rounded-lg border border-white/10 bg-slate-900 py-1 shadow-xl"
+        >
+          {isMuted ? (
+            <button type="button" role="menuitem" className={itemClass} onClick={run(() => onUnmute?.(conversation.id))}>
+              Unmute
+            </button>
+          ) : (
+            MUTE_OPTIONS.map((option) => (
+              <button
+                key={option.label}
+                type="button"
+                role="menuitem"
+                className={itemClass}
+                onClick={run(() =>
+                  onMute?.(
+                    conversation.id,
+                    option.duration ? new Date(Date.now() + option.duration).toISOString() : null
+                  )
+                )}
+              >
+                {option.label}
+              </button>
+            ))
+          )}
+          {otherMember && (
+            <>
+              <div className="my-1 border-t border-white/10" />
+              {conversation.blockedByMe ? (
+                <button
+                  type="button"
+                  role="menuitem"
+                  className={itemClass}
+                  onClick={run(() => onUnblock?.(otherMember.clerkUserId, conversation.id))}
+                >
+                  Unblock {otherMember.displayName}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  role="menuitem"
+                  className={cn(itemClass, "text-red-300")}
+                  onClick={run(() => {
+                    if (window.confirm(`Block ${otherMember.displayName}? They won't be able to message you.`)) {
+                      onBlock?.(otherMember.clerkUserId, conversation.id);
+                    }
+                  })}
+                >
+                  Block {otherMember.displayName}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from "react";
+import { cn } from "../lib/utils";
+
+function LinkPreviewCard({ preview }) {
+  const [showImage, setShowImage] = useState(Boolean(preview.imageUrl));
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noreferrer noopener"
+      className="flex w-full max-w-sm overflow-hidden rounded-2xl border border-white/10 bg-white/[0.06] text-left transition hover:bg-white/[0.1]"
+    >
+      {showImage && (
+        <img
+          src={preview.imageUrl}
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          onError={() => setShowImage(false)}
+          className="h-auto w-24 shrink-0 object-cover"
+        />
+      )}
+      <span className="flex min-w-0 flex-1 flex-col gap-0.5 px-3 py-2">
+        <span className="truncate text-[10px] uppercase tracking-wide text-slate-400">{preview.siteName}</span>
+        {preview.title && (
+          <span className="line-clamp-2 text-sm font-semibold text-slate-100">{preview.title}</span>
+        )}
+        {preview.description && (
+          <span className="line-clamp-2 text-xs text-slate-300">{preview.description}</span>
+        )}
+      </span>
+    </a>
+  );
+}
+
+export default function LinkPreviews({ previews, isMine }) {
+  if (!previews?.length) return null;
+
+  return (
+    <div className={cn("flex w-full flex-col gap-2", isMine ? "items-end" : "items-start")}>
+      {previews.map((preview) => (
+        <LinkPreviewCard key={preview.url} preview={preview} />
+      ))}
+    </div>
+  );
+}
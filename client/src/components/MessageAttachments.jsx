@@ -0,0 +1,53 @@
+import { resolveAssetUrl } from "../lib/api";
+import { cn, formatFileSize } from "../lib/utils";
+
+export default function MessageAttachments({ attachments, isMine }) {
+  if (!attachments?.length) return null;
+
+  const images = attachments.filter((file) => file.mimeType?.startsWith("image/"));
+  const files = attachments.filter((file) => !file.mimeType?.startsWith("image/"));
+
+  return (
+    <div className={cn("flex flex-col gap-2", isMine ? "items-end" : "items-start")}>
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map((image) => (
+            <a
+              key={image.attachmentId || image.url}
+              href={resolveAssetUrl(image.url)}
+              target="_blank"
+              rel="noreferrer"
+              className="overflow-hidden rounded-2xl border border-white/10 bg-black/20"
+            >
+              <img
+                src={resolveAssetUrl(image.thumbnailUrl || image.url)}
+                alt={image.name}
+                width={image.width}
+                height={image.height}
+                loading="lazy"
+                className="max-h-60 max-w-[240px] object-cover"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {files.map((file) => (
+        <a
+          key={file.attachmentId || file.url}
+          href={resolveAssetUrl(file.url)}
+          target="_blank"
+          rel="noreferrer"
+          download={file.name}
+          className="flex min-w-[200px] items-center gap-3 rounded-2xl border border-white/10 bg-white/[0.06] px-4 py-3 text-left text-sm text-slate-100 transition hover:bg-white/[0.1]"
+        >
+          <span className="text-lg" aria-hidden>📄</span>
+          <span className="flex-1 overflow-hidden">
+            <span className="block truncate font-medium">{file.name}</span>
+            <span className="block text-[11px] text-slate-400">{formatFileSize(file.size)}</span>
+          </span>
+        </a>
+      ))}
+    </div>
+  );
+}
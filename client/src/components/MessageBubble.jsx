@@ -1,4 +1,6 @@
 import { Avatar } from "./ui/avatar";
+import MessageAttachments from "./MessageAttachments";
+import LinkPreviews from "./LinkPreviews";
 import { cn } from "../lib/utils";
 
 const timeFormatter = new Intl.DateTimeFormat(undefined, {
@@ -12,20 +14,81 @@ const statusLabelMap = {
   seen: "Seen"
 };
 
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+function describeStatus(message) {
+  const receipts = message.receipts;
+  if (!receipts || receipts.recipientCount <= 1) {
+    return statusLabelMap[message.status] || "Sent";
+  }
+
+  const { recipientCount, deliveredCount, seenCount } = receipts;
+  if (seenCount >= recipientCount) return "Seen by all";
+  if (seenCount > 0) return `Seen by ${seenCount} of ${recipientCount}`;
+  if (deliveredCount >= recipientCount) return "Delivered";
+  if (deliveredCount > 0) return `Delivered to ${deliveredCount} of ${recipientCount}`;
+  return "Sent";
+}
+
 export default function MessageBubble({
   message,
   isMine,
   currentUser,
-  otherMember
+  otherMember,
+  isHighlighted,
+  onEdit,
+  onDelete,
+  onToggleReaction,
+  onReply,
+  onOpenThread,
+  onJumpToMessage,
+  onRetrySend,
+  onDiscardSend,
+  onReviseSend,
+  onReport,
+  isPinned,
+  onTogglePin,
+  isBookmarked,
+  onToggleBookmark,
+  memberNames
 }) {
   const timestamp = message?.createdAt ? new Date(message.createdAt) : null;
-  const statusLabel = statusLabelMap[message.status] || "Sent";
+  const statusLabel = describeStatus(message);
+  const isDeleted = Boolean(message.deletedAt);
+  const isHidden = Boolean(message.hiddenAt);
+  const canModify = isMine && !isDeleted && message._id;
+  const canReact = !isDeleted && !isHidden && Boolean(message._id) && Boolean(onToggleReaction);
+  const canReply = !isDeleted && !isHidden && Boolean(message._id);
+  const canPin = !isDeleted && !isHidden && Boolean(message._id) && Boolean(onTogglePin);
+  const canBookmark = !isDeleted && !isHidden && Boolean(message._id) && Boolean(onToggleBookmark);
+  const canReport = !isMine && !isDeleted && !isHidden && Boolean(message._id) && Boolean(onReport);
+  const quote = message.replyTo;
+  const replyCount = message.threadReplyCount || 0;
+  const isQueued = Boolean(message.outboxStatus);
+  const hasFailed = message.outboxStatus === "failed";
+  // rejected by a content filter: retrying is pointless, but the text can be fixed
+  const canRevise =
+    hasFailed &&
+    Boolean(onReviseSend) &&
+    Boolean(message.outboxErrorCode?.startsWith("CONTENT_")) &&
+    !(message.attachments?.length > 0);
+  const reactions = Object.entries(message.reactions || {}).filter(
+    ([, userIds]) => userIds.length > 0
+  );
+
+  const describeReactors = (userIds) =>
+    userIds
+      .map((id) => (id === currentUser?.id ? "You" : memberNames?.get(id) || "Someone"))
+      .join(", ");
 
   return (
     <div
+      data-message-id={message._id}
       className={cn(
-        "flex items-end gap-3",
-        isMine ? "justify-end" : "justify-start"
+        "flex items-end gap-3 rounded-3xl transition-colors duration-700",
+        isQueued && !hasFailed && "opacity-70",
+        isMine ? "justify-end" : "justify-start",
+        isHighlighted && "bg-amber-300/10 ring-1 ring-amber-300/40"
       )}
     >
       {!isMine && (
@@ -39,26 +102,193 @@ export default function MessageBubble({
 
       <div
         className={cn(
-          "flex max-w-xl flex-col gap-1",
+          "group flex max-w-xl flex-col gap-1",
           isMine ? "items-end text-right" : "items-start text-left"
         )}
       >
         <p className="text-[11px] uppercase tracking-wide text-slate-400">
           {isMine ? currentUser?.name : message.senderName}
         </p>
-        <div
-          className={cn(
-            "rounded-3xl px-4 py-3 text-sm leading-relaxed shadow-lg",
-            isMine
-              ? "bg-gradient-to-r from-indigo-600/90 to-violet-600/90 text-white shadow-indigo-900/40"
-              : "border border-white/10 bg-white text-slate-900"
-          )}
-        >
-          <p className="whitespace-pre-wrap break-words">{message.text}</p>
-        </div>
+        {isDeleted ? (
+          <div className="rounded-3xl border border-dashed border-white/15 px-4 py-3 text-sm italic text-slate-400">
+            This message was deleted
+          </div>
+        ) : isHidden ? (
+          <div className="rounded-3xl border border-dashed border-amber-300/30 px-4 py-3 text-sm italic text-slate-400">
+            This message was hidden by a moderator
+          </div>
+        ) : (
+          <>
+            {quote && (
+              <button
+                type="button"
+                onClick={() => onJumpToMessage?.(quote.messageId)}
+                className="max-w-full rounded-2xl border-l-2 border-indigo-300/70 bg-white/5 px-3 py-2 text-left text-xs text-slate-300 transition hover:bg-white/10"
+              >
+                <span className="block font-semibold text-indigo-200">{quote.senderName}</span>
+                <span className="line-clamp-2 break-words italic">
+                  {quote.deleted
+                    ? "Original message was deleted"
+                    : quote.hidden
+                      ? "Original message was hidden"
+                      : quote.text}
+                </span>
+              </button>
+            )}
+            <MessageAttachments attachments={message.attachments} isMine={isMine} />
+            {message.text && (
+              <div
+                className={cn(
+                  "rounded-3xl px-4 py-3 text-sm leading-relaxed shadow-lg",
+                  isMine
+                    ? "bg-gradient-to-r from-indigo-600/90 to-violet-600/90 text-white shadow-indigo-900/40"
+                    : "border border-white/10 bg-white text-slate-900"
+                )}
+              >
+                <p className="whitespace-pre-wrap break-words">{message.text}</p>
+              </div>
+            )}
+            <LinkPreviews previews={message.linkPreviews} isMine={isMine} />
+          </>
+        )}
+        {replyCount > 0 && onOpenThread && (
+          <button
+            type="button"
+            onClick={() => onOpenThread(message)}
+            className="text-xs font-medium text-indigo-200 hover:text-white"
+          >
+            {replyCount === 1 ? "1 reply" : `${replyCount} replies`}
+            {message.threadLastReplyAt && (
+              <span className="ml-1 font-normal text-slate-400">
+                · last {timeFormatter.format(new Date(message.threadLastReplyAt))}
+              </span>
+            )}
+          </button>
+        )}
+        {canReact && reactions.length > 0 && (
+          <div className={cn("flex flex-wrap gap-1", isMine && "justify-end")}>
+            {reactions.map(([emoji, userIds]) => {
+              const isOwn = userIds.includes(currentUser?.id);
+              return (
+                <button
+                  key={emoji}
+                  type="button"
+                  title={describeReactors(userIds)}
+                  onClick={() => onToggleReaction(message, emoji)}
+                  className={cn(
+                    "flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs transition",
+                    isOwn
+                      ? "border-indigo-400/60 bg-indigo-500/20 text-indigo-100"
+                      : "border-white/10 bg-white/5 text-slate-300 hover:border-white/30"
+                  )}
+                >
+                  <span>{emoji}</span>
+                  <span className="text-[10px] font-semibold">{userIds.length}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
         <div className="flex items-center gap-2 text-[10px] uppercase tracking-wide text-slate-400/90">
           {timestamp && <span>{timeFormatter.format(timestamp)}</span>}
-          {isMine && (
+          {message.editedAt && !isDeleted && (
+            <span title={`Edited ${new Date(message.editedAt).toLocaleString()}`}>Edited</span>
+          )}
+          {isPinned && !isDeleted && <span className="text-amber-200/80">📌 Pinned</span>}
+          {isBookmarked && !isDeleted && <span className="text-amber-200/80">★ Saved</span>}
+          {canReact && (
+            <span className="hidden gap-1 group-hover:inline-flex">
+              {QUICK_REACTIONS.map((emoji) => (
+                <button
+                  key={emoji}
+                  type="button"
+                  aria-label={`React with ${emoji}`}
+                  onClick={() => onToggleReaction(message, emoji)}
+                  className="text-sm normal-case transition hover:scale-125"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </span>
+          )}
+          {canReply && (onReply || onOpenThread) && (
+            <span className="hidden gap-2 group-hover:inline-flex">
+              {onReply && (
+                <button type="button" onClick={() => onReply(message)} className="hover:text-white">
+                  Reply
+                </button>
+              )}
+              {onOpenThread && !message.threadRootId && (
+                <button type="button" onClick={() => onOpenThread(message)} className="hover:text-white">
+                  Thread
+                </button>
+              )}
+            </span>
+          )}
+          {(canPin || canBookmark) && (
+            <span className="hidden gap-2 group-hover:inline-flex">
+              {canPin && (
+                <button type="button" onClick={() => onTogglePin(message)} className="hover:text-white">
+                  {isPinned ? "Unpin" : "Pin"}
+                </button>
+              )}
+              {canBookmark && (
+                <button type="button" onClick={() => onToggleBookmark(message)} className="hover:text-white">
+                  {isBookmarked ? "Unsave" : "Save"}
+                </button>
+              )}
+            </span>
+          )}
+          {canModify && (onEdit || onDelete) && (
+            <span className="hidden gap-2 group-hover:inline-flex">
+              {onEdit && !isHidden && (
+                <button type="button" onClick={() => onEdit(message)} className="hover:text-white">
+                  Edit
+                </button>
+              )}
+              {onDelete && (
+                <button type="button" onClick={() => onDelete(message)} className="hover:text-red-300">
+                  Delete
+                </button>
+              )}
+            </span>
+          )}
+          {canReport && (
+            <span className="hidden group-hover:inline-flex">
+              <button type="button" onClick={() => onReport(message)} className="hover:text-red-300">
+                Report
+              </button>
+            </span>
+          )}
+          {isQueued && !hasFailed && <span className="text-indigo-200">Sending…</span>}
+          {hasFailed && (
+            <span className="inline-flex gap-2 normal-case">
+              <span className="font-semibold text-red-300" title={message.outboxError || undefined}>
+                {message.outboxError || "Not sent"}
+              </span>
+              {canRevise ? (
+                <button type="button" onClick={() => onReviseSend(message)} className="hover:text-white">
+                  Edit
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onRetrySend?.(message.clientMessageId)}
+                  className="hover:text-white"
+                >
+                  Retry
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onDiscardSend?.(message.clientMessageId)}
+                className="hover:text-red-300"
+              >
+                Discard
+              </button>
+            </span>
+          )}
+          {isMine && !isDeleted && !isQueued && (
             <span
               className={cn(
                 "font-semibold",
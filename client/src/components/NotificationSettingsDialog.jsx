@@ -0,0 +1,130 @@
+import { Button } from "./ui/button";
+import {
+  Dialog,
+  DialogCloseButton,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from "./ui/dialog";
+
+const DIGEST_OPTIONS = [
+  { value: "off", label: "Never" },
+  { value: "hourly", label: "Hourly" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" }
+];
+
+const PREFERENCE_OPTIONS = [
+  { key: "directMessages", label: "Direct messages" },
+  { key: "groupMessages", label: "Group messages" },
+  { key: "showPreviews", label: "Show message text in notifications" }
+];
+
+function describeDeviceStatus(notifications) {
+  if (!notifications.isSupported) return "This browser doesn't support push notifications.";
+  if (!notifications.isAvailable) return "Push notifications aren't set up on this server yet.";
+  if (notifications.permission === "denied") {
+    return "Notifications are blocked for this site. Allow them in your browser settings.";
+  }
+  return notifications.isSubscribed
+    ? "This device gets a notification when a message arrives while you're away."
+    : "Turn on notifications to hear about new messages when this tab is closed or in the background.";
+}
+
+export default function NotificationSettingsDialog({ notifications, onClose }) {
+  const { preferences } = notifications;
+  const canToggleDevice =
+    notifications.isSupported && notifications.isAvailable && notifications.permission !== "denied";
+  const isPushOn = preferences?.push !== false;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Notifications</DialogTitle>
+          <DialogDescription>
+            Muted conversations never notify or email you, whatever you choose here.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="flex items-center justify-between gap-4 rounded-xl border border-white/10 bg-white/5 px-4 py-3">
+            <div>
+              <p className="text-sm font-medium text-white">This device</p>
+              <p className="text-xs text-slate-400">{describeDeviceStatus(notifications)}</p>
+            </div>
+            {canToggleDevice && (
+              <Button
+                size="sm"
+                variant={notifications.isSubscribed ? "ghost" : "secondary"}
+                disabled={notifications.isBusy}
+                onClick={notifications.isSubscribed ? notifications.disablePush : notifications.enablePush}
+              >
+                {notifications.isBusy ? "…" : notifications.isSubscribed ? "Turn off" : "Turn on"}
+              </Button>
+            )}
+          </div>
+
+          {preferences && (
+            <fieldset className="space-y-2">
+              <label className="flex items-center gap-3 text-sm text-slate-200">
+                <input
+                  type="checkbox"
+                  checked={isPushOn}
+                  onChange={(event) => notifications.updatePreference("push", event.target.checked)}
+                  className="h-4 w-4 accent-indigo-500"
+                />
+                Send push notifications to my devices
+              </label>
+              {PREFERENCE_OPTIONS.map((option) => (
+                <label key={option.key} className="ml-7 flex items-center gap-3 text-sm text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={preferences[option.key] !== false}
+                    disabled={!isPushOn}
+                    onChange={(event) => notifications.updatePreference(option.key, event.target.checked)}
+                    className="h-4 w-4 accent-indigo-500 disabled:opacity-40"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          {preferences && (
+            <label className="flex items-center justify-between gap-4 text-sm text-slate-200">
+              <span>
+                Email me about unread messages
+                <span className="block text-xs text-slate-400">
+                  {preferences.canEmail === false
+                    ? "Your account has no verified email address to send these to."
+                    : "Only while you're away from the app."}
+                </span>
+              </span>
+              <select
+                value={preferences.emailDigest || "daily"}
+                disabled={preferences.canEmail === false}
+                onChange={(event) => notifications.updatePreference("emailDigest", event.target.value)}
+                className="rounded-lg border border-white/10 bg-slate-950/60 px-3 py-1.5 text-sm text-slate-100 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60 disabled:opacity-40"
+              >
+                {DIGEST_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {notifications.error && <p className="text-xs text-red-300">{notifications.error}</p>}
+        </div>
+
+        <DialogFooter>
+          <DialogCloseButton>Done</DialogCloseButton>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
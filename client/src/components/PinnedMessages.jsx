@@ -0,0 +1,87 @@
+import { useState } from "react";
+import { cn } from "../lib/utils";
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, {
+  month: "short",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric"
+});
+
+function describePinnedText(message) {
+  if (message.hiddenAt) return "Hidden by a moderator";
+  if (message.text) return message.text;
+  const count = message.attachments?.length || 0;
+  return count === 1 ? "📎 Attachment" : `📎 ${count} attachments`;
+}
+
+// the newest pin sits under the header; the rest open in a drawer below it
+export default function PinnedMessages({ pins, memberNames, currentUserId, onJumpToMessage, onUnpin }) {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!pins || pins.length === 0) return null;
+
+  const [latest] = pins;
+  const describePinner = (userId) =>
+    userId === currentUserId ? "you" : memberNames?.get(userId) || "someone";
+
+  const handleOpen = (messageId) => {
+    setIsOpen(false);
+    onJumpToMessage(messageId);
+  };
+
+  return (
+    <div className="border-b border-white/10 bg-white/[0.03]">
+      <div className="flex items-center gap-3 px-6 py-2 text-xs">
+        <span aria-hidden>📌</span>
+        <button
+          type="button"
+          onClick={() => handleOpen(latest.messageId)}
+          className="min-w-0 flex-1 truncate text-left text-slate-300 hover:text-white"
+        >
+          <span className="font-semibold text-indigo-200">{latest.message.senderName}:</span>{" "}
+          {describePinnedText(latest.message)}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen((open) => !open)}
+          aria-expanded={isOpen}
+          className="shrink-0 text-slate-400 hover:text-white"
+        >
+          {isOpen ? "Hide" : `${pins.length} pinned`}
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul className="custom-scroll max-h-64 space-y-1 overflow-y-auto px-4 pb-3">
+          {pins.map((pin) => (
+            <li
+              key={pin.messageId}
+              className="group flex items-start gap-3 rounded-xl px-2 py-2 hover:bg-white/[0.05]"
+            >
+              <button
+                type="button"
+                onClick={() => handleOpen(pin.messageId)}
+                className="min-w-0 flex-1 text-left text-xs"
+              >
+                <span className="block font-semibold text-indigo-200">{pin.message.senderName}</span>
+                <span className={cn("line-clamp-2 break-words text-slate-300", pin.message.hiddenAt && "italic")}>
+                  {describePinnedText(pin.message)}
+                </span>
+                <span className="mt-1 block text-[10px] uppercase tracking-wide text-slate-500">
+                  Pinned by {describePinner(pin.pinnedBy)} · {dateFormatter.format(new Date(pin.pinnedAt))}
+                </span>
+              </button>
+              <button
+                type="button"
+                onClick={() => onUnpin(pin.messageId)}
+                className="hidden shrink-0 text-[10px] uppercase tracking-wide text-slate-400 hover:text-red-300 group-hover:inline"
+              >
+                Unpin
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { Button } from "./ui/button";
+import {
+  Dialog,
+  DialogCloseButton,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from "./ui/dialog";
+import { cn } from "../lib/utils";
+
+// keep in sync with Report.REASONS on the server
+const REASONS = [
+  { value: "spam", label: "Spam or scam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "sexual", label: "Sexual content" },
+  { value: "violence", label: "Violence or threats" },
+  { value: "self_harm", label: "Self-harm" },
+  { value: "other", label: "Something else" }
+];
+
+const MAX_DETAILS_LENGTH = 500;
+
+export default function ReportMessageDialog({ message, onSubmit, onClose }) {
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async () => {
+    if (!reason) return;
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(message, { reason, details: details.trim() });
+      setIsDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || "The report could not be sent. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{isDone ? "Thanks for letting us know" : "Report message"}</DialogTitle>
+          <DialogDescription>
+            {isDone
+              ? "A moderator will review it. The sender isn't told who reported them."
+              : `Why are you reporting this message from ${message.senderName}?`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!isDone && (
+          <div className="mt-4 space-y-3">
+            <p className="line-clamp-3 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs italic text-slate-300">
+              {message.text || "Attachment"}
+            </p>
+            <div className="grid grid-cols-2 gap-2">
+              {REASONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setReason(option.value)}
+                  className={cn(
+                    "rounded-lg border px-3 py-2 text-left text-xs transition",
+                    reason === option.value
+                      ? "border-indigo-400/60 bg-indigo-500/20 text-indigo-100"
+                      : "border-white/10 text-slate-300 hover:border-white/30"
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <textarea
+              value={details}
+              onChange={(event) => setDetails(event.target.value)}
+              maxLength={MAX_DETAILS_LENGTH}
+              rows={3}
+              placeholder="Anything else the moderators should know? (optional)"
+              className="w-full rounded-lg border border-white/10 bg-slate-950/60 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-500 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60"
+            />
+            {error && <p className="text-xs text-red-300">{error}</p>}
+          </div>
+        )}
+
+        <DialogFooter>
+          <DialogCloseButton>{isDone ? "Done" : "Cancel"}</DialogCloseButton>
+          {!isDone && (
+            <Button onClick={handleSubmit} disabled={!reason || isSubmitting}>
+              {isSubmitting ? "Sending…" : "Report"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,11 +1,13 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { Avatar } from "./ui/avatar";
 import { Button } from "./ui/button";
 import { Badge } from "./ui/badge";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger, DialogCloseButton } from "./ui/dialog";
 import { Input } from "./ui/input";
 import { ScrollArea } from "./ui/scroll-area";
-import { cn } from "../lib/utils";
+import ConversationActions from "./ConversationActions";
+import NotificationSettingsDialog from "./NotificationSettingsDialog";
+import { cn, describeMute, isConversationMuted } from "../lib/utils";
 
 const ordinals = new Intl.DateTimeFormat(undefined, {
   hour: "numeric",
@@ -29,6 +31,26 @@ function formatTimestamp(dateLike) {
   return date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
 }
 
+const MIN_SEARCH_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// renders server-provided [start, end) ranges as <mark>, never as raw HTML
+function HighlightedSnippet({ snippet, highlights }) {
+  const parts = [];
+  let cursor = 0;
+  (highlights || []).forEach(([start, end], index) => {
+    if (start > cursor) parts.push(snippet.slice(cursor, start));
+    parts.push(
+      <mark key={index} className="rounded bg-amber-300/30 px-0.5 text-amber-100">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+}
+
 function lastMessagePreview(message) {
   if (!message || !message.text) return "No messages yet";
   return message.text.length > 48 ? `${message.text.slice(0, 48)}…` : message.text;
@@ -40,16 +62,68 @@ export default function Sidebar({
   currentAvatar,
   conversations,
   directory,
+  presence,
   isBootstrapping,
   isLoadingConversations,
   onSelectConversation,
   onStartConversation,
+  onCreateGroup,
+  onSearchMessages,
+  onOpenSearchResult,
   onRefresh,
+  onMuteConversation,
+  onUnmuteConversation,
+  onBlockUser,
+  onUnblockUser,
+  notifications,
+  bookmarks,
   error,
   activeConversationId
 }) {
   const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [isNotificationSettingsOpen, setIsNotificationSettingsOpen] = useState(false);
   const [search, setSearch] = useState("");
+  const [dialogMode, setDialogMode] = useState("direct");
+  const [groupName, setGroupName] = useState("");
+  const [selectedMemberIds, setSelectedMemberIds] = useState([]);
+  const [isCreatingGroup, setIsCreatingGroup] = useState(false);
+  const [messageResults, setMessageResults] = useState([]);
+  const [isSearchingMessages, setIsSearchingMessages] = useState(false);
+  const [view, setView] = useState("chats");
+  const [bookmarkError, setBookmarkError] = useState(null);
+
+  const searchTerm = search.trim();
+  const isSavedView = view === "saved" && Boolean(bookmarks);
+  const isMessageSearch =
+    !isSavedView && Boolean(onSearchMessages) && searchTerm.length >= MIN_SEARCH_LENGTH;
+
+  useEffect(() => {
+    if (!isMessageSearch) {
+      setMessageResults([]);
+      return;
+    }
+    let active = true;
+    const timer = setTimeout(async () => {
+      setIsSearchingMessages(true);
+      try {
+        const data = await onSearchMessages(searchTerm);
+        if (active) setMessageResults(data?.results || []);
+      } catch {
+        if (active) setMessageResults([]);
+      } finally {
+        if (active) setIsSearchingMessages(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [isMessageSearch, searchTerm, onSearchMessages]);
+
+  const conversationNames = useMemo(
+    () => new Map(conversations.map((conversation) => [conversation.id, conversation.name])),
+    [conversations]
+  );
 
   const filteredConversations = useMemo(() => {
     if (!search.trim()) return conversations;
@@ -71,6 +145,33 @@ export default function Sidebar({
     );
   }, [directory, search]);
 
+  // the search box narrows saved messages the same way it narrows chats
+  const filteredBookmarks = useMemo(() => {
+    const saved = bookmarks?.bookmarks || [];
+    const term = searchTerm.toLowerCase();
+    if (!term) return saved;
+    return saved.filter(
+      (bookmark) =>
+        bookmark.snippet?.toLowerCase().includes(term) ||
+        bookmark.senderName?.toLowerCase().includes(term) ||
+        bookmark.conversation?.name?.toLowerCase().includes(term)
+    );
+  }, [bookmarks, searchTerm]);
+
+  // thread replies aren't in the main timeline, so open the thread's root instead
+  const handleOpenBookmark = (bookmark) => {
+    onOpenSearchResult?.(bookmark.conversationId, bookmark.threadRootId || bookmark.messageId);
+  };
+
+  const handleRemoveBookmark = async (messageId) => {
+    setBookmarkError(null);
+    try {
+      await bookmarks.remove(messageId);
+    } catch {
+      setBookmarkError("The message could not be removed from Saved. Please try again.");
+    }
+  };
+
   const handleConversationClick = (conversationId) => {
     onSelectConversation?.(conversationId);
   };
@@ -80,6 +181,38 @@ export default function Sidebar({
     setIsDialogOpen(false);
   };
 
+  const handleDialogOpenChange = (open) => {
+    setIsDialogOpen(open);
+    if (!open) {
+      setDialogMode("direct");
+      setGroupName("");
+      setSelectedMemberIds([]);
+    }
+  };
+
+  const toggleMember = (userId) => {
+    setSelectedMemberIds((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleCreateGroup = async (event) => {
+    event.preventDefault();
+    if (!groupName.trim() || selectedMemberIds.length === 0) return;
+
+    setIsCreatingGroup(true);
+    try {
+      const created = await onCreateGroup?.(groupName.trim(), selectedMemberIds);
+      if (created) {
+        handleDialogOpenChange(false);
+      }
+    } finally {
+      setIsCreatingGroup(false);
+    }
+  };
+
+  const isGroupMode = dialogMode === "group";
+
   return (
     <aside className="flex w-80 shrink-0 flex-col rounded-3xl border border-white/10 bg-sidebar-gradient/90 p-4">
       <div className="flex items-center justify-between rounded-2xl border border-white/10 bg-white/[0.03] px-4 py-3">
@@ -90,19 +223,60 @@ export default function Sidebar({
             <p className="text-xs text-slate-400">Clerk · Secure workspace</p>
           </div>
         </div>
-        <Button variant="ghost" size="sm" onClick={onRefresh} disabled={isLoadingConversations}>
-          {isLoadingConversations ? "…" : "↻"}
-        </Button>
+        <div className="flex items-center gap-1">
+          {notifications && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setIsNotificationSettingsOpen(true)}
+              aria-label="Notification settings"
+              title="Notification settings"
+            >
+              {notifications.isSubscribed ? "🔔" : "🔕"}
+            </Button>
+          )}
+          <Button variant="ghost" size="sm" onClick={onRefresh} disabled={isLoadingConversations}>
+            {isLoadingConversations ? "…" : "↻"}
+          </Button>
+        </div>
       </div>
 
+      {isNotificationSettingsOpen && (
+        <NotificationSettingsDialog
+          notifications={notifications}
+          onClose={() => setIsNotificationSettingsOpen(false)}
+        />
+      )}
+
       <div className="mt-4">
         <Input
-          placeholder="Search chats or people..."
+          placeholder={isSavedView ? "Search saved messages..." : "Search chats or people..."}
           value={search}
           onChange={(event) => setSearch(event.target.value)}
         />
       </div>
 
+      {bookmarks && (
+        <div className="mt-3 flex gap-2">
+          <Button
+            size="sm"
+            variant={isSavedView ? "ghost" : "secondary"}
+            onClick={() => setView("chats")}
+            aria-pressed={!isSavedView}
+          >
+            Chats
+          </Button>
+          <Button
+            size="sm"
+            variant={isSavedView ? "secondary" : "ghost"}
+            onClick={() => setView("saved")}
+            aria-pressed={isSavedView}
+          >
+            ★ Saved{bookmarks.bookmarks.length > 0 ? ` (${bookmarks.bookmarks.length})` : ""}
+          </Button>
+        </div>
+      )}
+
       <div className="mt-4 flex items-center justify-between">
         <div>
           <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">Conversations</p>
@@ -110,7 +284,7 @@ export default function Sidebar({
             {conversations.length} active {conversations.length === 1 ? "chat" : "chats"}
           </p>
         </div>
-        <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <Dialog open={isDialogOpen} onOpenChange={handleDialogOpenChange}>
           <DialogTrigger asChild>
             <Button size="sm" variant="secondary">
               New Chat
@@ -118,119 +292,285 @@ export default function Sidebar({
           </DialogTrigger>
           <DialogContent>
             <DialogHeader>
-              <DialogTitle>Start a conversation</DialogTitle>
+              <DialogTitle>{isGroupMode ? "Create a group" : "Start a conversation"}</DialogTitle>
               <DialogDescription>
-                Pick a teammate from the roster. New chats appear instantly in your sidebar.
+                {isGroupMode
+                  ? "Name the group and pick the teammates to invite. You'll be its admin."
+                  : "Pick a teammate from the roster. New chats appear instantly in your sidebar."}
               </DialogDescription>
             </DialogHeader>
 
+            <div className="mt-4 flex gap-2">
+              <Button
+                size="sm"
+                variant={isGroupMode ? "ghost" : "secondary"}
+                onClick={() => setDialogMode("direct")}
+              >
+                Direct
+              </Button>
+              <Button
+                size="sm"
+                variant={isGroupMode ? "secondary" : "ghost"}
+                onClick={() => setDialogMode("group")}
+              >
+                Group
+              </Button>
+            </div>
+
+            {isGroupMode && (
+              <div className="mt-4">
+                <Input
+                  placeholder="Group name"
+                  value={groupName}
+                  maxLength={80}
+                  onChange={(event) => setGroupName(event.target.value)}
+                />
+              </div>
+            )}
+
             <ScrollArea className="mt-4 h-64">
               <div className="space-y-2 pr-2">
                 {filteredDirectory.length === 0 && (
                   <p className="text-sm text-slate-400">No teammates match your search.</p>
                 )}
-                {filteredDirectory.map((person) => (
-                  <button
-                    key={person.clerkUserId}
-                    onClick={() => handleStartConversation(person.clerkUserId)}
-                    className="flex w-full items-center gap-3 rounded-xl border border-white/5 bg-white/[0.04] px-3 py-2 text-left transition hover:border-indigo-500/60 hover:bg-indigo-500/10"
-                  >
-                    <Avatar
-                      src={person.avatarUrl}
-                      alt={person.displayName}
-                      fallback={person.displayName}
-                      size="sm"
-                    />
-                    <div className="flex-1">
-                      <p className="text-sm font-medium text-white">{person.displayName}</p>
-                      {person.email && (
-                        <p className="text-[11px] text-slate-400">{person.email}</p>
+                {filteredDirectory.map((person) => {
+                  const isSelected = selectedMemberIds.includes(person.clerkUserId);
+                  return (
+                    <button
+                      key={person.clerkUserId}
+                      onClick={() =>
+                        isGroupMode
+                          ? toggleMember(person.clerkUserId)
+                          : handleStartConversation(person.clerkUserId)
+                      }
+                      aria-pressed={isGroupMode ? isSelected : undefined}
+                      className={cn(
+                        "flex w-full items-center gap-3 rounded-xl border border-white/5 bg-white/[0.04] px-3 py-2 text-left transition hover:border-indigo-500/60 hover:bg-indigo-500/10",
+                        isGroupMode && isSelected && "border-indigo-500/60 bg-indigo-500/10"
                       )}
-                    </div>
-                    <span className="text-xs text-indigo-300">Chat →</span>
-                  </button>
-                ))}
+                    >
+                      <Avatar
+                        src={person.avatarUrl}
+                        alt={person.displayName}
+                        fallback={person.displayName}
+                        size="sm"
+                      />
+                      <div className="flex-1">
+                        <p className="text-sm font-medium text-white">{person.displayName}</p>
+                        {person.email && (
+                          <p className="text-[11px] text-slate-400">{person.email}</p>
+                        )}
+                      </div>
+                      {isGroupMode ? (
+                        <span className={cn("text-xs", isSelected ? "text-indigo-300" : "text-slate-500")}>
+                          {isSelected ? "✓ Added" : "Add"}
+                        </span>
+                      ) : (
+                        <span className="text-xs text-indigo-300">Chat →</span>
+                      )}
+                    </button>
+                  );
+                })}
               </div>
             </ScrollArea>
 
             <DialogFooter>
               <DialogCloseButton />
+              {isGroupMode && (
+                <Button
+                  onClick={handleCreateGroup}
+                  disabled={!groupName.trim() || selectedMemberIds.length === 0 || isCreatingGroup}
+                >
+                  {isCreatingGroup
+                    ? "Creating…"
+                    : `Create group${selectedMemberIds.length ? ` (${selectedMemberIds.length + 1})` : ""}`}
+                </Button>
+              )}
             </DialogFooter>
           </DialogContent>
         </Dialog>
       </div>
 
-      <ScrollArea className="mt-4 flex-1 rounded-2xl border border-white/5 bg-white/[0.03]">
-        <div className="space-y-1 py-2">
-          {error && (
-            <div className="mx-3 rounded-xl border border-red-500/40 bg-red-500/10 px-3 py-2 text-xs text-red-200">
-              {error}
-            </div>
-          )}
+      {isSavedView ? (
+        <ScrollArea className="mt-4 flex-1 rounded-2xl border border-white/5 bg-white/[0.03]">
+          <div className="space-y-1 py-2">
+            {(bookmarkError || bookmarks.error) && (
+              <div className="mx-3 rounded-xl border border-red-500/40 bg-red-500/10 px-3 py-2 text-xs text-red-200">
+                {bookmarkError || bookmarks.error}
+              </div>
+            )}
 
-          {isBootstrapping && (
-            <div className="space-y-2 px-3 py-2">
-              {Array.from({ length: 5 }).map((_, index) => (
-                <div
-                  key={index}
-                  className="animate-pulse rounded-xl border border-white/5 bg-white/[0.06] px-3 py-3"
+            {bookmarks.isLoading && bookmarks.bookmarks.length === 0 && (
+              <p className="px-4 py-2 text-xs text-slate-500">Loading saved messages…</p>
+            )}
+
+            {!bookmarks.isLoading && filteredBookmarks.length === 0 && (
+              <div className="px-4 py-6 text-center text-sm text-slate-400">
+                {searchTerm
+                  ? `No saved messages match “${searchTerm}”.`
+                  : "Nothing saved yet. Hover a message and choose Save to keep it here."}
+              </div>
+            )}
+
+            {filteredBookmarks.map((bookmark) => (
+              <div
+                key={bookmark.messageId}
+                className="group relative flex w-full items-start rounded-xl transition hover:bg-white/[0.06]"
+              >
+                <button
+                  onClick={() => handleOpenBookmark(bookmark)}
+                  className="flex min-w-0 flex-1 flex-col gap-1 rounded-xl px-4 py-2 text-left focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60"
                 >
-                  <div className="flex items-center gap-3">
-                    <div className="h-10 w-10 rounded-full bg-white/10" />
-                    <div className="flex-1 space-y-2">
-                      <div className="h-3 w-2/3 rounded-full bg-white/10" />
-                      <div className="h-3 w-1/2 rounded-full bg-white/5" />
+                  <span className="flex items-center justify-between gap-2 text-[11px] text-slate-400">
+                    <span className="truncate">
+                      {bookmark.senderName} · {bookmark.conversation?.name || "Conversation"}
+                    </span>
+                    <span className="shrink-0 text-slate-500">{formatTimestamp(bookmark.createdAt)}</span>
+                  </span>
+                  <span className="line-clamp-2 break-words text-xs text-slate-200">{bookmark.snippet}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveBookmark(bookmark.messageId)}
+                  aria-label="Remove from saved"
+                  title="Remove from saved"
+                  className="mr-3 mt-2 text-xs text-slate-500 opacity-0 transition hover:text-red-300 focus-visible:opacity-100 group-hover:opacity-100"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        </ScrollArea>
+      ) : (
+        <ScrollArea className="mt-4 flex-1 rounded-2xl border border-white/5 bg-white/[0.03]">
+          <div className="space-y-1 py-2">
+            {error && (
+              <div className="mx-3 rounded-xl border border-red-500/40 bg-red-500/10 px-3 py-2 text-xs text-red-200">
+                {error}
+              </div>
+            )}
+
+            {isBootstrapping && (
+              <div className="space-y-2 px-3 py-2">
+                {Array.from({ length: 5 }).map((_, index) => (
+                  <div
+                    key={index}
+                    className="animate-pulse rounded-xl border border-white/5 bg-white/[0.06] px-3 py-3"
+                  >
+                    <div className="flex items-center gap-3">
+                      <div className="h-10 w-10 rounded-full bg-white/10" />
+                      <div className="flex-1 space-y-2">
+                        <div className="h-3 w-2/3 rounded-full bg-white/10" />
+                        <div className="h-3 w-1/2 rounded-full bg-white/5" />
+                      </div>
+                      <div className="h-3 w-10 rounded-full bg-white/10" />
                     </div>
-                    <div className="h-3 w-10 rounded-full bg-white/10" />
                   </div>
-                </div>
-              ))}
-            </div>
-          )}
+                ))}
+              </div>
+            )}
 
-          {!isBootstrapping && filteredConversations.length === 0 && (
-            <div className="px-4 py-6 text-center text-sm text-slate-400">
-              No conversations yet. Use <span className="text-indigo-300">New Chat</span> to start talking.
-            </div>
-          )}
+            {!isBootstrapping && filteredConversations.length === 0 && (
+              <div className="px-4 py-6 text-center text-sm text-slate-400">
+                No conversations yet. Use <span className="text-indigo-300">New Chat</span> to start talking.
+              </div>
+            )}
 
-          {filteredConversations.map((conversation) => {
-            const isActive = conversation.id === activeConversationId;
-            const otherMember = conversation.members?.find((member) => member.clerkUserId !== currentUserId) || conversation.members?.[0];
-
-            return (
-              <button
-                key={conversation.id}
-                onClick={() => handleConversationClick(conversation.id)}
-                className={cn(
-                  "group relative flex w-full items-center gap-3 rounded-xl px-4 py-3 text-left transition focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60",
-                  isActive
-                    ? "bg-indigo-500/10 ring-1 ring-indigo-400/40"
-                    : "hover:bg-white/[0.06]"
-                )}
-              >
-                <Avatar
-                  src={conversation.isGroup ? conversation.avatar : otherMember?.avatarUrl}
-                  alt={conversation.name}
-                  fallback={conversation.name}
-                />
-                <div className="flex-1">
-                  <p className="text-sm font-semibold text-white">{conversation.name}</p>
-                  <p className="text-[11px] text-slate-400">{lastMessagePreview(conversation.lastMessage)}</p>
-                </div>
-                <div className="flex flex-col items-end gap-2">
-                  <span className="text-[11px] text-slate-500">
-                    {formatTimestamp(conversation.lastMessageAt || conversation.createdAt)}
-                  </span>
-                  {conversation.unreadCount > 0 && (
-                    <Badge variant="outline">{conversation.unreadCount}</Badge>
+            {filteredConversations.map((conversation) => {
+              const isActive = conversation.id === activeConversationId;
+              const otherMember = conversation.members?.find((member) => member.clerkUserId !== currentUserId) || conversation.members?.[0];
+              // muted conversations keep counting unread messages but don't show the badge
+              const isMuted = isConversationMuted(conversation);
+
+              return (
+                <div
+                  key={conversation.id}
+                  className={cn(
+                    "group relative flex w-full items-center rounded-xl transition",
+                    isActive
+                      ? "bg-indigo-500/10 ring-1 ring-indigo-400/40"
+                      : "hover:bg-white/[0.06]"
                   )}
+                >
+                  <button
+                    onClick={() => handleConversationClick(conversation.id)}
+                    className="flex flex-1 items-center gap-3 rounded-xl px-4 py-3 text-left focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60"
+                  >
+                    <Avatar
+                      src={conversation.isGroup ? conversation.avatar : otherMember?.avatarUrl}
+                      alt={conversation.name}
+                      fallback={conversation.name}
+                      online={conversation.isGroup ? undefined : Boolean(presence?.[otherMember?.clerkUserId]?.online)}
+                    />
+                    <div className="flex-1">
+                      <p className="flex items-center gap-1 text-sm font-semibold text-white">
+                        {conversation.name}
+                        {isMuted && (
+                          <span className="text-[11px] text-slate-500" title={describeMute(conversation)}>
+                            🔕
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-[11px] text-slate-400">
+                        {conversation.blockedByMe ? "Blocked" : lastMessagePreview(conversation.lastMessage)}
+                      </p>
+                    </div>
+                    <div className="flex flex-col items-end gap-2">
+                      <span className="text-[11px] text-slate-500">
+                        {formatTimestamp(conversation.lastMessageAt || conversation.createdAt)}
+                      </span>
+                      {!isMuted && conversation.unreadCount > 0 && (
+                        <Badge variant="outline">{conversation.unreadCount}</Badge>
+                      )}
+                    </div>
+                  </button>
+                  <ConversationActions
+                    conversation={conversation}
+                    currentUserId={currentUserId}
+                    onMute={onMuteConversation}
+                    onUnmute={onUnmuteConversation}
+                    onBlock={onBlockUser}
+                    onUnblock={onUnblockUser}
+                    className="mr-2 opacity-0 transition group-hover:opacity-100 focus-within:opacity-100"
+                  />
                 </div>
-              </button>
-            );
-          })}
-        </div>
-      </ScrollArea>
+              );
+            })}
+
+            {isMessageSearch && (
+              <div className="mt-2 border-t border-white/5 pt-3">
+                <p className="px-4 pb-1 text-xs font-semibold uppercase tracking-wide text-slate-400">
+                  Messages
+                </p>
+                {isSearchingMessages && messageResults.length === 0 && (
+                  <p className="px-4 py-2 text-xs text-slate-500">Searching…</p>
+                )}
+                {!isSearchingMessages && messageResults.length === 0 && (
+                  <p className="px-4 py-2 text-xs text-slate-500">No messages match “{searchTerm}”.</p>
+                )}
+                {messageResults.map((result) => (
+                  <button
+                    key={result.messageId}
+                    onClick={() => onOpenSearchResult?.(result.conversationId, result.messageId)}
+                    className="flex w-full flex-col gap-1 rounded-xl px-4 py-2 text-left transition hover:bg-white/[0.06] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400/60"
+                  >
+                    <span className="flex items-center justify-between gap-2 text-[11px] text-slate-400">
+                      <span className="truncate">
+                        {result.senderName} · {conversationNames.get(result.conversationId) || "Conversation"}
+                      </span>
+                      <span className="shrink-0 text-slate-500">{formatTimestamp(result.createdAt)}</span>
+                    </span>
+                    <span className="text-xs text-slate-200">
+                      <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </ScrollArea>
+      )}
     </aside>
   );
 }
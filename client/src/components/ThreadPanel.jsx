@@ -0,0 +1,199 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import MessageBubble from "./MessageBubble";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+
+const THREAD_PAGE_SIZE = 50;
+
+export default function ThreadPanel({
+  service,
+  socket,
+  onSend,
+  conversationId,
+  rootMessage,
+  currentUser,
+  memberNames,
+  onToggleReaction,
+  onDelete,
+  onJumpToMessage,
+  onReport,
+  onClose
+}) {
+  const [root, setRoot] = useState(rootMessage);
+  const [replies, setReplies] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const viewportRef = useRef(null);
+  const rootId = rootMessage._id;
+
+  useEffect(() => {
+    let active = true;
+    setReplies([]);
+    setNextCursor(null);
+    setError(null);
+    setIsLoading(true);
+    (async () => {
+      try {
+        const data = await service.thread(rootId, { limit: THREAD_PAGE_SIZE });
+        if (!active) return;
+        setRoot(data.root);
+        setReplies(data.replies || []);
+        setNextCursor(data.nextCursor || null);
+      } catch {
+        if (active) {
+          setError("We couldn't load this thread. Please retry.");
+        }
+      } finally {
+        if (active) {
+          setIsLoading(false);
+        }
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [service, rootId]);
+
+  const loadMoreReplies = async () => {
+    if (!nextCursor) return;
+    try {
+      const data = await service.thread(rootId, { after: nextCursor, limit: THREAD_PAGE_SIZE });
+      setReplies((prev) => {
+        const known = new Set(prev.map((m) => m._id));
+        return [...prev, ...(data.replies || []).filter((m) => !known.has(m._id))];
+      });
+      setNextCursor(data.nextCursor || null);
+    } catch {
+      setError("We couldn't load more replies. Please retry.");
+    }
+  };
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNewMessage = ({ conversationId: id, message }) => {
+      if (id !== conversationId || message.threadRootId !== rootId) return;
+      setReplies((prev) => (prev.some((m) => m._id === message._id) ? prev : [...prev, message]));
+    };
+
+    const handleMessageChanged = ({ conversationId: id, message }) => {
+      if (id !== conversationId || !message) return;
+      if (message._id === rootId) {
+        setRoot((current) => ({ ...current, ...message }));
+        return;
+      }
+      setReplies((prev) => prev.map((m) => (m._id === message._id ? { ...m, ...message } : m)));
+    };
+
+    const handleReaction = ({ conversationId: id, messageId, reactions }) => {
+      if (id !== conversationId) return;
+      if (messageId === rootId) {
+        setRoot((current) => ({ ...current, reactions }));
+        return;
+      }
+      setReplies((prev) => prev.map((m) => (m._id === messageId ? { ...m, reactions } : m)));
+    };
+
+    socket.on("message:new", handleNewMessage);
+    socket.on("message:updated", handleMessageChanged);
+    socket.on("message:deleted", handleMessageChanged);
+    socket.on("message:reaction", handleReaction);
+    return () => {
+      socket.off("message:new", handleNewMessage);
+      socket.off("message:updated", handleMessageChanged);
+      socket.off("message:deleted", handleMessageChanged);
+      socket.off("message:reaction", handleReaction);
+    };
+  }, [socket, conversationId, rootId]);
+
+  // the last reply id only changes when one is appended, so this follows the thread tail
+  const lastReplyId = replies[replies.length - 1]?._id;
+  useLayoutEffect(() => {
+    const node = viewportRef.current;
+    if (node) {
+      node.scrollTop = node.scrollHeight;
+    }
+  }, [lastReplyId]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+
+    setIsSending(true);
+    setError(null);
+    try {
+      const reply = await onSend({ conversationId, text, threadRootId: rootId });
+      setReplies((prev) => (prev.some((m) => m._id === reply._id) ? prev : [...prev, reply]));
+      setDraft("");
+    } catch (err) {
+      setError(err.response?.data?.message || "Your reply could not be sent. Please try again.");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const renderBubble = (message) => (
+    <MessageBubble
+      key={message._id}
+      message={message}
+      isMine={message.senderId === currentUser.id}
+      currentUser={currentUser}
+      memberNames={memberNames}
+      onToggleReaction={onToggleReaction}
+      onDelete={onDelete}
+      onJumpToMessage={onJumpToMessage}
+      onReport={onReport}
+    />
+  );
+
+  return (
+    <aside className="absolute inset-y-0 right-0 z-20 flex w-full max-w-md flex-col border-l border-white/10 bg-slate-950/95 backdrop-blur-xl">
+      <header className="flex items-center justify-between border-b border-white/10 px-5 py-4">
+        <div>
+          <p className="text-sm font-semibold text-white">Thread</p>
+          <p className="text-xs text-slate-400">
+            {root.threadReplyCount === 1 ? "1 reply" : `${root.threadReplyCount || 0} replies`}
+          </p>
+        </div>
+        <button type="button" onClick={onClose} className="text-slate-400 hover:text-white" aria-label="Close thread">
+          ×
+        </button>
+      </header>
+
+      <div ref={viewportRef} className="flex-1 space-y-4 overflow-y-auto px-5 py-4">
+        {renderBubble(root)}
+        <div className="border-t border-white/10" />
+        {isLoading && <p className="text-center text-xs text-slate-400">Loading replies…</p>}
+        {replies.map(renderBubble)}
+        {nextCursor && (
+          <button
+            type="button"
+            onClick={loadMoreReplies}
+            className="w-full text-center text-xs text-indigo-200 hover:text-white"
+          >
+            Load more replies
+          </button>
+        )}
+      </div>
+
+      <footer className="border-t border-white/10 px-5 py-4">
+        <form onSubmit={handleSubmit} className="flex items-center gap-3">
+          <Input
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            placeholder="Reply in thread..."
+            disabled={isSending || Boolean(root.deletedAt)}
+          />
+          <Button type="submit" disabled={!draft.trim() || isSending || Boolean(root.deletedAt)}>
+            {isSending ? "Sending…" : "Reply"}
+          </Button>
+        </form>
+        {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+      </footer>
+    </aside>
+  );
+}
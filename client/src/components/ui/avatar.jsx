@@ -1,12 +1,28 @@
 import { cn } from "../../lib/utils";
 
-export function Avatar({ className, src, alt, fallback, size = "md" }) {
+export function Avatar({ className, src, alt, fallback, size = "md", online }) {
   const sizes = {
     sm: "h-8 w-8",
     md: "h-10 w-10",
     lg: "h-12 w-12"
   };
 
+  // the image is clipped to a circle, so the presence dot sits on a wrapper
+  if (typeof online === "boolean") {
+    return (
+      <div className="relative shrink-0">
+        <Avatar className={className} src={src} alt={alt} fallback={fallback} size={size} />
+        <span
+          className={cn(
+            "absolute bottom-0 right-0 h-2.5 w-2.5 rounded-full ring-2 ring-slate-900",
+            online ? "bg-emerald-400" : "bg-slate-500"
+          )}
+          aria-label={online ? "Online" : "Offline"}
+        />
+      </div>
+    );
+  }
+
   return (
     <div
       className={cn(
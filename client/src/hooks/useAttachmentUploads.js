@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+let nextUploadId = 0;
+
+// uploads start as soon as files are picked so sending only has to reference them
+export function useAttachmentUploads(attachmentsApi, conversationId) {
+  const [uploads, setUploads] = useState([]);
+  const uploadsRef = useRef(uploads);
+
+  useEffect(() => {
+    uploadsRef.current = uploads;
+  }, [uploads]);
+
+  const patchUpload = (id, patch) => {
+    setUploads((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  };
+
+  const clear = useCallback(() => {
+    uploadsRef.current.forEach((item) => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    setUploads([]);
+  }, []);
+
+  // pending uploads belong to the conversation they were started in
+  useEffect(() => clear, [conversationId, clear]);
+
+  const addFiles = useCallback((fileList) => {
+    if (!attachmentsApi || !conversationId) return;
+    Array.from(fileList || []).forEach((file) => {
+      const id = `upload-${++nextUploadId}`;
+      setUploads((prev) => [
+        ...prev,
+        {
+          id,
+          name: file.name,
+          size: file.size,
+          mimeType: file.type,
+          previewUrl: file.type.startsWith("image/") ? URL.createObjectURL(file) : null,
+          progress: 0,
+          status: "uploading",
+          attachment: null,
+          error: null
+        }
+      ]);
+
+      attachmentsApi
+        .upload(conversationId, file, (progress) => patchUpload(id, { progress }))
+        .then((attachment) => patchUpload(id, { status: "done", progress: 1, attachment }))
+        .catch((err) =>
+          patchUpload(id, {
+            status: "error",
+            error: err.response?.data?.message || "Upload failed"
+          })
+        );
+    });
+  }, [attachmentsApi, conversationId]);
+
+  const remove = useCallback((id) => {
+    setUploads((prev) => {
+      const target = prev.find((item) => item.id === id);
+      if (target?.previewUrl) URL.revokeObjectURL(target.previewUrl);
+      return prev.filter((item) => item.id !== id);
+    });
+  }, []);
+
+  return {
+    uploads,
+    addFiles,
+    remove,
+    clear,
+    isUploading: uploads.some((item) => item.status === "uploading"),
+    readyAttachments: uploads.filter((item) => item.status === "done").map((item) => item.attachment)
+  };
+}
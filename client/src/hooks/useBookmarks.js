@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+// the user's saved messages; other tabs and devices announce changes with bookmarks:update.
+// save and remove throw so callers can show the error where the user clicked
+export function useBookmarks(usersApi, socket) {
+  const [bookmarks, setBookmarks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await usersApi.bookmarks();
+      setBookmarks(Array.isArray(list) ? list : []);
+      setError(null);
+    } catch {
+      setError("We couldn't load your saved messages.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [usersApi]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on("bookmarks:update", refresh);
+    return () => {
+      socket.off("bookmarks:update", refresh);
+    };
+  }, [socket, refresh]);
+
+  const bookmarkedIds = useMemo(
+    () => new Set(bookmarks.map((bookmark) => bookmark.messageId)),
+    [bookmarks]
+  );
+
+  const save = useCallback(async (messageId) => {
+    setBookmarks(await usersApi.bookmark(messageId));
+  }, [usersApi]);
+
+  const remove = useCallback(async (messageId) => {
+    setBookmarks(await usersApi.unbookmark(messageId));
+  }, [usersApi]);
+
+  return { bookmarks, bookmarkedIds, isLoading, error, refresh, save, remove };
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+
+// whole seconds left until `until` (a timestamp), ticking once a second; 0 when idle
+export function useCooldown(until) {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    const tick = () => {
+      const left = Math.max(Math.ceil(((until || 0) - Date.now()) / 1000), 0);
+      setSecondsLeft(left);
+      return left;
+    };
+
+    if (!tick()) return;
+    const timer = setInterval(() => {
+      if (!tick()) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+
+  return secondsLeft;
+}
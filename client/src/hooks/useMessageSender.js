@@ -0,0 +1,52 @@
+import { useCallback } from "react";
+import { createClientMessageId } from "../lib/utils";
+
+const SEND_ACK_TIMEOUT_MS = 10000;
+
+// sends over the socket when it is connected and falls back to REST otherwise.
+// both paths share the clientMessageId, so a timed-out socket send that did
+// reach the server is deduplicated when the REST retry arrives
+export function useMessageSender(socket, messagesApi) {
+  return useCallback(
+    async ({ conversationId, text, attachmentIds = [], replyToId, threadRootId, clientMessageId }) => {
+      const payload = {
+        conversationId,
+        text,
+        attachmentIds,
+        replyToId,
+        threadRootId,
+        clientMessageId: clientMessageId || createClientMessageId()
+      };
+
+      if (socket?.connected) {
+        let response = null;
+        try {
+          response = await socket.timeout(SEND_ACK_TIMEOUT_MS).emitWithAck("message:send", payload);
+        } catch {
+          // no ack in time; retry over REST below
+        }
+
+        if (response?.ok) return response.message;
+        if (response) {
+          // same shape as an axios error so callers handle both paths alike
+          const error = new Error(response.message);
+          error.response = {
+            status: response.statusCode,
+            data: { message: response.message, code: response.code, retryAfter: response.retryAfter }
+          };
+          throw error;
+        }
+      }
+
+      if (!messagesApi) {
+        throw new Error("messagesApi not provided");
+      }
+      return messagesApi.send(conversationId, text, attachmentIds, {
+        replyToId,
+        threadRootId,
+        clientMessageId: payload.clientMessageId
+      });
+    },
+    [socket, messagesApi]
+  );
+}
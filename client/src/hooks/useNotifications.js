@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useState } from "react";
+import { getPushSubscription, isPushSupported, subscribeToPush } from "../lib/push";
+
+// Web Push on this device plus the account-wide notification preferences
+// (push categories and how often unread messages are emailed)
+export function useNotifications(notificationsApi) {
+  const isSupported = isPushSupported();
+  const [pushSettings, setPushSettings] = useState(null);
+  const [preferences, setPreferences] = useState(null);
+  const [permission, setPermission] = useState(isSupported ? Notification.permission : "denied");
+  const [isSubscribed, setIsSubscribed] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      try {
+        const [settings, current] = await Promise.all([
+          notificationsApi.pushSettings(),
+          notificationsApi.preferences()
+        ]);
+        if (!active) return;
+        setPushSettings(settings);
+        setPreferences(current);
+
+        if (!isSupported || !settings.enabled) return;
+        const subscription = await getPushSubscription();
+        if (!active || !subscription || Notification.permission !== "granted") return;
+        // re-register on every load: the server may have dropped it, or someone
+        // else may have been signed in on this browser last
+        await notificationsApi.subscribe(subscription.toJSON());
+        if (active) setIsSubscribed(true);
+      } catch {
+        // settings stay unavailable; the rest of the app works without them
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [notificationsApi, isSupported]);
+
+  const enablePush = useCallback(async () => {
+    if (!isSupported || !pushSettings?.publicKey) return;
+    setIsBusy(true);
+    setError(null);
+    try {
+      const subscription = await subscribeToPush(pushSettings.publicKey);
+      setPermission(Notification.permission);
+      if (!subscription) {
+        setError("Notifications are blocked for this site. Allow them in your browser settings.");
+        return;
+      }
+      await notificationsApi.subscribe(subscription.toJSON());
+      setIsSubscribed(true);
+    } catch {
+      setError("Couldn't turn on notifications for this device. Please try again.");
+    } finally {
+      setIsBusy(false);
+    }
+  }, [isSupported, notificationsApi, pushSettings]);
+
+  const disablePush = useCallback(async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const subscription = await getPushSubscription();
+      if (subscription) {
+        await notificationsApi.unsubscribe(subscription.endpoint);
+        await subscription.unsubscribe();
+      }
+      setIsSubscribed(false);
+    } catch {
+      setError("Couldn't turn off notifications for this device. Please try again.");
+    } finally {
+      setIsBusy(false);
+    }
+  }, [notificationsApi]);
+
+  const updatePreference = useCallback(async (key, value) => {
+    const previous = preferences?.[key];
+    setError(null);
+    setPreferences((prev) => (prev ? { ...prev, [key]: value } : prev));
+    try {
+      setPreferences(await notificationsApi.updatePreferences({ [key]: value }));
+    } catch (err) {
+      setPreferences((prev) => (prev ? { ...prev, [key]: previous } : prev));
+      setError(err.response?.data?.message || "Couldn't save your notification settings.");
+    }
+  }, [notificationsApi, preferences]);
+
+  return {
+    isSupported,
+    isAvailable: Boolean(pushSettings?.enabled),
+    permission,
+    isSubscribed,
+    isBusy,
+    preferences,
+    error,
+    enablePush,
+    disablePush,
+    updatePreference
+  };
+}
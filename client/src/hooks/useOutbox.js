@@ -0,0 +1,237 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { loadOutboxEntries, removeOutboxEntry, saveOutboxEntry } from "../lib/outbox";
+import { createClientMessageId, getRetryAfterMs } from "../lib/utils";
+
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// after this many transient failures the entry waits for a manual retry
+const MAX_AUTO_ATTEMPTS = 6;
+
+const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// validation and permission errors won't go away by sending again
+const isPermanentFailure = (err) => {
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+// a failed write only costs us persistence across reloads, not the send itself
+const persist = (entry) => saveOutboxEntry(entry).catch(() => {});
+const forget = (clientMessageId) => removeOutboxEntry(clientMessageId).catch(() => {});
+
+// queues outgoing messages in IndexedDB and keeps retrying them until the server
+// acknowledges; every attempt reuses the entry's clientMessageId so retries never duplicate
+export function useOutbox({ userId, socket, send, onDelivered }) {
+  const [entries, setEntries] = useState([]);
+  const [cooldownUntil, setCooldownUntil] = useState(0);
+  const cooldownRef = useRef(0);
+  const entriesRef = useRef(new Map());
+  const timersRef = useRef(new Map());
+  const inFlightRef = useRef(new Set());
+  const waitersRef = useRef(new Map());
+  const sendRef = useRef(send);
+  const onDeliveredRef = useRef(onDelivered);
+  const attemptRef = useRef(null);
+
+  useEffect(() => {
+    sendRef.current = send;
+    onDeliveredRef.current = onDelivered;
+  }, [send, onDelivered]);
+
+  const publish = useCallback(() => {
+    setEntries([...entriesRef.current.values()]);
+  }, []);
+
+  const clearTimer = useCallback((clientMessageId) => {
+    clearTimeout(timersRef.current.get(clientMessageId));
+    timersRef.current.delete(clientMessageId);
+  }, []);
+
+  const settle = useCallback((clientMessageId, message) => {
+    waitersRef.current.get(clientMessageId)?.(message);
+    waitersRef.current.delete(clientMessageId);
+  }, []);
+
+  const drop = useCallback((clientMessageId) => {
+    clearTimer(clientMessageId);
+    entriesRef.current.delete(clientMessageId);
+    publish();
+    forget(clientMessageId);
+  }, [clearTimer, publish]);
+
+  const attempt = useCallback(async (clientMessageId) => {
+    const entry = entriesRef.current.get(clientMessageId);
+    if (!entry || entry.status === "failed" || inFlightRef.current.has(clientMessageId)) return;
+    // the connect/online listeners pick it up again once we're back
+    if (isOffline()) return;
+    // throttled by the server: hold everything until the cooldown ends
+    if (cooldownRef.current > Date.now()) {
+      clearTimer(clientMessageId);
+      timersRef.current.set(
+        clientMessageId,
+        setTimeout(() => attemptRef.current?.(clientMessageId), cooldownRef.current - Date.now())
+      );
+      return;
+    }
+
+    inFlightRef.current.add(clientMessageId);
+    clearTimer(clientMessageId);
+    entriesRef.current.set(clientMessageId, { ...entry, status: "sending" });
+    publish();
+
+    try {
+      const message = await sendRef.current({
+        conversationId: entry.conversationId,
+        text: entry.text,
+        attachmentIds: entry.attachmentIds,
+        replyToId: entry.replyToId,
+        threadRootId: entry.threadRootId,
+        clientMessageId
+      });
+      drop(clientMessageId);
+      settle(clientMessageId, message);
+      onDeliveredRef.current?.(message);
+    } catch (err) {
+      // discarded while the request was in flight
+      if (!entriesRef.current.has(clientMessageId)) return;
+
+      const retryAfterMs = getRetryAfterMs(err);
+      if (retryAfterMs) {
+        // being throttled isn't a failed attempt; wait it out and go again
+        cooldownRef.current = Date.now() + retryAfterMs;
+        setCooldownUntil(cooldownRef.current);
+        entriesRef.current.set(clientMessageId, { ...entry, status: "pending", error: null });
+        publish();
+        timersRef.current.set(
+          clientMessageId,
+          setTimeout(() => attemptRef.current?.(clientMessageId), retryAfterMs)
+        );
+        return;
+      }
+
+      const attempts = entry.attempts + 1;
+      const failed = isPermanentFailure(err) || attempts >= MAX_AUTO_ATTEMPTS;
+      const next = {
+        ...entry,
+        attempts,
+        status: failed ? "failed" : "pending",
+        error: err.response?.data?.message || null,
+        errorCode: err.response?.data?.code || null
+      };
+      entriesRef.current.set(clientMessageId, next);
+      publish();
+      persist(next);
+
+      if (!failed) {
+        timersRef.current.set(
+          clientMessageId,
+          setTimeout(() => attemptRef.current?.(clientMessageId), retryDelay(attempts))
+        );
+      }
+    } finally {
+      inFlightRef.current.delete(clientMessageId);
+    }
+  }, [clearTimer, drop, publish, settle]);
+
+  useEffect(() => {
+    attemptRef.current = attempt;
+  }, [attempt]);
+
+  // oldest first, one at a time, so a conversation keeps its order
+  const flush = useCallback(async () => {
+    const pending = [...entriesRef.current.values()]
+      .filter((entry) => entry.status !== "failed")
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+    for (const entry of pending) {
+      await attempt(entry.clientMessageId);
+    }
+  }, [attempt]);
+
+  // restore whatever was still queued when the tab closed
+  useEffect(() => {
+    if (!userId) return;
+    let active = true;
+    const timers = timersRef.current;
+    entriesRef.current.clear();
+
+    loadOutboxEntries(userId)
+      .then((stored) => {
+        if (!active) return;
+        stored.forEach((entry) => {
+          if (!entriesRef.current.has(entry.clientMessageId)) {
+            const status = entry.status === "failed" ? "failed" : "pending";
+            entriesRef.current.set(entry.clientMessageId, { ...entry, status });
+          }
+        });
+        publish();
+        flush();
+      })
+      .catch(() => {});
+
+    return () => {
+      active = false;
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, [userId, publish, flush]);
+
+  useEffect(() => {
+    window.addEventListener("online", flush);
+    socket?.on("connect", flush);
+    return () => {
+      window.removeEventListener("online", flush);
+      socket?.off("connect", flush);
+    };
+  }, [socket, flush]);
+
+  // resolves with the server's message once delivered, or null if the user discards it
+  const enqueue = useCallback((payload) => {
+    const entry = {
+      clientMessageId: createClientMessageId(),
+      userId,
+      conversationId: payload.conversationId,
+      text: payload.text,
+      attachments: payload.attachments || [],
+      attachmentIds: (payload.attachments || []).map((attachment) => attachment.attachmentId),
+      replyTo: payload.replyTo || null,
+      replyToId: payload.replyTo?.messageId || null,
+      threadRootId: payload.threadRootId || null,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      status: "pending",
+      error: null
+    };
+
+    entriesRef.current.set(entry.clientMessageId, entry);
+    publish();
+    persist(entry);
+
+    const delivered = new Promise((resolve) => {
+      waitersRef.current.set(entry.clientMessageId, resolve);
+    });
+    attempt(entry.clientMessageId);
+    return delivered;
+  }, [userId, publish, attempt]);
+
+  const retry = useCallback((clientMessageId) => {
+    const entry = entriesRef.current.get(clientMessageId);
+    if (!entry) return;
+    const next = { ...entry, status: "pending", attempts: 0, error: null, errorCode: null };
+    entriesRef.current.set(clientMessageId, next);
+    publish();
+    persist(next);
+    attempt(clientMessageId);
+  }, [publish, attempt]);
+
+  const discard = useCallback((clientMessageId) => {
+    drop(clientMessageId);
+    settle(clientMessageId, null);
+  }, [drop, settle]);
+
+  return { entries, enqueue, retry, discard, cooldownUntil };
+}
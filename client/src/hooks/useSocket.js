@@ -1,19 +1,31 @@
 import { useEffect, useRef, useState } from "react";
 import { io } from "socket.io-client";
+import { useAuth } from "@clerk/clerk-react";
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || import.meta.env.VITE_API_URL;
 
 export function useSocket(userId) {
+  const { getToken } = useAuth();
   const socketRef = useRef(null);
+  const getTokenRef = useRef(getToken);
   const [socketInstance, setSocketInstance] = useState(null);
 
+  useEffect(() => {
+    getTokenRef.current = getToken;
+  }, [getToken]);
+
   useEffect(() => {
     if (!userId) return;
 
     const socket = io(SOCKET_URL, {
       withCredentials: true,
       transports: ["websocket", "polling"],
-      auth: { userId }
+      // evaluated on every (re)connect so a fresh session token is sent
+      auth: (callback) => {
+        Promise.resolve(getTokenRef.current?.())
+          .then((token) => callback({ token }))
+          .catch(() => callback({}));
+      }
     });
 
     socketRef.current = socket;
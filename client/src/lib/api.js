@@ -2,22 +2,49 @@ import axios from "axios";
 
 const API_BASE_URL = import.meta.env.VITE_API_URL;
 
-const createAuthenticatedClient = (userId) => {
+// the local storage driver returns server-relative paths like /uploads/...
+export function resolveAssetUrl(url) {
+  if (!url || !url.startsWith("/") || !API_BASE_URL) return url;
+  return `${API_BASE_URL.replace(/\/$/, "")}${url}`;
+}
+
+const createAuthenticatedClient = (getToken) => {
+  // no default Content-Type: axios sends objects as JSON and lets the browser
+  // set the multipart boundary for FormData uploads
   const instance = axios.create({
-    baseURL: API_BASE_URL,
-    headers: {
-      "Content-Type": "application/json",
-      "X-User-Id": userId
+    baseURL: API_BASE_URL
+  });
+
+  // Clerk session tokens are short lived, so fetch one per request
+  // (getToken serves it from cache until it is close to expiry)
+  instance.interceptors.request.use(async (config) => {
+    const token = await getToken?.();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
     }
+    return config;
   });
 
   return instance;
 };
 
-export function createApiClient(userId) {
-  const client = createAuthenticatedClient(userId);
+export function createApiClient(getToken) {
+  const client = createAuthenticatedClient(getToken);
 
   return {
+    attachments: {
+      async upload(conversationId, file, onProgress) {
+        const form = new FormData();
+        form.append("conversationId", conversationId);
+        form.append("files", file);
+        const res = await client.post("/api/attachments", form, {
+          onUploadProgress: (event) => {
+            if (event.total) onProgress?.(event.loaded / event.total);
+          }
+        });
+        return res.data[0];
+      }
+    },
     users: {
       async list() {
         const res = await client.get("/api/users");
@@ -26,6 +53,58 @@ export function createApiClient(userId) {
       async syncProfile(payload) {
         const res = await client.post("/api/users/sync", payload);
         return res.data;
+      },
+      async presence(userIds) {
+        const res = await client.get("/api/users/presence", {
+          params: userIds?.length ? { userIds: userIds.join(",") } : undefined
+        });
+        return res.data;
+      },
+      async blocks() {
+        const res = await client.get("/api/users/me/blocks");
+        return res.data;
+      },
+      async block(userId) {
+        const res = await client.post("/api/users/me/blocks", { userId });
+        return res.data;
+      },
+      async unblock(userId) {
+        const res = await client.delete(`/api/users/me/blocks/${userId}`);
+        return res.data;
+      },
+      async bookmarks() {
+        const res = await client.get("/api/users/me/bookmarks");
+        return res.data;
+      },
+      async bookmark(messageId) {
+        const res = await client.post("/api/users/me/bookmarks", { messageId });
+        return res.data;
+      },
+      async unbookmark(messageId) {
+        const res = await client.delete(`/api/users/me/bookmarks/${messageId}`);
+        return res.data;
+      }
+    },
+    notifications: {
+      async pushSettings() {
+        const res = await client.get("/api/notifications/push");
+        return res.data;
+      },
+      // `subscription` is a browser PushSubscription; axios sends its toJSON()
+      async subscribe(subscription) {
+        const res = await client.post("/api/notifications/push/subscriptions", { subscription });
+        return res.data;
+      },
+      async unsubscribe(endpoint) {
+        await client.delete("/api/notifications/push/subscriptions", { data: { endpoint } });
+      },
+      async preferences() {
+        const res = await client.get("/api/notifications/preferences");
+        return res.data;
+      },
+      async updatePreferences(changes) {
+        const res = await client.put("/api/notifications/preferences", changes);
+        return res.data;
       }
     },
     conversations: {
@@ -40,19 +119,103 @@ export function createApiClient(userId) {
       async getDetail(conversationId) {
         const res = await client.get(`/api/conversations/${conversationId}`);
         return res.data;
+      },
+      async sync(since, afterId) {
+        const res = await client.get("/api/conversations/sync", { params: { since, afterId } });
+        return res.data;
+      },
+      async createGroup(name, memberIds) {
+        const res = await client.post("/api/conversations/groups", { name, memberIds });
+        return res.data;
+      },
+      async rename(conversationId, name) {
+        const res = await client.patch(`/api/conversations/${conversationId}`, { name });
+        return res.data;
+      },
+      async addMembers(conversationId, memberIds) {
+        const res = await client.post(`/api/conversations/${conversationId}/members`, { memberIds });
+        return res.data;
+      },
+      async removeMember(conversationId, memberId) {
+        const res = await client.delete(`/api/conversations/${conversationId}/members/${memberId}`);
+        return res.data;
+      },
+      async leave(conversationId) {
+        await client.post(`/api/conversations/${conversationId}/leave`);
+      },
+      // omit `until` to stay muted until unmuted
+      async mute(conversationId, until) {
+        const res = await client.put(`/api/conversations/${conversationId}/mute`, { until });
+        return res.data;
+      },
+      async unmute(conversationId) {
+        const res = await client.delete(`/api/conversations/${conversationId}/mute`);
+        return res.data;
+      },
+      async pins(conversationId) {
+        const res = await client.get(`/api/conversations/${conversationId}/pins`);
+        return res.data;
+      },
+      async pin(conversationId, messageId) {
+        const res = await client.post(`/api/conversations/${conversationId}/pins`, { messageId });
+        return res.data;
+      },
+      async unpin(conversationId, messageId) {
+        const res = await client.delete(`/api/conversations/${conversationId}/pins/${messageId}`);
+        return res.data;
       }
     },
     messages: {
-      async list(conversationId) {
-        const res = await client.get(`/api/messages/${conversationId}`);
+      async list(conversationId, { before, after, around, limit } = {}) {
+        const res = await client.get(`/api/messages/${conversationId}`, {
+          params: { before, after, around, limit }
+        });
         return res.data;
       },
-      async send(conversationId, text) {
+      async search(q, { senderId, conversationId, from, to, limit } = {}) {
+        const res = await client.get("/api/messages/search", {
+          params: { q, senderId, conversationId, from, to, limit }
+        });
+        return res.data;
+      },
+      async send(conversationId, text, attachmentIds = [], { replyToId, threadRootId, clientMessageId } = {}) {
         const res = await client.post("/api/messages", {
           conversationId,
-          text
+          text,
+          attachmentIds,
+          replyToId,
+          threadRootId,
+          clientMessageId
         });
         return res.data;
+      },
+      async thread(messageId, { after, limit } = {}) {
+        const res = await client.get(`/api/messages/${messageId}/thread`, {
+          params: { after, limit }
+        });
+        return res.data;
+      },
+      async edit(messageId, text) {
+        const res = await client.patch(`/api/messages/${messageId}`, { text });
+        return res.data;
+      },
+      async remove(messageId) {
+        const res = await client.delete(`/api/messages/${messageId}`);
+        return res.data;
+      },
+      async react(messageId, emoji) {
+        const res = await client.post(`/api/messages/${messageId}/reactions`, { emoji });
+        return res.data;
+      },
+      async unreact(messageId, emoji) {
+        const res = await client.delete(`/api/messages/${messageId}/reactions`, {
+          params: { emoji }
+        });
+        return res.data;
+      },
+      async report(messageId, { reason, details }) {
+        const res = await client.post(`/api/messages/${messageId}/report`, { reason, details });
+        return res.data;
       }
     }
   };
@@ -0,0 +1,51 @@
+const DB_NAME = "chat-outbox";
+const DB_VERSION = 1;
+const STORE = "messages";
+
+let dbPromise = null;
+
+// private browsing and some embedded webviews have no IndexedDB;
+// the outbox then only lives as long as the tab
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: "clientMessageId" });
+        store.createIndex("userId", "userId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, buildRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = buildRequest(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export async function loadOutboxEntries(userId) {
+  const entries = await runRequest("readonly", (store) => store.index("userId").getAll(userId));
+  return (entries || []).sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+  );
+}
+
+export function saveOutboxEntry(entry) {
+  return runRequest("readwrite", (store) => store.put(entry));
+}
+
+export function removeOutboxEntry(clientMessageId) {
+  return runRequest("readwrite", (store) => store.delete(clientMessageId));
+}
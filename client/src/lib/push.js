@@ -0,0 +1,42 @@
+const SERVICE_WORKER_URL = "/sw.js";
+
+export function isPushSupported() {
+  return (
+    typeof window !== "undefined" &&
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window
+  );
+}
+
+// VAPID keys travel as URL-safe base64; PushManager wants the raw bytes
+function urlBase64ToUint8Array(value) {
+  const padded = `${value}${"=".repeat((4 - (value.length % 4)) % 4)}`;
+  const raw = atob(padded.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+export function registerServiceWorker() {
+  return navigator.serviceWorker.register(SERVICE_WORKER_URL);
+}
+
+export async function getPushSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// asks for permission when needed; resolves null if the user says no
+export async function subscribeToPush(publicKey) {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") return null;
+
+  const registration = await registerServiceWorker();
+  await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey)
+  });
+}
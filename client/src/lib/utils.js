@@ -14,3 +14,64 @@ export function cn(...classes) {
     .filter(Boolean)
     .join(" ");
 }
+
+const relativeTimeFormatter = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+const RELATIVE_UNITS = [
+  ["day", 24 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000],
+  ["minute", 60 * 1000]
+];
+
+export function formatLastSeen(dateLike) {
+  if (!dateLike) return "Offline";
+  const date = new Date(dateLike);
+  if (Number.isNaN(date.getTime())) return "Offline";
+
+  const elapsed = Date.now() - date.getTime();
+  if (elapsed < 60 * 1000) return "Last seen just now";
+
+  const [unit, size] = RELATIVE_UNITS.find(([, ms]) => elapsed >= ms);
+  if (unit === "day" && elapsed > 7 * size) {
+    return `Last seen ${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+  }
+  return `Last seen ${relativeTimeFormatter.format(-Math.floor(elapsed / size), unit)}`;
+}
+
+export function formatFileSize(bytes) {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// idempotency key for outgoing messages; the server returns the original on a retry
+export function createClientMessageId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// how long a 429 asked us to wait, from the body or the Retry-After header
+export function getRetryAfterMs(err) {
+  if (err?.response?.status !== 429) return 0;
+  const seconds = Number(err.response.data?.retryAfter ?? err.response.headers?.["retry-after"]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 1000;
+}
+
+export function isConversationMuted(conversation) {
+  if (!conversation?.mutedUntil) return false;
+  return new Date(conversation.mutedUntil).getTime() > Date.now();
+}
+
+// mutes without an end are stored far in the future by the server
+export function describeMute(conversation) {
+  if (!isConversationMuted(conversation)) return "";
+  const until = new Date(conversation.mutedUntil);
+  if (until.getFullYear() >= 9999) return "Muted";
+  const sameDay = until.toDateString() === new Date().toDateString();
+  return `Muted until ${until.toLocaleString(undefined, sameDay
+    ? { hour: "numeric", minute: "numeric" }
+    : { weekday: "short", hour: "numeric", minute: "numeric" })}`;
+}
@@ -0,0 +1,165 @@
+// Starts two Socket.IO nodes behind the configured SOCKET_ADAPTER, connects a
+// client to each and checks that room emits and presence cross the node boundary.
+// Usage: SOCKET_ADAPTER=redis REDIS_URL=redis://localhost:6379 npm run test:cluster
+const http = require("http");
+const { fork } = require("child_process");
+const dotenv = require("dotenv");
+
+dotenv.config({ quiet: true });
+
+const BASE_PORT = Number(process.env.CLUSTER_HARNESS_PORT) || 5810;
+const STEP_TIMEOUT_MS = 8000;
+
+// ---------------------------------------------------------------------------
+// node process: a bare Socket.IO server using the real adapter and presence code.
+// clients identify with a plain userId, so no auth provider is needed
+// ---------------------------------------------------------------------------
+async function runNode(port) {
+  const { Server } = require("socket.io");
+  const { attachSocketAdapter } = require("../src/services/socketAdapter");
+  const { getSocketAdapterConfig } = require("../src/config/socketAdapter");
+  const presence = require("../src/services/presence");
+  const { userRoom } = require("../src/sockets/rooms");
+
+  if (getSocketAdapterConfig().driver === "mongo") {
+    const { connectDB } = require("../src/config/db");
+    await connectDB();
+  }
+
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  const adapter = await attachSocketAdapter(io);
+
+  io.on("connection", (socket) => {
+    const userId = socket.handshake.auth.userId;
+    socket.data.userId = userId;
+    socket.join(userRoom(userId));
+  });
+
+  process.on("message", async (command) => {
+    try {
+      if (command.type === "emit") {
+        io.to(userRoom(command.userId)).emit(command.event, command.payload);
+        process.send({ id: command.id, ok: true });
+      } else if (command.type === "presence") {
+        const online = await presence.getOnlineUserIds(io, command.userIds);
+        process.send({ id: command.id, ok: true, online: [...online] });
+      }
+    } catch (err) {
+      process.send({ id: command.id, ok: false, message: err.message });
+    }
+  });
+
+  httpServer.listen(port, () => {
+    process.send({ type: "ready", adapter: adapter.name });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// harness process
+// ---------------------------------------------------------------------------
+const withTimeout = (promise, label) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      setTimeout(() => reject(new Error(`timed out waiting for ${label}`)), STEP_TIMEOUT_MS).unref();
+    })
+  ]);
+
+function startNode(port) {
+  const child = fork(__filename, ["--node", String(port)], { stdio: ["ignore", "inherit", "inherit", "ipc"] });
+  const pending = new Map();
+  let nextId = 0;
+
+  child.on("message", (message) => {
+    const resolve = pending.get(message.id);
+    if (resolve) {
+      pending.delete(message.id);
+      resolve(message);
+    }
+  });
+
+  const ready = new Promise((resolve, reject) => {
+    child.on("message", (message) => {
+      if (message.type === "ready") resolve(message);
+    });
+    child.once("exit", (code) => reject(new Error(`node on port ${port} exited with code ${code}`)));
+  });
+
+  const request = (command) =>
+    new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, (reply) => (reply.ok ? resolve(reply) : reject(new Error(reply.message))));
+      child.send({ ...command, id });
+    });
+
+  return { child, port, ready, request };
+}
+
+function connectClient(port, userId) {
+  const { io } = require("socket.io-client");
+  const socket = io(`http://localhost:${port}`, { auth: { userId }, transports: ["websocket"], reconnection: false });
+  return withTimeout(
+    new Promise((resolve, reject) => {
+      socket.once("connect", () => resolve(socket));
+      socket.once("connect_error", reject);
+    }),
+    `${userId} to connect`
+  );
+}
+
+async function runHarness() {
+  const nodes = [startNode(BASE_PORT), startNode(BASE_PORT + 1)];
+  const clients = [];
+  const failures = [];
+
+  const check = (label, passed) => {
+    process.stdout.write(`${passed ? "PASS" : "FAIL"} ${label}\n`);
+    if (!passed) failures.push(label);
+  };
+
+  try {
+    const [first] = await withTimeout(Promise.all(nodes.map((node) => node.ready)), "nodes to start");
+    process.stdout.write(`Adapter: ${first.adapter}\n`);
+
+    const alice = await connectClient(nodes[0].port, "harness-alice");
+    const bob = await connectClient(nodes[1].port, "harness-bob");
+    clients.push(alice, bob);
+
+    const received = withTimeout(
+      new Promise((resolve) => bob.once("harness:ping", resolve)),
+      "the cross-node emit"
+    ).catch(() => null);
+    await nodes[0].request({ type: "emit", userId: "harness-bob", event: "harness:ping", payload: { from: "node-a" } });
+    const payload = await received;
+    check("emit on node A reaches a client on node B", payload?.from === "node-a");
+
+    const { online } = await withTimeout(
+      nodes[1].request({ type: "presence", userIds: ["harness-alice", "harness-bob"] }),
+      "presence"
+    );
+    check("node B sees the user connected to node A as online", online.includes("harness-alice"));
+
+    alice.disconnect();
+    clients.shift();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const after = await withTimeout(nodes[1].request({ type: "presence", userIds: ["harness-alice"] }), "presence");
+    check("node B sees the user as offline after they disconnect from node A", !after.online.includes("harness-alice"));
+  } catch (err) {
+    check(err.message, false);
+  } finally {
+    clients.forEach((socket) => socket.disconnect());
+    nodes.forEach((node) => node.child.kill());
+  }
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+if (process.argv[2] === "--node") {
+  runNode(Number(process.argv[3])).catch((err) => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+  });
+} else {
+  runHarness();
+}
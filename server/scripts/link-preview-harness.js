@@ -0,0 +1,188 @@
+// Serves pages from a stub HTTP server on localhost and checks that link previews
+// parse OpenGraph/Twitter metadata, refuse redirects into private networks, stop
+// reading at maxBytes and give up after timeoutMs. No database or network needed.
+// Usage: npm run test:link-previews
+const http = require("http");
+const dotenv = require("dotenv");
+
+dotenv.config({ quiet: true });
+
+const {
+  clearLinkPreviewCache,
+  createHttpFetcher,
+  getLinkPreview,
+  setLinkPreviewFetcher
+} = require("../src/services/linkPreviews");
+const { getLinkPreviewConfig } = require("../src/config/linkPreviews");
+
+const PORT = Number(process.env.LINK_PREVIEW_HARNESS_PORT) || 5820;
+const STEP_TIMEOUT_MS = 8000;
+const MAX_BYTES = 4096;
+const TIMEOUT_MS = 500;
+
+// ---------------------------------------------------------------------------
+// stub server
+// ---------------------------------------------------------------------------
+const PAGES = {
+  "/opengraph": `<!doctype html><html><head>
+    <title>Fallback title</title>
+    <meta property="og:title" content="Harness &amp; Friends">
+    <meta property="og:description" content="An OpenGraph description">
+    <meta property="og:site_name" content="Harness">
+    <meta property="og:image" content="/cover.png">
+  </head><body></body></html>`,
+  "/twitter": `<!doctype html><html><head>
+    <meta name="twitter:title" content="Twitter card title">
+    <meta name="twitter:description" content="A Twitter card description">
+    <meta name="twitter:image" content="https://cdn.example.com/card.png">
+  </head><body></body></html>`
+};
+
+const REDIRECTS = {
+  "/redirect/loopback": (port) => `http://127.0.0.1:${port}/opengraph`,
+  "/redirect/metadata": () => "http://169.254.169.254/latest/meta-data/",
+  "/redirect/local": (port) => `http://localhost:${port}/opengraph`
+};
+
+function startStubServer(port) {
+  const hits = [];
+
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+
+    if (PAGES[req.url]) {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(PAGES[req.url]);
+    } else if (REDIRECTS[req.url]) {
+      res.writeHead(302, { Location: REDIRECTS[req.url](port) });
+      res.end();
+    } else if (req.url === "/large") {
+      // the metadata sits past the cap, so a capped read must not see it
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.write(`<!doctype html><html><head>${" ".repeat(MAX_BYTES * 4)}`);
+      res.end('<meta property="og:title" content="Past the cap"></head></html>');
+    } else if (req.url === "/slow") {
+      // headers go out at once, the body never finishes
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.write("<!doctype html><html><head>");
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve({ server, hits }));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// harness
+// ---------------------------------------------------------------------------
+const withTimeout = (promise, label) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      setTimeout(() => reject(new Error(`timed out waiting for ${label}`)), STEP_TIMEOUT_MS).unref();
+    })
+  ]);
+
+// resolves to the error the fetch failed with, or null if it succeeded
+const fetchError = (promise) => promise.then(() => null, (err) => err);
+
+async function runHarness() {
+  const failures = [];
+  let stub;
+
+  const check = (label, passed) => {
+    process.stdout.write(`${passed ? "PASS" : "FAIL"} ${label}\n`);
+    if (!passed) failures.push(label);
+  };
+
+  try {
+    stub = await startStubServer(PORT);
+    const base = `http://localhost:${PORT}`;
+    const options = { ...getLinkPreviewConfig(), maxBytes: MAX_BYTES, timeoutMs: TIMEOUT_MS };
+
+    // metadata: through getLinkPreview, with a fetcher that may reach the stub
+    setLinkPreviewFetcher(createHttpFetcher({ allowPrivateNetworks: true }));
+
+    const opengraph = await withTimeout(getLinkPreview(`${base}/opengraph`), "the OpenGraph preview");
+    check(
+      "OpenGraph title, description, site name and image are parsed",
+      opengraph?.title === "Harness & Friends" &&
+        opengraph.description === "An OpenGraph description" &&
+        opengraph.siteName === "Harness" &&
+        opengraph.imageUrl === `${base}/cover.png`
+    );
+
+    const twitter = await withTimeout(getLinkPreview(`${base}/twitter`), "the Twitter card preview");
+    check(
+      "Twitter card tags are used when there is no OpenGraph",
+      twitter?.title === "Twitter card title" &&
+        twitter.description === "A Twitter card description" &&
+        twitter.imageUrl === "https://cdn.example.com/card.png"
+    );
+
+    // redirects: only the stub's hostname is exempt, so each hop into a private
+    // address is refused exactly as the default fetcher refuses it
+    const guarded = createHttpFetcher({ allowPrivateNetworks: ["localhost"] });
+
+    const followed = await withTimeout(guarded(`${base}/redirect/local`, options), "the allowed redirect");
+    check("a redirect between allowed hosts is followed", followed.url === `${base}/opengraph`);
+
+    for (const [path, target] of [
+      ["/redirect/loopback", "127.0.0.1"],
+      ["/redirect/metadata", "169.254.169.254"]
+    ]) {
+      const hitsBefore = stub.hits.length;
+      const err = await withTimeout(fetchError(guarded(`${base}${path}`, options)), `the redirect to ${target}`);
+      check(
+        `a redirect to ${target} is refused`,
+        err?.code === "LINK_PREVIEW_BLOCKED" && stub.hits.length === hitsBefore + 1
+      );
+    }
+
+    const defaultFetcher = createHttpFetcher();
+    const hitsBefore = stub.hits.length;
+    const refused = await withTimeout(
+      fetchError(defaultFetcher(`${base}/opengraph`, options)),
+      "the default fetcher"
+    );
+    check(
+      "the default fetcher refuses localhost before sending anything",
+      refused?.code === "LINK_PREVIEW_BLOCKED" && stub.hits.length === hitsBefore
+    );
+
+    // limits
+    const open = createHttpFetcher({ allowPrivateNetworks: true });
+
+    const large = await withTimeout(open(`${base}/large`, options), "the large page");
+    check(
+      `the body is cut at maxBytes (${MAX_BYTES})`,
+      Buffer.byteLength(large.body) === MAX_BYTES && !large.body.includes("Past the cap")
+    );
+
+    const startedAt = Date.now();
+    const timedOut = await withTimeout(fetchError(open(`${base}/slow`, options)), "the slow page");
+    const elapsed = Date.now() - startedAt;
+    check(
+      `the fetch aborts after timeoutMs (${TIMEOUT_MS}ms, took ${elapsed}ms)`,
+      /Timed out/.test(timedOut?.message || "") && elapsed >= TIMEOUT_MS && elapsed < TIMEOUT_MS * 4
+    );
+  } catch (err) {
+    check(err.message, false);
+  } finally {
+    setLinkPreviewFetcher(null);
+    clearLinkPreviewCache();
+    if (stub) {
+      stub.server.closeAllConnections();
+      stub.server.close();
+    }
+  }
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+runHarness();
@@ -0,0 +1,40 @@
+// Mints an HS256 session token signed with AUTH_TEST_SECRET so the API and
+// Socket.IO server can be exercised offline, without a Clerk instance.
+// Usage: npm run token:test -- <userId> [ttlSeconds]
+const dotenv = require("dotenv");
+const { signHs256 } = require("../src/utils/jwt");
+
+dotenv.config({ quiet: true });
+
+const [userId, ttlArg] = process.argv.slice(2);
+const secret = process.env.AUTH_TEST_SECRET;
+
+if (!userId) {
+  process.stderr.write("Usage: npm run token:test -- <userId> [ttlSeconds]\n");
+  process.exit(1);
+}
+
+if (!secret) {
+  process.stderr.write("AUTH_TEST_SECRET is not set\n");
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const payload = {
+  sub: userId,
+  sid: `sess_test_${now}`,
+  iat: now,
+  nbf: now,
+  exp: now + (Number(ttlArg) || 60 * 60)
+};
+
+if (process.env.CLERK_ISSUER) {
+  payload.iss = process.env.CLERK_ISSUER;
+}
+
+const audiences = (process.env.CLERK_AUDIENCE || "").split(",").map((aud) => aud.trim()).filter(Boolean);
+if (audiences.length > 0) {
+  payload.aud = audiences[0];
+}
+
+process.stdout.write(`${signHs256(payload, secret)}\n`);
@@ -0,0 +1,19 @@
+// Runs one email digest pass now instead of waiting for the server's timer.
+// Handy with MAIL_TRANSPORT=file to look at the generated .eml files.
+// Usage: npm run digest:send
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const { runEmailDigest } = require("../src/services/emailDigest");
+
+dotenv.config({ quiet: true });
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { considered, sent, failed } = await runEmailDigest();
+  process.stdout.write(`Checked ${considered} users: sent ${sent}, failed ${failed}\n`);
+  await mongoose.disconnect();
+  if (failed > 0) process.exitCode = 1;
+})().catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Grants or revokes the moderator role. There is no API for this on purpose:
+// whoever can run scripts against the database decides who moderates.
+// Usage: npm run role:set -- <userId> <member|moderator>
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const UserProfile = require("../src/models/UserProfile");
+const { recordAudit } = require("../src/services/moderation");
+
+dotenv.config({ quiet: true });
+
+const [userId, role] = process.argv.slice(2);
+const roles = UserProfile.schema.path("role").enumValues;
+
+if (!userId || !roles.includes(role)) {
+  process.stderr.write(`Usage: npm run role:set -- <userId> <${roles.join("|")}>\n`);
+  process.exit(1);
+}
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const profile = await UserProfile.findOneAndUpdate(
+    { clerkUserId: userId },
+    { $set: { role } },
+    { new: false }
+  );
+
+  if (!profile) {
+    process.stderr.write(`No profile for ${userId}; they need to sign in once first\n`);
+    process.exitCode = 1;
+  } else if (profile.role !== role) {
+    await recordAudit({
+      actorId: "system",
+      action: "user.role_changed",
+      targetType: "user",
+      targetId: userId,
+      metadata: { from: profile.role, to: role }
+    });
+    process.stdout.write(`${userId}: ${profile.role} -> ${role}\n`);
+  } else {
+    process.stdout.write(`${userId} is already ${role}\n`);
+  }
+
+  await mongoose.disconnect();
+})().catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+function getAuthConfig() {
+  const isProduction = process.env.NODE_ENV === "production";
+  const testSecret = process.env.AUTH_TEST_SECRET || "";
+
+  return {
+    jwksUrl: process.env.CLERK_JWKS_URL || "",
+    // PEM encoded public key; lets the server verify tokens without reaching Clerk
+    publicKey: (process.env.CLERK_JWT_KEY || "").replace(/\\n/g, "\n"),
+    issuer: process.env.CLERK_ISSUER || "",
+    audiences: splitList(process.env.CLERK_AUDIENCE),
+    authorizedParties: splitList(process.env.CLERK_AUTHORIZED_PARTIES),
+    clockToleranceSec: Number(process.env.AUTH_CLOCK_TOLERANCE_SEC) || 5,
+    jwksCacheTtlMs: Number(process.env.CLERK_JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
+    // local HS256 test key, never honoured in production
+    testSecret: isProduction ? "" : testSecret
+  };
+}
+
+module.exports = { getAuthConfig };
@@ -0,0 +1,41 @@
+const DEFAULT_FILTERS = ["maxLength", "repeatedCharacters", "links", "profanity"];
+
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// domains and words are matched case-insensitively; filter names are not
+const parseLowercaseList = (value) => parseList(value).map((item) => item.toLowerCase());
+
+// filters run in the order listed; each action is reject, rewrite (where the
+// filter can fix the text itself) or flag (let it through and queue it for moderators)
+function getContentFilterConfig() {
+  const env = process.env;
+  const enabled = env.CONTENT_FILTERS === undefined ? DEFAULT_FILTERS : parseList(env.CONTENT_FILTERS);
+
+  return {
+    filters: enabled,
+    maxLength: {
+      limit: Number(env.CONTENT_MAX_LENGTH) || 4000
+    },
+    repeatedCharacters: {
+      // runs longer than this are collapsed (rewrite) or refused (reject)
+      maxRun: Number(env.CONTENT_MAX_REPEATED_CHARS) || 20,
+      action: env.CONTENT_REPEATED_CHARS_ACTION || "rewrite"
+    },
+    links: {
+      // with an allowlist only those domains (and their subdomains) may be linked
+      allowlist: parseLowercaseList(env.CONTENT_LINK_ALLOWLIST),
+      denylist: parseLowercaseList(env.CONTENT_LINK_DENYLIST),
+      action: env.CONTENT_LINK_ACTION || "reject"
+    },
+    profanity: {
+      extraWords: parseLowercaseList(env.CONTENT_PROFANITY_WORDS),
+      action: env.CONTENT_PROFANITY_ACTION || "rewrite"
+    }
+  };
+}
+
+module.exports = { getContentFilterConfig };
@@ -0,0 +1,22 @@
+function getEmailDigestConfig() {
+  const env = process.env;
+  const isProduction = env.NODE_ENV === "production";
+
+  return {
+    enabled: env.EMAIL_DIGEST_ENABLED !== "false",
+    // how often the job looks for users who are due a digest
+    intervalSec: Number(env.EMAIL_DIGEST_INTERVAL_SEC) || 15 * 60,
+    // messages younger than this may still be read in the app, so they wait for the next run
+    unreadAgeMin: Number(env.EMAIL_DIGEST_UNREAD_AGE_MIN) || 60,
+    maxConversations: Number(env.EMAIL_DIGEST_MAX_CONVERSATIONS) || 10,
+    messagesPerConversation: Number(env.EMAIL_DIGEST_MESSAGES_PER_CONVERSATION) || 3,
+    batchSize: Number(env.EMAIL_DIGEST_BATCH_SIZE) || 100,
+    // where "open conversation" links point, and where unsubscribe links reach this API
+    appUrl: (env.APP_URL || "http://localhost:5173").replace(/\/$/, ""),
+    apiUrl: (env.PUBLIC_API_URL || `http://localhost:${env.PORT || 5000}`).replace(/\/$/, ""),
+    // signs unsubscribe links; a fixed fallback is only acceptable outside production
+    secret: env.EMAIL_DIGEST_SECRET || (isProduction ? "" : "local-email-digest-secret")
+  };
+}
+
+module.exports = { getEmailDigestConfig };
@@ -0,0 +1,23 @@
+function getLinkPreviewConfig() {
+  const env = process.env;
+
+  return {
+    enabled: env.LINK_PREVIEWS !== "off",
+    // only the first few links in a message get a card
+    maxPerMessage: Number(env.LINK_PREVIEW_MAX_PER_MESSAGE) || 3,
+    // covers the whole fetch, redirects included
+    timeoutMs: Number(env.LINK_PREVIEW_TIMEOUT_MS) || 5000,
+    // pages are read up to this many bytes; the metadata lives in <head> anyway
+    maxBytes: Number(env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024,
+    maxRedirects: Number(env.LINK_PREVIEW_MAX_REDIRECTS) || 3,
+    userAgent: env.LINK_PREVIEW_USER_AGENT || "ChatLinkPreview/1.0 (+link unfurler)",
+    cache: {
+      ttlSec: Number(env.LINK_PREVIEW_CACHE_TTL_SEC) || 6 * 60 * 60,
+      // pages without usable metadata, or that failed to load, are retried sooner
+      failureTtlSec: Number(env.LINK_PREVIEW_FAILURE_TTL_SEC) || 10 * 60,
+      maxEntries: Number(env.LINK_PREVIEW_CACHE_SIZE) || 1000
+    }
+  };
+}
+
+module.exports = { getLinkPreviewConfig };
@@ -0,0 +1,25 @@
+const path = require("path");
+
+function getMailConfig() {
+  const env = process.env;
+
+  return {
+    // console prints messages, file writes .eml files, smtp actually sends them
+    transport: env.MAIL_TRANSPORT || "console",
+    from: env.MAIL_FROM || "Meridian Chat <no-reply@localhost>",
+    smtp: {
+      // smtp(s)://user:pass@host:port wins over the individual settings
+      url: env.SMTP_URL || "",
+      host: env.SMTP_HOST || "",
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER || "",
+      pass: env.SMTP_PASS || ""
+    },
+    file: {
+      directory: path.resolve(env.MAIL_FILE_DIR || path.join(__dirname, "..", "..", "mail-outbox"))
+    }
+  };
+}
+
+module.exports = { getMailConfig };
@@ -0,0 +1,32 @@
+// Web Push needs a VAPID key pair; generate one with `npx web-push generate-vapid-keys`.
+// without keys the subscription endpoints still work but nothing is sent
+// the browsers' push services; a subscription endpoint must be on one of these hosts
+// or a subdomain of one, since the server POSTs to whatever endpoint it is handed
+const DEFAULT_ALLOWED_HOSTS = [
+  "fcm.googleapis.com",
+  "android.googleapis.com",
+  "updates.push.services.mozilla.com",
+  "notify.windows.com",
+  "push.apple.com"
+];
+
+function getPushConfig() {
+  const env = process.env;
+  const publicKey = env.VAPID_PUBLIC_KEY || "";
+  const privateKey = env.VAPID_PRIVATE_KEY || "";
+  // push services contact this address (mailto: or https:) about misbehaving senders
+  const subject = env.VAPID_SUBJECT || "";
+
+  return {
+    enabled: Boolean(publicKey && privateKey && subject),
+    vapid: { publicKey, privateKey, subject },
+    // how long a push service holds a notification for a device that's offline
+    ttlSec: Number(env.PUSH_TTL_SEC) || 24 * 60 * 60,
+    maxSubscriptionsPerUser: Number(env.PUSH_MAX_SUBSCRIPTIONS_PER_USER) || 10,
+    allowedHosts: env.PUSH_ALLOWED_HOSTS
+      ? env.PUSH_ALLOWED_HOSTS.split(",").map((host) => host.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_ALLOWED_HOSTS
+  };
+}
+
+module.exports = { getPushConfig };
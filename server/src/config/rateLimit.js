@@ -0,0 +1,54 @@
+// budgets are "points/windowSeconds"; "off" (or 0) disables that dimension
+const parseBudget = (value, fallback) => {
+  const raw = (value || fallback).trim();
+  if (raw === "off" || raw === "0") return null;
+  const [points, windowSec] = raw.split("/").map(Number);
+  if (!points || !windowSec) {
+    throw new Error(`Invalid rate limit budget "${raw}", expected points/windowSeconds`);
+  }
+  return { points, windowSec };
+};
+
+function getRateLimitConfig() {
+  const env = process.env;
+  const redisUrl = env.REDIS_URL || "";
+
+  return {
+    enabled: env.RATE_LIMIT_ENABLED !== "false",
+    // memory counts per process; redis shares the counters across nodes
+    store: env.RATE_LIMIT_STORE || (redisUrl ? "redis" : "memory"),
+    redisUrl,
+    redisKeyPrefix: env.RATE_LIMIT_REDIS_PREFIX || "ratelimit",
+    // behind a load balancer the client address comes from X-Forwarded-For
+    trustProxy: env.TRUST_PROXY === "true",
+    budgets: {
+      api: {
+        ip: parseBudget(env.RATE_LIMIT_API_IP, "600/60")
+      },
+      messages: {
+        user: parseBudget(env.RATE_LIMIT_MESSAGES_USER, "20/10"),
+        ip: parseBudget(env.RATE_LIMIT_MESSAGES_IP, "60/10")
+      },
+      reactions: {
+        user: parseBudget(env.RATE_LIMIT_REACTIONS_USER, "60/60"),
+        ip: parseBudget(env.RATE_LIMIT_REACTIONS_IP, "180/60")
+      },
+      reports: {
+        user: parseBudget(env.RATE_LIMIT_REPORTS_USER, "20/3600")
+      },
+      uploads: {
+        user: parseBudget(env.RATE_LIMIT_UPLOADS_USER, "20/60"),
+        ip: parseBudget(env.RATE_LIMIT_UPLOADS_IP, "60/60")
+      },
+      socketEvents: {
+        user: parseBudget(env.RATE_LIMIT_SOCKET_EVENTS_USER, "120/10"),
+        ip: parseBudget(env.RATE_LIMIT_SOCKET_EVENTS_IP, "360/10")
+      },
+      socketConnections: {
+        ip: parseBudget(env.RATE_LIMIT_SOCKET_CONNECTIONS_IP, "30/60")
+      }
+    }
+  };
+}
+
+module.exports = { getRateLimitConfig };
@@ -0,0 +1,17 @@
+function getSocketAdapterConfig() {
+  const redisUrl = process.env.REDIS_URL || "";
+
+  return {
+    // memory keeps everything in this process; redis and mongo share rooms across nodes
+    driver: process.env.SOCKET_ADAPTER || (redisUrl ? "redis" : "memory"),
+    redisUrl,
+    redisKeyPrefix: process.env.SOCKET_ADAPTER_REDIS_PREFIX || "socket.io",
+    // the mongo adapter relies on change streams, so MongoDB must run as a replica set
+    mongoCollection: process.env.SOCKET_ADAPTER_MONGO_COLLECTION || "socket_io_events",
+    mongoEventTtlSec: Number(process.env.SOCKET_ADAPTER_MONGO_TTL_SEC) || 3600,
+    // cross-node requests such as fetchSockets give up on silent nodes after this long
+    requestsTimeoutMs: Number(process.env.SOCKET_ADAPTER_TIMEOUT_MS) || 5000
+  };
+}
+
+module.exports = { getSocketAdapterConfig };
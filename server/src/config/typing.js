@@ -0,0 +1,9 @@
+function getTypingConfig() {
+  return {
+    // a client that stops sending typing:start (closed tab, lost network)
+    // is considered idle after this long
+    timeoutMs: Number(process.env.TYPING_TIMEOUT_MS) || 6000
+  };
+}
+
+module.exports = { getTypingConfig };
@@ -0,0 +1,46 @@
+const path = require("path");
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+];
+
+function getUploadConfig() {
+  const allowedTypes = (process.env.UPLOAD_ALLOWED_TYPES || "")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+
+  return {
+    driver: process.env.STORAGE_DRIVER || "local",
+    maxFileBytes: Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+    maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 5,
+    allowedTypes: allowedTypes.length > 0 ? allowedTypes : DEFAULT_ALLOWED_TYPES,
+    thumbnailSize: Number(process.env.UPLOAD_THUMBNAIL_SIZE) || 320,
+    local: {
+      directory: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads")),
+      // absolute base the client should use; falls back to a path on this server
+      publicUrl: (process.env.UPLOAD_PUBLIC_URL || "/uploads").replace(/\/$/, "")
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET || "",
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || "",
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+      publicUrl: (process.env.S3_PUBLIC_URL || "").replace(/\/$/, "")
+    }
+  };
+}
+
+module.exports = { getUploadConfig };
@@ -0,0 +1,26 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { storeUpload, toMessageAttachment } = require("../services/attachments");
+
+exports.uploadAttachments = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.body;
+  const files = req.files || [];
+
+  if (!conversationId) {
+    return res.status(400).json({ message: "conversationId is required" });
+  }
+  if (files.length === 0) {
+    return res.status(400).json({ message: "Attach at least one file" });
+  }
+
+  await ensureConversationAccess(conversationId, currentUserId);
+
+  const attachments = [];
+  for (const file of files) {
+    const attachment = await storeUpload(file, { uploaderId: currentUserId, conversationId });
+    attachments.push(toMessageAttachment(attachment));
+  }
+
+  res.status(201).json(attachments);
+});
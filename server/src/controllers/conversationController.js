@@ -1,13 +1,24 @@
 const mongoose = require("mongoose");
 const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
 const UserProfile = require("../models/UserProfile");
 const asyncHandler = require("../utils/asyncHandler");
+const { serializeMessage } = require("../services/messages");
+const { assertCanMessage, findBlockedBetween } = require("../services/blocks");
+const { MUTE_FOREVER, getMutedUntil } = require("../services/mutes");
+const { MAX_PINNED_MESSAGES, listPins, broadcastPins } = require("../services/pins");
+const { removeBookmarks } = require("../services/bookmarks");
+const { userRoom, evictFromConversation } = require("../sockets/rooms");
+
+const MAX_GROUP_MEMBERS = 100;
+const MAX_GROUP_NAME_LENGTH = 80;
+const MAX_SYNC_MESSAGES = 500;
 
 const pickProfiles = async (userIds) => {
   const uniqueIds = [...new Set(userIds)];
   const profiles = await UserProfile.find({
     clerkUserId: { $in: uniqueIds }
-  }).select("clerkUserId displayName avatarUrl email lastSeenAt");
+  }).select("clerkUserId displayName avatarUrl email lastSeenAt blockedUserIds mutedConversations");
 
   const map = new Map();
   profiles.forEach((profile) => {
@@ -68,9 +79,16 @@ const formatConversation = (conversation, profileMap, currentUserId) => {
     : primaryMember?.avatarUrl || "";
 
   const unreadCounts = conversation.unreadCounts || new Map();
+  const conversationId = conversation._id.toString();
+
+  // block state only matters for direct conversations; the other side's list never leaves the server
+  const viewer = profileMap.get(currentUserId);
+  const otherProfile = isGroup ? null : profileMap.get(primaryMember?.clerkUserId);
+  const blockedByMe = Boolean(!isGroup && viewer?.blockedUserIds?.includes(primaryMember?.clerkUserId));
+  const blockedMe = Boolean(otherProfile?.blockedUserIds?.includes(currentUserId));
 
   return {
-    id: conversation._id.toString(),
+    id: conversationId,
     name: title,
     isGroup,
     avatar,
@@ -86,10 +104,101 @@ const formatConversation = (conversation, profileMap, currentUserId) => {
       : null,
     lastMessageAt: conversation.lastMessageAt || conversation.updatedAt,
     createdAt: conversation.createdAt,
-    adminId: conversation.adminId || null
+    updatedAt: conversation.updatedAt,
+    adminId: conversation.adminId || null,
+    mutedUntil: getMutedUntil(viewer, conversationId),
+    blockedByMe,
+    canMessage: !blockedByMe && !blockedMe
   };
 };
 
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const loadMemberConversation = async (conversationId, currentUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    throw createHttpError(400, "Invalid conversation id");
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.members.includes(currentUserId)) {
+    throw createHttpError(404, "Conversation not found");
+  }
+
+  return conversation;
+};
+
+const loadAdminGroup = async (conversationId, currentUserId) => {
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+
+  if (!conversation.isGroup) {
+    throw createHttpError(400, "Only group conversations can be managed");
+  }
+  if (conversation.adminId !== currentUserId) {
+    throw createHttpError(403, "Only the group admin can do that");
+  }
+
+  return conversation;
+};
+
+const normalizeGroupName = (name) => {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) {
+    throw createHttpError(400, "Group name is required");
+  }
+  if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    throw createHttpError(400, `Group name must be at most ${MAX_GROUP_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+const normalizeMemberIds = (memberIds) => {
+  if (!Array.isArray(memberIds)) {
+    throw createHttpError(400, "memberIds must be an array");
+  }
+  return [...new Set(memberIds.filter((id) => typeof id === "string" && id.trim()).map((id) => id.trim()))];
+};
+
+const loadPinnableMessage = async (conversation, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, "Invalid message id");
+  }
+
+  const message = await Message.findOne({ _id: messageId, conversationId: conversation._id }).select(
+    "deletedAt hiddenAt"
+  );
+  if (!message || message.deletedAt || message.hiddenAt) {
+    throw createHttpError(404, "Message not found");
+  }
+
+  return message;
+};
+
+const isPinned = (conversation, messageId) =>
+  (conversation.pinnedMessages || []).some((pin) => pin.messageId.toString() === messageId.toString());
+
+const setUnreadCount = (conversation, memberId, value) => {
+  if (!conversation.unreadCounts) {
+    conversation.unreadCounts = new Map();
+  }
+  conversation.unreadCounts.set(memberId, value);
+};
+
+const notifyUsers = (userIds, event, payload) => {
+  if (!global.io) return;
+  userIds.forEach((userId) => {
+    global.io.to(userRoom(userId)).emit(event, payload);
+  });
+};
+
+const respondWithConversation = async (res, conversation, currentUserId, status = 200) => {
+  const profiles = await pickProfiles(conversation.members);
+  res.status(status).json(formatConversation(conversation, profiles, currentUserId));
+};
+
 exports.listMyConversations = asyncHandler(async (req, res) => {
   const currentUserId = req.auth.userId;
 
@@ -106,6 +215,69 @@ exports.listMyConversations = asyncHandler(async (req, res) => {
   res.json(payload);
 });
 
+// replays what a client missed while its socket was down: conversations and messages
+// (new, edited, deleted, reacted to or receipted) changed after `since`; a truncated
+// page also hands back `nextAfterId` so the next one resumes after the same timestamp
+exports.syncConversations = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const since = new Date(req.query.since);
+  const { afterId } = req.query;
+
+  if (!req.query.since || Number.isNaN(since.getTime())) {
+    return res.status(400).json({ message: "since must be a valid date" });
+  }
+  if (afterId !== undefined && !mongoose.Types.ObjectId.isValid(afterId)) {
+    return res.status(400).json({ message: "afterId must be a message id" });
+  }
+
+  // taken before querying so anything written meanwhile is picked up by the next sync
+  const serverTime = new Date();
+
+  const memberships = await Conversation.find({ members: currentUserId });
+  const changed = memberships.filter((conversation) => conversation.updatedAt > since);
+  const membersById = new Map(
+    memberships.map((conversation) => [conversation._id.toString(), conversation.members])
+  );
+
+  // messages sharing the cursor's timestamp are ordered by _id so none are skipped
+  const cursor = afterId
+    ? {
+        $or: [
+          { updatedAt: { $gt: since } },
+          { updatedAt: since, _id: { $gt: new mongoose.Types.ObjectId(afterId) } }
+        ]
+      }
+    : { updatedAt: { $gt: since } };
+
+  const page = await Message.find({
+    conversationId: { $in: memberships.map((conversation) => conversation._id) },
+    ...cursor
+  })
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(MAX_SYNC_MESSAGES + 1)
+    .lean();
+
+  // too much to replay; clients resume from nextSince/nextAfterId or reload the affected conversations
+  const truncated = page.length > MAX_SYNC_MESSAGES;
+  const messages = truncated ? page.slice(0, MAX_SYNC_MESSAGES) : page;
+
+  const profileMap = await pickProfiles(changed.flatMap((c) => c.members));
+
+  res.json({
+    conversations: changed.map((conversation) =>
+      formatConversation(conversation, profileMap, currentUserId)
+    ),
+    // anything the client knows that is missing here was left or removed
+    conversationIds: memberships.map((conversation) => conversation._id.toString()),
+    messages: messages.map((message) =>
+      serializeMessage(message, membersById.get(message.conversationId.toString()) || [])
+    ),
+    truncated,
+    nextSince: truncated ? messages[messages.length - 1].updatedAt : serverTime,
+    nextAfterId: truncated ? messages[messages.length - 1]._id.toString() : null
+  });
+});
+
 exports.ensureConversation = asyncHandler(async (req, res) => {
   const currentUserId = req.auth.userId;
   const { targetUserId } = req.body;
@@ -118,6 +290,8 @@ exports.ensureConversation = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: "Cannot start a conversation with yourself" });
   }
 
+  await assertCanMessage(currentUserId, targetUserId);
+
   let conversation = await Conversation.findOne({
     isGroup: false,
     members: { $all: [currentUserId, targetUserId], $size: 2 }
@@ -144,18 +318,253 @@ exports.getConversationDetail = asyncHandler(async (req, res) => {
   const currentUserId = req.auth.userId;
   const { conversationId } = req.params;
 
-  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
-    return res.status(400).json({ message: "Invalid conversation id" });
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.createGroup = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const name = normalizeGroupName(req.body.name);
+  const invitees = normalizeMemberIds(req.body.memberIds || []).filter((id) => id !== currentUserId);
+
+  if (invitees.length === 0) {
+    return res.status(400).json({ message: "Pick at least one other member" });
   }
 
-  const conversation = await Conversation.findById(conversationId);
+  const members = [currentUserId, ...invitees];
+  if (members.length > MAX_GROUP_MEMBERS) {
+    return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+  }
+  if ((await findBlockedBetween(currentUserId, invitees)).size > 0) {
+    return res.status(403).json({ message: "Some of the people you picked can't be added" });
+  }
 
-  if (!conversation || !conversation.members.includes(currentUserId)) {
-    return res.status(404).json({ message: "Conversation not found" });
+  const conversation = await Conversation.create({
+    name,
+    isGroup: true,
+    adminId: currentUserId,
+    members,
+    lastMessageAt: null,
+    unreadCounts: Object.fromEntries(members.map((id) => [id, 0]))
+  });
+
+  const conversationId = conversation._id.toString();
+  notifyUsers(invitees, "conversation:update", { conversationId });
+
+  await respondWithConversation(res, conversation, currentUserId, 201);
+});
+
+exports.renameGroup = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+
+  const conversation = await loadAdminGroup(conversationId, currentUserId);
+  conversation.name = normalizeGroupName(req.body.name);
+  await conversation.save();
+
+  notifyUsers(
+    conversation.members.filter((id) => id !== currentUserId),
+    "conversation:update",
+    { conversationId }
+  );
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.addGroupMembers = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+
+  const conversation = await loadAdminGroup(conversationId, currentUserId);
+  const additions = normalizeMemberIds(req.body.memberIds).filter(
+    (id) => !conversation.members.includes(id)
+  );
+
+  if (additions.length === 0) {
+    return res.status(400).json({ message: "No new members to add" });
+  }
+  if (conversation.members.length + additions.length > MAX_GROUP_MEMBERS) {
+    return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+  }
+  if ((await findBlockedBetween(currentUserId, additions)).size > 0) {
+    return res.status(403).json({ message: "Some of the people you picked can't be added" });
   }
 
-  const profiles = await pickProfiles(conversation.members);
-  const formatted = formatConversation(conversation, profiles, currentUserId);
+  conversation.members.push(...additions);
+  additions.forEach((id) => setUnreadCount(conversation, id, 0));
+  await conversation.save();
+
+  notifyUsers(
+    conversation.members.filter((id) => id !== currentUserId),
+    "conversation:update",
+    { conversationId }
+  );
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.removeGroupMember = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId, memberId } = req.params;
+
+  const conversation = await loadAdminGroup(conversationId, currentUserId);
+
+  if (memberId === currentUserId) {
+    return res.status(400).json({ message: "Use leave to remove yourself from a group" });
+  }
+  if (!conversation.members.includes(memberId)) {
+    return res.status(404).json({ message: "Member not found" });
+  }
+
+  conversation.members = conversation.members.filter((id) => id !== memberId);
+  conversation.unreadCounts?.delete(memberId);
+  await conversation.save();
+  await removeBookmarks({ userId: memberId, conversationId: conversation._id });
+
+  evictFromConversation(global.io, conversationId, [memberId]);
+  notifyUsers([memberId], "conversation:removed", { conversationId });
+  notifyUsers(
+    conversation.members.filter((id) => id !== currentUserId),
+    "conversation:update",
+    { conversationId }
+  );
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.leaveGroup = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+
+  if (!conversation.isGroup) {
+    return res.status(400).json({ message: "Only group conversations can be left" });
+  }
+
+  conversation.members = conversation.members.filter((id) => id !== currentUserId);
+  conversation.unreadCounts?.delete(currentUserId);
+  // saved messages from a group you left can't be opened any more
+  await removeBookmarks({ userId: currentUserId, conversationId: conversation._id });
+
+  if (conversation.members.length === 0) {
+    await conversation.deleteOne();
+    evictFromConversation(global.io, conversationId, [currentUserId]);
+    return res.status(204).end();
+  }
+
+  // hand the group over to the longest-standing remaining member
+  if (conversation.adminId === currentUserId) {
+    conversation.adminId = conversation.members[0];
+  }
+  await conversation.save();
+
+  // the user's other tabs must stop receiving the group's messages too
+  evictFromConversation(global.io, conversationId, [currentUserId]);
+  notifyUsers(conversation.members, "conversation:update", { conversationId });
+
+  res.status(204).end();
+});
+
+// muting is personal: it hides the unread badge and holds back notifications for
+// this user only, until `until` (or until they unmute when it's omitted)
+exports.muteConversation = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+
+  let until = MUTE_FOREVER;
+  if (req.body?.until) {
+    until = new Date(req.body.until);
+    if (Number.isNaN(until.getTime()) || until <= new Date()) {
+      return res.status(400).json({ message: "until must be a date in the future" });
+    }
+  }
+
+  await UserProfile.updateOne(
+    { clerkUserId: currentUserId },
+    { $set: { [`mutedConversations.${conversationId}`]: until } }
+  );
+
+  // other tabs and devices of the same user pick it up
+  notifyUsers([currentUserId], "conversation:update", { conversationId });
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.unmuteConversation = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+
+  await UserProfile.updateOne(
+    { clerkUserId: currentUserId },
+    { $unset: { [`mutedConversations.${conversationId}`]: "" } }
+  );
+
+  notifyUsers([currentUserId], "conversation:update", { conversationId });
+
+  await respondWithConversation(res, conversation, currentUserId);
+});
+
+exports.listPinnedMessages = asyncHandler(async (req, res) => {
+  const conversation = await loadMemberConversation(req.params.conversationId, req.auth.userId);
+  res.json(await listPins(conversation));
+});
+
+// any member can pin; pinning something that is already pinned is a no-op
+exports.pinMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId } = req.params;
+
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+  const message = await loadPinnableMessage(conversation, req.body?.messageId);
+
+  // the filter keeps two members pinning at once from overshooting the cap or pinning twice
+  const updated = await Conversation.findOneAndUpdate(
+    {
+      _id: conversation._id,
+      "pinnedMessages.messageId": { $ne: message._id },
+      [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+    },
+    { $push: { pinnedMessages: { messageId: message._id, pinnedBy: currentUserId, pinnedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await loadMemberConversation(conversationId, currentUserId);
+    if (isPinned(current, message._id)) {
+      return res.json(await listPins(current));
+    }
+    return res.status(400).json({
+      message: `Conversations can have at most ${MAX_PINNED_MESSAGES} pinned messages`
+    });
+  }
+
+  res.status(201).json(await broadcastPins(updated));
+});
+
+exports.unpinMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { conversationId, messageId } = req.params;
+
+  const conversation = await loadMemberConversation(conversationId, currentUserId);
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
+  }
+  if (!isPinned(conversation, messageId)) {
+    return res.json(await listPins(conversation));
+  }
+
+  const updated = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    { $pull: { pinnedMessages: { messageId: new mongoose.Types.ObjectId(messageId) } } },
+    { new: true }
+  );
+  if (!updated) {
+    return res.status(404).json({ message: "Conversation not found" });
+  }
 
-  res.json(formatted);
+  res.json(await broadcastPins(updated));
 });
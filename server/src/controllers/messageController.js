@@ -1,158 +1,456 @@
 const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
 const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
-const UserProfile = require("../models/UserProfile");
 const asyncHandler = require("../utils/asyncHandler");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { parseSearchTerms, buildSnippet } = require("../utils/snippets");
+const { removeStoredFiles } = require("../services/attachments");
+const { removeBookmarks } = require("../services/bookmarks");
+const { runContentFilters } = require("../services/contentFilters");
+const { extractUrls } = require("../utils/urls");
+const {
+  QUOTE_PREVIEW_LENGTH,
+  flagForReview,
+  queueLinkPreviews,
+  serializeMessage,
+  previewText,
+  toLastMessage,
+  createMessage
+} = require("../services/messages");
+const { broadcastPins } = require("../services/pins");
+const { userRoom, conversationRoom } = require("../sockets/rooms");
 
-const ensureConversationAccess = async (conversationId, currentUserId) => {
-  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
-    const error = new Error("Invalid conversation id");
+// older conversations stored lastMessage without an id, fall back to matching on timestamp
+const isLastMessage = (conversation, message) => {
+  const last = conversation.lastMessage;
+  if (!last) return false;
+  if (last.messageId) return last.messageId.equals(message._id);
+  return (
+    last.senderId === message.senderId &&
+    new Date(last.createdAt).getTime() === new Date(message.createdAt).getTime()
+  );
+};
+
+const loadOwnMessage = async (messageId, currentUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    const error = new Error("Invalid message id");
     error.statusCode = 400;
     throw error;
   }
 
-  const conversation = await Conversation.findById(conversationId);
-  if (!conversation) {
-    const error = new Error("Conversation not found");
+  const message = await Message.findById(messageId);
+  if (!message || message.deletedAt) {
+    const error = new Error("Message not found");
     error.statusCode = 404;
     throw error;
   }
 
-  if (!conversation.members.includes(currentUserId)) {
-    const error = new Error("Access denied");
+  if (message.senderId !== currentUserId) {
+    const error = new Error("You can only change your own messages");
     error.statusCode = 403;
     throw error;
   }
 
-  return conversation;
+  const conversation = await ensureConversationAccess(message.conversationId.toString(), currentUserId);
+  return { message, conversation };
+};
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const parseDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`Invalid ${field} date`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// cursors are opaque to the client: "<createdAt ms>:<message id>", base64url encoded.
+// the id breaks ties between messages created in the same millisecond
+const encodeCursor = (message) =>
+  Buffer.from(`${new Date(message.createdAt).getTime()}:${message._id}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split(":");
+  const createdAt = new Date(Number(time));
+
+  if (!id || Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error("Invalid cursor");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+const parsePageSize = (limit) => {
+  const parsed = Number.parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// returns up to `limit` messages matching `scope` strictly before/after the cursor, oldest first
+const fetchPage = async (scope, cursor, direction, limit) => {
+  const sortOrder = direction === "after" ? 1 : -1;
+  const comparator = direction === "after" ? "$gt" : "$lt";
+
+  const filter = { ...scope };
+  if (cursor) {
+    filter.$or = [
+      { createdAt: { [comparator]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [comparator]: cursor.id } }
+    ];
+  }
+
+  const page = await Message.find(filter)
+    .sort({ createdAt: sortOrder, _id: sortOrder })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = page.length > limit;
+  const messages = hasMore ? page.slice(0, limit) : page;
+  if (direction === "before") {
+    messages.reverse();
+  }
+
+  return { messages, hasMore };
 };
 
 exports.getMessagesForConversation = asyncHandler(async (req, res) => {
   const currentUserId = req.auth.userId;
   const { conversationId } = req.params;
 
+  const { before, after, around } = req.query;
+
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return res.status(400).json({ message: "Use only one of before, after or around" });
+  }
+
   const conversation = await ensureConversationAccess(conversationId, currentUserId);
+  const limit = parsePageSize(req.query.limit);
+  // thread replies are read in the thread panel, not the main timeline
+  const scope = { conversationId, threadRootId: null };
 
-  let messages = await Message.find({ conversationId })
-    .sort({ createdAt: 1 })
-    .lean();
+  let messages;
+  let nextCursor = null;
+  let newerCursor = null;
+  let hasMore;
 
-  if (messages.length > 0) {
-    await Message.updateMany(
-      {
-        conversationId,
-        senderId: { $ne: currentUserId },
-        readBy: { $ne: currentUserId }
-      },
-      {
-        $addToSet: { readBy: currentUserId },
-        $set: { status: "seen" }
-      }
-    );
-  }
-
-  messages = messages.map((message) => {
-    const readBy = Array.isArray(message.readBy) ? message.readBy : [];
-    const hasRead = readBy.includes(currentUserId);
-    const nextReadBy = hasRead ? readBy : [...readBy, currentUserId];
-    const status = message.senderId === currentUserId ? message.status : "seen";
-    return {
-      ...message,
-      readBy: nextReadBy,
-      status
-    };
-  });
+  if (around) {
+    // a window centred on one message, used when jumping to a search result
+    if (!mongoose.Types.ObjectId.isValid(around)) {
+      return res.status(400).json({ message: "Invalid message id" });
+    }
+    let anchor = await Message.findOne({ _id: around, conversationId }).lean();
+    if (anchor?.threadRootId) {
+      anchor = await Message.findOne({ _id: anchor.threadRootId, conversationId }).lean();
+    }
+    if (!anchor) {
+      return res.status(404).json({ message: "Message not found" });
+    }
 
-  if (!conversation.unreadCounts) {
-    conversation.unreadCounts = new Map();
-  }
-  if (conversation.unreadCounts instanceof Map) {
-    conversation.unreadCounts.set(currentUserId, 0);
+    const anchorCursor = { createdAt: anchor.createdAt, id: anchor._id };
+    const olderLimit = Math.floor((limit - 1) / 2);
+    const older = await fetchPage(scope, anchorCursor, "before", olderLimit);
+    const newer = await fetchPage(scope, anchorCursor, "after", limit - 1 - olderLimit);
+
+    messages = [...older.messages, anchor, ...newer.messages];
+    nextCursor = older.hasMore ? encodeCursor(messages[0]) : null;
+    newerCursor = newer.hasMore ? encodeCursor(messages[messages.length - 1]) : null;
+    hasMore = older.hasMore;
   } else {
-    conversation.unreadCounts[currentUserId] = 0;
+    // without a cursor we page backwards from the newest message
+    const direction = after ? "after" : "before";
+    const cursor = before || after ? decodeCursor(before || after) : null;
+    const page = await fetchPage(scope, cursor, direction, limit);
+
+    messages = page.messages;
+    hasMore = page.hasMore;
+    if (hasMore) {
+      nextCursor = encodeCursor(direction === "after" ? messages[messages.length - 1] : messages[0]);
+    }
   }
-  await conversation.save();
 
-  res.json(messages);
+  // fetching history is not the same as reading it; receipts arrive
+  // separately over the socket once the messages are actually on screen
+  res.json({
+    messages: messages.map((message) => serializeMessage(message, conversation.members)),
+    nextCursor,
+    newerCursor,
+    hasMore
+  });
 });
 
-exports.sendMessage = asyncHandler(async (req, res) => {
+exports.getThread = asyncHandler(async (req, res) => {
   const currentUserId = req.auth.userId;
-  const { conversationId, text } = req.body;
+  const { messageId } = req.params;
 
-  if (!conversationId || !text?.trim()) {
-    return res.status(400).json({ message: "conversationId and text are required" });
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
   }
 
-  const conversation = await ensureConversationAccess(conversationId, currentUserId);
+  const message = await Message.findById(messageId).lean();
+  if (!message) {
+    return res.status(404).json({ message: "Message not found" });
+  }
+
+  const conversation = await ensureConversationAccess(message.conversationId.toString(), currentUserId);
+
+  // asking for a reply opens the thread it belongs to
+  const root = message.threadRootId
+    ? await Message.findById(message.threadRootId).lean()
+    : message;
+  if (!root) {
+    return res.status(404).json({ message: "Message not found" });
+  }
+
+  const limit = parsePageSize(req.query.limit);
+  const cursor = req.query.after ? decodeCursor(req.query.after) : null;
+  const page = await fetchPage({ threadRootId: root._id }, cursor, "after", limit);
 
-  const profile =
-    (await UserProfile.findOne({ clerkUserId: currentUserId })) ||
-    {
-      displayName: "You",
-      avatarUrl: ""
-    };
-
-  const message = await Message.create({
-    conversationId,
-    senderId: currentUserId,
-    senderName: profile.displayName,
-    senderAvatar: profile.avatarUrl,
-    text: text.trim(),
-    readBy: [currentUserId],
-    status: "sent"
+  res.json({
+    root: serializeMessage(root, conversation.members),
+    replies: page.messages.map((reply) => serializeMessage(reply, conversation.members)),
+    nextCursor: page.hasMore ? encodeCursor(page.messages[page.messages.length - 1]) : null,
+    hasMore: page.hasMore
   });
+});
+
+exports.searchMessages = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const { senderId, conversationId } = req.query;
 
-  if (!conversation.unreadCounts) {
-    conversation.unreadCounts = new Map();
+  if (!q) {
+    return res.status(400).json({ message: "q is required" });
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ message: `q must be at most ${MAX_QUERY_LENGTH} characters` });
   }
 
-  const updateUnread = (memberId) => {
-    if (conversation.unreadCounts instanceof Map) {
-      const prev = conversation.unreadCounts.get(memberId) || 0;
-      conversation.unreadCounts.set(memberId, memberId === currentUserId ? 0 : prev + 1);
-    } else {
-      const prev = conversation.unreadCounts[memberId] || 0;
-      conversation.unreadCounts[memberId] = memberId === currentUserId ? 0 : prev + 1;
+  const from = parseDate(req.query.from, "from");
+  const to = parseDate(req.query.to, "to");
+  const limit = Math.min(
+    Number.parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT,
+    MAX_SEARCH_LIMIT
+  );
+
+  // only ever search conversations the caller is a member of
+  let conversationIds = await Conversation.find({ members: currentUserId }).distinct("_id");
+  if (conversationId) {
+    conversationIds = conversationIds.filter((id) => id.toString() === conversationId);
+    if (conversationIds.length === 0) {
+      return res.status(404).json({ message: "Conversation not found" });
     }
+  }
+
+  const filter = {
+    $text: { $search: q },
+    conversationId: { $in: conversationIds },
+    deletedAt: null,
+    hiddenAt: null
   };
+  if (senderId) {
+    filter.senderId = senderId;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
 
-  conversation.members.forEach(updateUnread);
+  const matches = await Message.find(filter, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .limit(limit)
+    .select("conversationId senderId senderName senderAvatar text createdAt")
+    .lean();
 
-  conversation.lastMessage = {
-    text: message.text,
-    senderId: message.senderId,
-    senderName: message.senderName,
-    senderAvatar: message.senderAvatar,
-    createdAt: message.createdAt
-  };
-  conversation.lastMessageAt = message.createdAt;
+  const terms = parseSearchTerms(q);
+  res.json({
+    results: matches.map((message) => ({
+      messageId: message._id,
+      conversationId: message.conversationId,
+      senderId: message.senderId,
+      senderName: message.senderName,
+      senderAvatar: message.senderAvatar,
+      createdAt: message.createdAt,
+      ...buildSnippet(message.text, terms)
+    }))
+  });
+});
+
+exports.sendMessage = asyncHandler(async (req, res) => {
+  const { message, created } = await createMessage({
+    userId: req.auth.userId,
+    conversationId: req.body.conversationId,
+    text: req.body.text,
+    attachmentIds: req.body.attachmentIds,
+    replyToId: req.body.replyToId,
+    threadRootId: req.body.threadRootId,
+    clientMessageId: req.body.clientMessageId
+  });
+
+  res.status(created ? 201 : 200).json(message);
+});
+
+exports.editMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+  const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+  const { message, conversation } = await loadOwnMessage(messageId, currentUserId);
+
+  if (message.hiddenAt) {
+    return res.status(403).json({ message: "This message was hidden by a moderator" });
+  }
+
+  if (!text && message.attachments.length === 0) {
+    return res.status(400).json({ message: "text is required" });
+  }
+
+  // edits go through the same filters as new messages
+  const filtered = text
+    ? await runContentFilters({ text, userId: currentUserId, conversationId: conversation._id.toString() })
+    : { text, flags: [] };
+
+  if (message.text === filtered.text) {
+    return res.json(serializeMessage(message, conversation.members));
+  }
+
+  const editedAt = new Date();
+  message.editHistory.push({ text: message.text, editedAt });
+  message.text = filtered.text;
+  message.editedAt = editedAt;
+  // cards for links that were edited out go now; new links are unfurled below
+  const linkedUrls = new Set(extractUrls(filtered.text).map((url) => url.href));
+  message.linkPreviews = message.linkPreviews.filter((preview) => linkedUrls.has(preview.url));
+  if (filtered.flags.length > 0) {
+    message.flags.push(...filtered.flags);
+  }
+  await message.save();
+
+  if (filtered.flags.length > 0) {
+    await flagForReview(message, filtered.flags);
+  }
+
+  await Message.updateMany(
+    { "replyTo.messageId": message._id },
+    { $set: { "replyTo.text": previewText(message).slice(0, QUOTE_PREVIEW_LENGTH) } }
+  );
+
+  const conversationId = conversation._id.toString();
+  const wasLatest = isLastMessage(conversation, message);
+  if (wasLatest) {
+    conversation.lastMessage = toLastMessage(message);
+    await conversation.save();
+  }
 
-  await conversation.save();
+  if (global.io) {
+    global.io.to(conversationRoom(conversationId)).emit("message:updated", {
+      conversationId,
+      message: serializeMessage(message, conversation.members)
+    });
+
+    if (wasLatest) {
+      conversation.members.forEach((memberId) => {
+        global.io.to(userRoom(memberId)).emit("conversation:update", { conversationId });
+      });
+    }
+  }
+
+  queueLinkPreviews(message, conversation.members);
+
+  res.json(serializeMessage(message, conversation.members));
+});
+
+exports.deleteMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+
+  const { message, conversation } = await loadOwnMessage(messageId, currentUserId);
+
+  // keep a tombstone so the timeline and pagination cursors stay intact
+  const removedFiles = await Attachment.find({ messageId: message._id });
+
+  message.deletedAt = new Date();
+  message.text = "";
+  message.editHistory = [];
+  message.attachments = [];
+  message.linkPreviews = [];
+  message.reactions = new Map();
+  await message.save();
+
+  await Message.updateMany(
+    { "replyTo.messageId": message._id },
+    { $set: { "replyTo.text": "", "replyTo.deleted": true } }
+  );
+
+  // a deleted message can't stay pinned
+  const unpinned = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, "pinnedMessages.messageId": message._id },
+    { $pull: { pinnedMessages: { messageId: message._id } } },
+    { new: true }
+  );
+  if (unpinned) {
+    await broadcastPins(unpinned);
+  }
+
+  // or saved; whoever saved it gets their list re-fetched without it
+  await removeBookmarks({ messageId: message._id });
+
+  const updatedRoot = message.threadRootId
+    ? await Message.findByIdAndUpdate(
+        message.threadRootId,
+        { $inc: { threadReplyCount: -1 } },
+        { new: true }
+      )
+    : null;
+
+  // the files go with the message; a storage hiccup shouldn't fail the delete
+  await Promise.all(
+    removedFiles.map((file) => removeStoredFiles(file).then(() => file.deleteOne()).catch(() => {}))
+  );
+
+  const conversationId = conversation._id.toString();
+  const wasLatest = isLastMessage(conversation, message);
+  if (wasLatest) {
+    const previous = await Message.findOne({ conversationId, deletedAt: null, hiddenAt: null })
+      .sort({ createdAt: -1, _id: -1 });
+
+    conversation.lastMessage = previous ? toLastMessage(previous) : undefined;
+    conversation.lastMessageAt = previous ? previous.createdAt : null;
+    await conversation.save();
+  }
 
   if (global.io) {
-    global.io.to(conversationId).emit("message:new", {
-      conversationId, 
-      message: {
-        _id: message._id,
-        conversationId: message.conversationId,
-        senderId: message.senderId,
-        senderName: message.senderName,
-        senderAvatar: message.senderAvatar,
-        text: message.text,
-        status: message.status,
-        readBy: message.readBy,
-        createdAt: message.createdAt,
-        updatedAt: message.updatedAt
-      }
+    global.io.to(conversationRoom(conversationId)).emit("message:deleted", {
+      conversationId,
+      messageId: message._id.toString(),
+      message: serializeMessage(message, conversation.members)
     });
 
-    conversation.members
-      .filter((memberId) => memberId !== currentUserId)
-      .forEach((memberId) => {
-        global.io.to(memberId).emit("conversation:update", { conversationId });
+    if (updatedRoot) {
+      global.io.to(conversationRoom(conversationId)).emit("message:updated", {
+        conversationId,
+        message: serializeMessage(updatedRoot, conversation.members)
       });
+    }
+
+    if (wasLatest) {
+      conversation.members.forEach((memberId) => {
+        global.io.to(userRoom(memberId)).emit("conversation:update", { conversationId });
+      });
+    }
   }
 
-  res.status(201).json(message);
+  res.json(serializeMessage(message, conversation.members));
 });
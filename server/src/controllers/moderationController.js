@@ -0,0 +1,441 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const AuditLog = require("../models/AuditLog");
+const UserProfile = require("../models/UserProfile");
+const asyncHandler = require("../utils/asyncHandler");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { serializeMessage, toLastMessage } = require("../services/messages");
+const { removeBookmarks } = require("../services/bookmarks");
+const { getActiveSuspension, recordAudit } = require("../services/moderation");
+const { userRoom, conversationRoom } = require("../sockets/rooms");
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_DETAILS_LENGTH = 500;
+const MAX_REASON_LENGTH = 500;
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseLimit = (value) =>
+  Math.min(Number.parseInt(value, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+// pages run newest first; the cursor is the last _id of the previous page
+const parseBefore = (value) => {
+  if (!value) return null;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createHttpError(400, "Invalid cursor");
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const readReason = (value, { required }) => {
+  const reason = typeof value === "string" ? value.trim() : "";
+  if (required && !reason) {
+    throw createHttpError(400, "reason is required");
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw createHttpError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason;
+};
+
+const loadMessage = async (messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, "Invalid message id");
+  }
+  const message = await Message.findById(messageId);
+  if (!message || message.deletedAt) {
+    throw createHttpError(404, "Message not found");
+  }
+  return message;
+};
+
+const loadProfile = async (userId) => {
+  const profile = await UserProfile.findOne({ clerkUserId: userId });
+  if (!profile) {
+    throw createHttpError(404, "User not found");
+  }
+  return profile;
+};
+
+const toPage = (items, limit) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return { page, nextCursor: hasMore ? page[page.length - 1]._id.toString() : null };
+};
+
+const formatSuspension = (profile) => ({
+  clerkUserId: profile.clerkUserId,
+  displayName: profile.displayName,
+  suspension: getActiveSuspension(profile)
+});
+
+// hiding or restoring the newest message changes what the sidebar previews
+const refreshLastMessage = async (conversation) => {
+  const latest = await Message.findOne({
+    conversationId: conversation._id,
+    deletedAt: null,
+    hiddenAt: null
+  }).sort({ createdAt: -1, _id: -1 });
+
+  conversation.lastMessage = latest ? toLastMessage(latest) : undefined;
+  conversation.lastMessageAt = latest ? latest.createdAt : null;
+  await conversation.save();
+
+  if (global.io) {
+    const conversationId = conversation._id.toString();
+    conversation.members.forEach((memberId) => {
+      global.io.to(userRoom(memberId)).emit("conversation:update", { conversationId });
+    });
+  }
+};
+
+const setMessageHidden = async (message, hidden, moderatorId) => {
+  message.hiddenAt = hidden ? new Date() : null;
+  message.hiddenBy = hidden ? moderatorId : null;
+  await message.save();
+
+  await Message.updateMany(
+    { "replyTo.messageId": message._id },
+    { $set: { "replyTo.hidden": hidden } }
+  );
+
+  // nobody can open a hidden message from their saved list; restoring it doesn't re-save it
+  if (hidden) {
+    await removeBookmarks({ messageId: message._id });
+  }
+
+  const conversation = await Conversation.findById(message.conversationId);
+  if (!conversation) return;
+
+  const lastMessageId = conversation.lastMessage?.messageId;
+  const affectsPreview = hidden
+    ? Boolean(lastMessageId?.equals(message._id))
+    : !conversation.lastMessageAt || message.createdAt >= conversation.lastMessageAt;
+  if (affectsPreview) {
+    await refreshLastMessage(conversation);
+  }
+
+  if (global.io) {
+    const conversationId = conversation._id.toString();
+    global.io.to(conversationRoom(conversationId)).emit("message:updated", {
+      conversationId,
+      message: serializeMessage(message, conversation.members)
+    });
+  }
+};
+
+exports.reportMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+  const { reason } = req.body;
+  const details = typeof req.body.details === "string" ? req.body.details.trim() : "";
+
+  if (!Report.REASONS.includes(reason)) {
+    return res.status(400).json({ message: `reason must be one of ${Report.REASONS.join(", ")}` });
+  }
+  if (details.length > MAX_DETAILS_LENGTH) {
+    return res.status(400).json({ message: `details must be at most ${MAX_DETAILS_LENGTH} characters` });
+  }
+
+  const message = await loadMessage(messageId);
+  await ensureConversationAccess(message.conversationId.toString(), currentUserId);
+
+  if (message.senderId === currentUserId) {
+    return res.status(400).json({ message: "You can't report your own message" });
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      messageId: message._id,
+      conversationId: message.conversationId,
+      reporterId: currentUserId,
+      reportedUserId: message.senderId,
+      reason,
+      details,
+      messageSnapshot: {
+        text: message.text,
+        senderName: message.senderName,
+        attachmentCount: message.attachments.length,
+        createdAt: message.createdAt
+      }
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "You already reported this message" });
+    }
+    throw err;
+  }
+
+  res.status(201).json({
+    id: report._id.toString(),
+    messageId: report.messageId,
+    reason: report.reason,
+    status: report.status,
+    createdAt: report.createdAt
+  });
+});
+
+exports.listReports = asyncHandler(async (req, res) => {
+  const status = req.query.status || "open";
+  if (status !== "all" && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be all or one of ${REPORT_STATUSES.join(", ")}` });
+  }
+  const before = parseBefore(req.query.before);
+  const limit = parseLimit(req.query.limit);
+
+  const filter = {};
+  if (status !== "all") filter.status = status;
+  if (before) filter._id = { $lt: before };
+
+  const { page, nextCursor } = toPage(
+    await Report.find(filter).sort({ _id: -1 }).limit(limit + 1).lean(),
+    limit
+  );
+
+  const userIds = [...new Set(page.flatMap((report) => [report.reporterId, report.reportedUserId]))];
+  const [profiles, messages] = await Promise.all([
+    UserProfile.find({ clerkUserId: { $in: userIds } })
+      .select("clerkUserId displayName avatarUrl suspension")
+      .lean(),
+    Message.find({ _id: { $in: page.map((report) => report.messageId) } })
+      .select("hiddenAt deletedAt editedAt")
+      .lean()
+  ]);
+  const profileById = new Map(profiles.map((profile) => [profile.clerkUserId, profile]));
+  const messageById = new Map(messages.map((message) => [message._id.toString(), message]));
+
+  const describeUser = (clerkUserId) => {
+    const profile = profileById.get(clerkUserId);
+    return {
+      clerkUserId,
+      displayName: profile?.displayName || `User ${clerkUserId.slice(-4)}`,
+      avatarUrl: profile?.avatarUrl || "",
+      suspension: getActiveSuspension(profile)
+    };
+  };
+
+  res.json({
+    reports: page.map((report) => {
+      const current = messageById.get(report.messageId.toString());
+      return {
+        id: report._id.toString(),
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        conversationId: report.conversationId,
+        reporter: describeUser(report.reporterId),
+        reportedUser: describeUser(report.reportedUserId),
+        message: {
+          _id: report.messageId,
+          ...report.messageSnapshot,
+          hiddenAt: current?.hiddenAt || null,
+          deletedAt: current?.deletedAt || null,
+          editedAt: current?.editedAt || null
+        },
+        resolvedBy: report.resolvedBy,
+        resolvedAt: report.resolvedAt,
+        resolution: report.resolution,
+        createdAt: report.createdAt
+      };
+    }),
+    nextCursor
+  });
+});
+
+exports.resolveReport = asyncHandler(async (req, res) => {
+  const moderatorId = req.auth.userId;
+  const { reportId } = req.params;
+  const { status } = req.body;
+  const resolution = readReason(req.body.resolution, { required: false });
+
+  if (!["resolved", "dismissed"].includes(status)) {
+    return res.status(400).json({ message: "status must be resolved or dismissed" });
+  }
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    return res.status(400).json({ message: "Invalid report id" });
+  }
+
+  const report = await Report.findById(reportId);
+  if (!report) {
+    return res.status(404).json({ message: "Report not found" });
+  }
+
+  report.status = status;
+  report.resolvedBy = moderatorId;
+  report.resolvedAt = new Date();
+  report.resolution = resolution;
+  await report.save();
+
+  await recordAudit({
+    actorId: moderatorId,
+    action: `report.${status}`,
+    targetType: "report",
+    targetId: report._id,
+    reason: resolution,
+    metadata: { messageId: report.messageId.toString(), reportedUserId: report.reportedUserId }
+  });
+
+  res.json({
+    id: report._id.toString(),
+    status: report.status,
+    resolvedBy: report.resolvedBy,
+    resolvedAt: report.resolvedAt,
+    resolution: report.resolution
+  });
+});
+
+// hiding settles every open report on the message
+exports.hideMessage = asyncHandler(async (req, res) => {
+  const moderatorId = req.auth.userId;
+  const reason = readReason(req.body.reason, { required: true });
+  const message = await loadMessage(req.params.messageId);
+
+  if (!message.hiddenAt) {
+    await setMessageHidden(message, true, moderatorId);
+  }
+
+  const { modifiedCount } = await Report.updateMany(
+    { messageId: message._id, status: "open" },
+    { $set: { status: "resolved", resolvedBy: moderatorId, resolvedAt: new Date(), resolution: reason } }
+  );
+
+  await recordAudit({
+    actorId: moderatorId,
+    action: "message.hidden",
+    targetType: "message",
+    targetId: message._id,
+    reason,
+    metadata: {
+      conversationId: message.conversationId.toString(),
+      senderId: message.senderId,
+      resolvedReports: modifiedCount
+    }
+  });
+
+  res.json({ ...serializeMessage(message), hiddenBy: message.hiddenBy, resolvedReports: modifiedCount });
+});
+
+exports.unhideMessage = asyncHandler(async (req, res) => {
+  const moderatorId = req.auth.userId;
+  const reason = readReason(req.body?.reason ?? req.query.reason, { required: false });
+  const message = await loadMessage(req.params.messageId);
+
+  if (message.hiddenAt) {
+    await setMessageHidden(message, false, moderatorId);
+
+    await recordAudit({
+      actorId: moderatorId,
+      action: "message.unhidden",
+      targetType: "message",
+      targetId: message._id,
+      reason,
+      metadata: { conversationId: message.conversationId.toString(), senderId: message.senderId }
+    });
+  }
+
+  res.json(serializeMessage(message));
+});
+
+exports.suspendUser = asyncHandler(async (req, res) => {
+  const moderatorId = req.auth.userId;
+  const { userId } = req.params;
+  const reason = readReason(req.body.reason, { required: true });
+
+  if (userId === moderatorId) {
+    return res.status(400).json({ message: "You can't suspend yourself" });
+  }
+
+  let until = null;
+  if (req.body.until) {
+    until = new Date(req.body.until);
+    if (Number.isNaN(until.getTime()) || until <= new Date()) {
+      return res.status(400).json({ message: "until must be a date in the future" });
+    }
+  }
+
+  const profile = await loadProfile(userId);
+  if (profile.role === "moderator") {
+    return res.status(403).json({ message: "Moderators can't be suspended" });
+  }
+
+  profile.suspension = { until, reason, suspendedBy: moderatorId, suspendedAt: new Date() };
+  await profile.save();
+
+  await recordAudit({
+    actorId: moderatorId,
+    action: "user.suspended",
+    targetType: "user",
+    targetId: userId,
+    reason,
+    metadata: { until }
+  });
+
+  // open sockets were authorized before the suspension; drop them on every node
+  if (global.io) {
+    global.io.in(userRoom(userId)).disconnectSockets(true);
+  }
+
+  res.json(formatSuspension(profile));
+});
+
+exports.unsuspendUser = asyncHandler(async (req, res) => {
+  const moderatorId = req.auth.userId;
+  const { userId } = req.params;
+  const reason = readReason(req.body?.reason ?? req.query.reason, { required: false });
+
+  const profile = await loadProfile(userId);
+  if (profile.suspension) {
+    profile.suspension = null;
+    await profile.save();
+
+    await recordAudit({
+      actorId: moderatorId,
+      action: "user.unsuspended",
+      targetType: "user",
+      targetId: userId,
+      reason
+    });
+  }
+
+  res.json(formatSuspension(profile));
+});
+
+exports.listAuditLog = asyncHandler(async (req, res) => {
+  const { actorId, targetType, targetId } = req.query;
+  const before = parseBefore(req.query.before);
+  const limit = parseLimit(req.query.limit);
+
+  const filter = {};
+  if (actorId) filter.actorId = actorId;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (before) filter._id = { $lt: before };
+
+  const { page, nextCursor } = toPage(
+    await AuditLog.find(filter).sort({ _id: -1 }).limit(limit + 1).lean(),
+    limit
+  );
+
+  res.json({
+    entries: page.map((entry) => ({
+      id: entry._id.toString(),
+      actorId: entry.actorId,
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      reason: entry.reason,
+      metadata: entry.metadata,
+      createdAt: entry.createdAt
+    })),
+    nextCursor
+  });
+});
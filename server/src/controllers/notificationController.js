@@ -0,0 +1,180 @@
+const PushSubscription = require("../models/PushSubscription");
+const UserProfile = require("../models/UserProfile");
+const asyncHandler = require("../utils/asyncHandler");
+const { getPushConfig } = require("../config/push");
+const { isAllowedPushEndpoint } = require("../services/push");
+const { verifyUnsubscribeToken } = require("../services/emailDigest");
+
+const PREFERENCE_KEYS = ["push", "directMessages", "groupMessages", "showPreviews"];
+const MAX_ENDPOINT_LENGTH = 2048;
+
+const formatPreferences = (profile) => {
+  const preferences = profile?.notificationPreferences || {};
+  return {
+    ...Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, preferences[key] !== false])),
+    emailDigest: profile?.emailDigest?.frequency || "daily",
+    // digests only go to an address from the session token; without one nothing is sent
+    canEmail: Boolean(profile?.verifiedEmail)
+  };
+};
+
+// the client needs the public key to subscribe; enabled is false until VAPID is configured
+exports.getPushSettings = asyncHandler(async (req, res) => {
+  const { enabled, vapid } = getPushConfig();
+  res.json({ enabled, publicKey: enabled ? vapid.publicKey : null });
+});
+
+exports.getPreferences = asyncHandler(async (req, res) => {
+  const profile = await UserProfile.findOne({ clerkUserId: req.auth.userId }).select(
+    "notificationPreferences emailDigest verifiedEmail"
+  );
+  if (!profile) {
+    return res.status(404).json({ message: "Profile not found" });
+  }
+  res.json(formatPreferences(profile));
+});
+
+// partial updates: only the booleans that are sent change
+exports.updatePreferences = asyncHandler(async (req, res) => {
+  const updates = {};
+  for (const key of PREFERENCE_KEYS) {
+    if (req.body[key] === undefined) continue;
+    if (typeof req.body[key] !== "boolean") {
+      return res.status(400).json({ message: `${key} must be true or false` });
+    }
+    updates[`notificationPreferences.${key}`] = req.body[key];
+  }
+
+  if (req.body.emailDigest !== undefined) {
+    if (!UserProfile.DIGEST_FREQUENCIES.includes(req.body.emailDigest)) {
+      return res
+        .status(400)
+        .json({ message: `emailDigest must be one of ${UserProfile.DIGEST_FREQUENCIES.join(", ")}` });
+    }
+    updates["emailDigest.frequency"] = req.body.emailDigest;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res
+      .status(400)
+      .json({ message: `Send at least one of ${[...PREFERENCE_KEYS, "emailDigest"].join(", ")}` });
+  }
+
+  const profile = await UserProfile.findOneAndUpdate(
+    { clerkUserId: req.auth.userId },
+    { $set: updates },
+    { new: true }
+  ).select("notificationPreferences emailDigest verifiedEmail");
+  if (!profile) {
+    return res.status(404).json({ message: "Profile not found" });
+  }
+  res.json(formatPreferences(profile));
+});
+
+// body is a PushSubscription as serialized by the browser: { endpoint, keys: { p256dh, auth } }
+exports.saveSubscription = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { endpoint, keys } = req.body.subscription || {};
+
+  if (
+    typeof endpoint !== "string" ||
+    endpoint.length > MAX_ENDPOINT_LENGTH ||
+    !isAllowedPushEndpoint(endpoint)
+  ) {
+    return res.status(400).json({ message: "subscription.endpoint must be an https URL on a known push service" });
+  }
+  if (typeof keys?.p256dh !== "string" || typeof keys?.auth !== "string") {
+    return res.status(400).json({ message: "subscription.keys.p256dh and subscription.keys.auth are required" });
+  }
+
+  // a browser that was signed in as someone else now belongs to this user
+  const subscription = await PushSubscription.findOneAndUpdate(
+    { endpoint },
+    {
+      $set: {
+        userId: currentUserId,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: (req.get("user-agent") || "").slice(0, 300)
+      }
+    },
+    { new: true, upsert: true }
+  );
+
+  // keep the most recent registrations when someone has collected too many
+  const { maxSubscriptionsPerUser } = getPushConfig();
+  const stale = await PushSubscription.find({ userId: currentUserId })
+    .sort({ updatedAt: -1 })
+    .skip(maxSubscriptionsPerUser)
+    .select("_id");
+  if (stale.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: stale.map((entry) => entry._id) } });
+  }
+
+  res.status(201).json({ endpoint: subscription.endpoint, createdAt: subscription.createdAt });
+});
+
+exports.removeSubscription = asyncHandler(async (req, res) => {
+  const endpoint = typeof req.body.endpoint === "string" ? req.body.endpoint : "";
+  if (!endpoint) {
+    return res.status(400).json({ message: "endpoint is required" });
+  }
+
+  await PushSubscription.deleteOne({ endpoint, userId: req.auth.userId });
+  res.status(204).end();
+});
+
+const UNSUBSCRIBE_PAGE = (heading, body, form = "") => `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${heading}</title></head>
+  <body style="font-family:system-ui,sans-serif;max-width:480px;margin:64px auto;padding:0 16px;color:#0f172a">
+    <h1 style="font-size:20px">${heading}</h1>
+    <p>${body}</p>${form}
+  </body>
+</html>`;
+
+// no action: the form posts back to this URL, token included
+const UNSUBSCRIBE_FORM = `
+    <form method="post">
+      <button type="submit" style="font:inherit;padding:8px 16px;border:0;border-radius:8px;background:#4f46e5;color:#fff;cursor:pointer">Unsubscribe</button>
+    </form>`;
+
+const sendInvalidUnsubscribeLink = (res) =>
+  res
+    .status(400)
+    .type("html")
+    .send(UNSUBSCRIBE_PAGE("This link isn't valid", "It may have been copied incompletely. You can turn off email digests in the app's notification settings."));
+
+const readUnsubscribeToken = (req) => {
+  const token = typeof req.query.token === "string" ? req.query.token : "";
+  return token ? verifyUnsubscribeToken(token) : null;
+};
+
+// the link in a digest only asks: link scanners and prefetchers follow GETs, so
+// opening it must not change anything
+exports.confirmEmailDigestUnsubscribe = asyncHandler(async (req, res) => {
+  if (!readUnsubscribeToken(req)) {
+    return sendInvalidUnsubscribeLink(res);
+  }
+
+  res
+    .type("html")
+    .send(UNSUBSCRIBE_PAGE("Unsubscribe from email digests?", "You'll stop getting emails about unread messages. You can turn them back on in the app's notification settings.", UNSUBSCRIBE_FORM));
+});
+
+// submitted from the confirmation page or by a mail client's one-click unsubscribe
+// (RFC 8058), neither of which is signed in; the signed token names the user
+exports.unsubscribeEmailDigest = asyncHandler(async (req, res) => {
+  const userId = readUnsubscribeToken(req);
+  if (!userId) {
+    return sendInvalidUnsubscribeLink(res);
+  }
+
+  await UserProfile.updateOne({ clerkUserId: userId }, { $set: { "emailDigest.frequency": "off" } });
+
+  if (req.body?.["List-Unsubscribe"] === "One-Click") {
+    return res.status(204).end();
+  }
+  res
+    .type("html")
+    .send(UNSUBSCRIBE_PAGE("You're unsubscribed", "You won't get unread message digests any more. You can turn them back on in the app's notification settings."));
+});
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const asyncHandler = require("../utils/asyncHandler");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const {
+  MAX_DISTINCT_REACTIONS,
+  normalizeEmoji,
+  toPlainReactions
+} = require("../services/reactions");
+const { conversationRoom } = require("../sockets/rooms");
+
+const loadReactableMessage = async (messageId, currentUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    const error = new Error("Invalid message id");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const message = await Message.findById(messageId).select("conversationId deletedAt reactions");
+  if (!message || message.deletedAt) {
+    const error = new Error("Message not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await ensureConversationAccess(message.conversationId.toString(), currentUserId);
+  return message;
+};
+
+const broadcastReaction = (message, payload) => {
+  const conversationId = message.conversationId.toString();
+  const body = {
+    conversationId,
+    messageId: message._id.toString(),
+    reactions: toPlainReactions(message.reactions),
+    ...payload
+  };
+
+  if (global.io) {
+    global.io.to(conversationRoom(conversationId)).emit("message:reaction", body);
+  }
+  return body;
+};
+
+exports.addReaction = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+  const emoji = normalizeEmoji(req.body.emoji);
+
+  const message = await loadReactableMessage(messageId, currentUserId);
+
+  if (!message.reactions.has(emoji) && message.reactions.size >= MAX_DISTINCT_REACTIONS) {
+    return res.status(400).json({ message: `Messages can have at most ${MAX_DISTINCT_REACTIONS} different reactions` });
+  }
+
+  // $addToSet keeps concurrent reactions from overwriting each other
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, deletedAt: null },
+    { $addToSet: { [`reactions.${emoji}`]: currentUserId } },
+    { new: true, projection: "conversationId reactions" }
+  );
+  if (!updated) {
+    return res.status(404).json({ message: "Message not found" });
+  }
+
+  res.json(broadcastReaction(updated, { userId: currentUserId, emoji, action: "add" }));
+});
+
+exports.removeReaction = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+  const emoji = normalizeEmoji(req.body?.emoji || req.query.emoji);
+
+  const message = await loadReactableMessage(messageId, currentUserId);
+
+  let updated = await Message.findOneAndUpdate(
+    { _id: message._id },
+    { $pull: { [`reactions.${emoji}`]: currentUserId } },
+    { new: true, projection: "conversationId reactions" }
+  );
+
+  // drop the key once nobody uses that emoji so the distinct-reaction cap frees up
+  if (updated && updated.reactions.get(emoji)?.length === 0) {
+    updated = await Message.findOneAndUpdate(
+      { _id: message._id, [`reactions.${emoji}`]: { $size: 0 } },
+      { $unset: { [`reactions.${emoji}`]: "" } },
+      { new: true, projection: "conversationId reactions" }
+    ) || updated;
+  }
+
+  res.json(broadcastReaction(updated, { userId: currentUserId, emoji, action: "remove" }));
+});
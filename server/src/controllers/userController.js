@@ -1,5 +1,106 @@
+const mongoose = require("mongoose");
+const Bookmark = require("../models/Bookmark");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
 const UserProfile = require("../models/UserProfile");
+const presence = require("../services/presence");
 const asyncHandler = require("../utils/asyncHandler");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { buildSnippet } = require("../utils/snippets");
+const { previewText } = require("../services/messages");
+const { MAX_BOOKMARKS, notifyBookmarksChanged } = require("../services/bookmarks");
+const { userRoom } = require("../sockets/rooms");
+
+const MAX_PRESENCE_LOOKUP = 200;
+
+const respondWithBlocks = async (res, profile, status = 200) => {
+  const blockedUserIds = profile?.blockedUserIds || [];
+  const profiles = await UserProfile.find({ clerkUserId: { $in: blockedUserIds } })
+    .select("clerkUserId displayName avatarUrl")
+    .lean();
+  const byId = new Map(profiles.map((entry) => [entry.clerkUserId, entry]));
+
+  res.status(status).json(
+    blockedUserIds.map((clerkUserId) => ({
+      clerkUserId,
+      displayName: byId.get(clerkUserId)?.displayName || `User ${clerkUserId.slice(-4)}`,
+      avatarUrl: byId.get(clerkUserId)?.avatarUrl || ""
+    }))
+  );
+};
+
+// both sides re-fetch their direct conversation so composers lock or unlock right away
+const notifyDirectConversation = async (userId, otherUserId) => {
+  const conversation = await Conversation.findOne({
+    isGroup: false,
+    members: { $all: [userId, otherUserId], $size: 2 }
+  }).select("_id");
+  if (!conversation || !global.io) return;
+
+  const conversationId = conversation._id.toString();
+  [userId, otherUserId].forEach((id) => {
+    global.io.to(userRoom(id)).emit("conversation:update", { conversationId });
+  });
+};
+
+// saved messages newest first, each with a snippet and the conversation it's in.
+// messages that were deleted, hidden, or are in a conversation the user has left are skipped
+const listBookmarks = async (userId) => {
+  const bookmarks = await Bookmark.find({ userId }).sort({ createdAt: -1 }).lean();
+  if (bookmarks.length === 0) return [];
+
+  const [messages, conversations] = await Promise.all([
+    Message.find({ _id: { $in: bookmarks.map((bookmark) => bookmark.messageId) }, deletedAt: null, hiddenAt: null })
+      .select("conversationId senderId senderName senderAvatar text attachments threadRootId createdAt")
+      .lean(),
+    Conversation.find({ _id: { $in: bookmarks.map((bookmark) => bookmark.conversationId) }, members: userId })
+      .select("name isGroup members")
+      .lean()
+  ]);
+
+  // direct conversations are named after the other person
+  const otherIds = conversations
+    .filter((conversation) => !conversation.isGroup)
+    .map((conversation) => conversation.members.find((id) => id !== userId))
+    .filter(Boolean);
+  const profiles = await UserProfile.find({ clerkUserId: { $in: otherIds } })
+    .select("clerkUserId displayName")
+    .lean();
+  const namesById = new Map(profiles.map((profile) => [profile.clerkUserId, profile.displayName]));
+
+  const messagesById = new Map(messages.map((message) => [message._id.toString(), message]));
+  const conversationsById = new Map(
+    conversations.map((conversation) => {
+      const otherId = conversation.members.find((id) => id !== userId);
+      const name = conversation.isGroup
+        ? conversation.name || "Group chat"
+        : namesById.get(otherId) || (otherId ? `User ${otherId.slice(-4)}` : "Conversation");
+      return [conversation._id.toString(), { id: conversation._id.toString(), name, isGroup: Boolean(conversation.isGroup) }];
+    })
+  );
+
+  return bookmarks
+    .filter(
+      (bookmark) =>
+        messagesById.has(bookmark.messageId.toString()) &&
+        conversationsById.has(bookmark.conversationId.toString())
+    )
+    .map((bookmark) => {
+      const message = messagesById.get(bookmark.messageId.toString());
+      return {
+        messageId: bookmark.messageId.toString(),
+        conversationId: bookmark.conversationId.toString(),
+        threadRootId: message.threadRootId || null,
+        senderId: message.senderId,
+        senderName: message.senderName,
+        senderAvatar: message.senderAvatar,
+        createdAt: message.createdAt,
+        savedAt: bookmark.createdAt,
+        snippet: buildSnippet(previewText(message), []).snippet,
+        conversation: conversationsById.get(bookmark.conversationId.toString())
+      };
+    });
+};
 
 exports.listUsers = asyncHandler(async (req, res) => {
   const profiles = await UserProfile.find()
@@ -9,6 +110,13 @@ exports.listUsers = asyncHandler(async (req, res) => {
   res.json(profiles);
 });
 
+// the session token's `email` claim (added through a Clerk session token template)
+// is the only address we trust; whatever the client sends is just for display
+const readVerifiedEmail = (claims) => {
+  if (typeof claims?.email !== "string" || claims.email_verified === false) return "";
+  return claims.email.trim().toLowerCase();
+};
+
 exports.syncProfile = asyncHandler(async (req, res) => {
   const userId = req.auth.userId;
   const { displayName, avatarUrl, email } = req.body;
@@ -24,6 +132,7 @@ exports.syncProfile = asyncHandler(async (req, res) => {
       displayName: displayName,
       avatarUrl: avatarUrl || "",
       email: email || "",
+      verifiedEmail: readVerifiedEmail(req.auth.claims),
       lastSeenAt: new Date()
     },
     {
@@ -35,3 +144,141 @@ exports.syncProfile = asyncHandler(async (req, res) => {
 
   res.json(profile);
 });
+
+exports.getPresence = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const requested = typeof req.query.userIds === "string"
+    ? req.query.userIds.split(",").map((id) => id.trim()).filter(Boolean)
+    : [];
+
+  // only people the caller shares a conversation with; defaults to all of them.
+  // requested ids outside that set are left out rather than reported
+  const contacts = new Set(
+    (await Conversation.distinct("members", { members: currentUserId }))
+      .filter((id) => id !== currentUserId)
+  );
+  const userIds = requested.length > 0
+    ? [...new Set(requested)].filter((id) => contacts.has(id)).slice(0, MAX_PRESENCE_LOOKUP)
+    : [...contacts];
+
+  const profiles = await UserProfile.find({ clerkUserId: { $in: userIds } })
+    .select("clerkUserId lastSeenAt")
+    .lean();
+  const lastSeen = new Map(profiles.map((profile) => [profile.clerkUserId, profile.lastSeenAt]));
+  const onlineUserIds = await presence.getOnlineUserIds(global.io, userIds);
+
+  res.json(
+    userIds.map((userId) => {
+      const online = onlineUserIds.has(userId);
+      return {
+        userId,
+        online,
+        lastSeenAt: online ? null : lastSeen.get(userId) || null
+      };
+    })
+  );
+});
+
+exports.listBlocks = asyncHandler(async (req, res) => {
+  const profile = await UserProfile.findOne({ clerkUserId: req.auth.userId })
+    .select("blockedUserIds")
+    .lean();
+
+  await respondWithBlocks(res, profile);
+});
+
+exports.blockUser = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const targetUserId = typeof req.body.userId === "string" ? req.body.userId.trim() : "";
+
+  if (!targetUserId) {
+    return res.status(400).json({ message: "userId is required" });
+  }
+  if (targetUserId === currentUserId) {
+    return res.status(400).json({ message: "You can't block yourself" });
+  }
+
+  const profile = await UserProfile.findOneAndUpdate(
+    { clerkUserId: currentUserId },
+    { $addToSet: { blockedUserIds: targetUserId } },
+    { new: true }
+  );
+  if (!profile) {
+    return res.status(404).json({ message: "Profile not found" });
+  }
+
+  await notifyDirectConversation(currentUserId, targetUserId);
+  await respondWithBlocks(res, profile);
+});
+
+exports.unblockUser = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { userId: targetUserId } = req.params;
+
+  const profile = await UserProfile.findOneAndUpdate(
+    { clerkUserId: currentUserId },
+    { $pull: { blockedUserIds: targetUserId } },
+    { new: true }
+  );
+  if (!profile) {
+    return res.status(404).json({ message: "Profile not found" });
+  }
+
+  await notifyDirectConversation(currentUserId, targetUserId);
+  await respondWithBlocks(res, profile);
+});
+
+exports.listBookmarks = asyncHandler(async (req, res) => {
+  res.json(await listBookmarks(req.auth.userId));
+});
+
+exports.bookmarkMessage = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
+  }
+
+  const message = await Message.findById(messageId).select("conversationId deletedAt hiddenAt");
+  if (!message || message.deletedAt || message.hiddenAt) {
+    return res.status(404).json({ message: "Message not found" });
+  }
+  await ensureConversationAccess(message.conversationId.toString(), currentUserId);
+
+  const existing = await Bookmark.exists({ userId: currentUserId, messageId: message._id });
+  if (!existing) {
+    if ((await Bookmark.countDocuments({ userId: currentUserId })) >= MAX_BOOKMARKS) {
+      return res.status(400).json({ message: `You can save at most ${MAX_BOOKMARKS} messages` });
+    }
+    try {
+      await Bookmark.create({
+        userId: currentUserId,
+        messageId: message._id,
+        conversationId: message.conversationId
+      });
+    } catch (err) {
+      // saved from another tab at the same moment
+      if (err.code !== 11000) throw err;
+    }
+    notifyBookmarksChanged([currentUserId]);
+  }
+
+  res.status(existing ? 200 : 201).json(await listBookmarks(currentUserId));
+});
+
+exports.removeBookmark = asyncHandler(async (req, res) => {
+  const currentUserId = req.auth.userId;
+  const { messageId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
+  }
+
+  const { deletedCount } = await Bookmark.deleteOne({ userId: currentUserId, messageId });
+  if (deletedCount > 0) {
+    notifyBookmarksChanged([currentUserId]);
+  }
+
+  res.json(await listBookmarks(currentUserId));
+});
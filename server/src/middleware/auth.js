@@ -1,24 +1,47 @@
-function extractUserId(req) {
-  const userId = req.headers['x-user-id'] || req.headers['X-User-Id'];
-  return userId;
-}
+const { verifySessionToken, extractBearerToken } = require("../services/sessionTokens");
+const {
+  findActiveSuspension,
+  createSuspensionError,
+  isModerator
+} = require("../services/moderation");
 
 async function requireAuth(req, res, next) {
-  const userId = extractUserId(req);
-  
-  if (!userId) {
-    return res.status(401).json({ message: "Missing user ID header (X-User-Id)" });
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({ message: "Missing bearer token" });
   }
 
-  req.auth = {
-    userId: userId,
-    sessionId: null,
-    claims: {}
-  };
+  try {
+    req.auth = await verifySessionToken(token);
+  } catch (err) {
+    const status = err.statusCode || 401;
+    return res.status(status).json({ message: err.message, code: err.code });
+  }
+
+  // checked on every request so a suspension takes effect immediately
+  const suspension = await findActiveSuspension(req.auth.userId);
+  if (suspension) {
+    const err = createSuspensionError(suspension);
+    return res.status(err.statusCode).json({
+      message: err.message,
+      code: err.code,
+      suspendedUntil: err.suspendedUntil
+    });
+  }
 
   return next();
 }
 
+// mount after requireAuth
+async function requireModerator(req, res, next) {
+  if (!(await isModerator(req.auth.userId))) {
+    return res.status(403).json({ message: "Moderator access required" });
+  }
+  return next();
+}
+
 module.exports = {
-  requireAuth
+  requireAuth,
+  requireModerator
 };
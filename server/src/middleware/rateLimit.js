@@ -0,0 +1,36 @@
+const { consume, RATE_LIMIT_MESSAGE } = require("../services/rateLimit");
+
+const log = (message) => {
+  const timestamp = new Date().toISOString();
+  process.stderr.write(`[${timestamp}] ${message}\n`);
+};
+
+// mount after requireAuth to get the per-user budget as well as the per-ip one
+function rateLimit(bucket) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await consume(bucket, { userId: req.auth?.userId, ip: req.ip });
+    } catch (err) {
+      // a broken limiter shouldn't take the API down with it
+      log(`Rate limit check failed for ${bucket}: ${err.message}`);
+      return next();
+    }
+
+    if (result.limit) {
+      res.set("RateLimit-Limit", String(result.limit));
+      res.set("RateLimit-Remaining", String(result.remaining));
+    }
+
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({ message: RATE_LIMIT_MESSAGE, retryAfter: result.retryAfter });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  rateLimit
+};
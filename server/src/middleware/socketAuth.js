@@ -1,32 +1,43 @@
-function extractSocketUserId(handshake) {
-  if (handshake.auth && handshake.auth.userId) {
-    return handshake.auth.userId;
+const { verifySessionToken, extractBearerToken } = require("../services/sessionTokens");
+const { findActiveSuspension, createSuspensionError } = require("../services/moderation");
+
+function extractSocketToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
   }
 
-  const userId = handshake.headers?.['x-user-id'] || handshake.headers?.['X-User-Id'];
-  return userId;
+  return extractBearerToken(handshake.headers?.authorization);
 }
 
-function socketAuthMiddleware(socket, next) {
+async function socketAuthMiddleware(socket, next) {
   try {
-    const userId = extractSocketUserId(socket.handshake);
-    
-    if (!userId) {
+    const token = extractSocketToken(socket.handshake);
+
+    if (!token) {
       const err = new Error("Unauthorized");
-      err.data = { code: "UNAUTHORIZED", message: "User ID missing" };
+      err.data = { code: "UNAUTHORIZED", message: "Session token missing" };
       return next(err);
     }
 
+    const { userId, sessionId, claims } = await verifySessionToken(token);
+
+    const suspension = await findActiveSuspension(userId);
+    if (suspension) {
+      throw createSuspensionError(suspension);
+    }
+
     socket.data = {
       ...socket.data,
-      userId: userId,
-      sessionId: null,
-      claims: {}
+      userId,
+      sessionId,
+      claims
     };
 
     next();
   } catch (error) {
-    next(error);
+    const err = new Error("Unauthorized");
+    err.data = { code: error.code || "UNAUTHORIZED", message: error.message };
+    next(err);
   }
 }
 
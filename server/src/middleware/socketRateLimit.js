@@ -0,0 +1,59 @@
+const { getRateLimitConfig } = require("../config/rateLimit");
+const { consume, RATE_LIMIT_MESSAGE } = require("../services/rateLimit");
+
+function getSocketIp(socket) {
+  const { handshake } = socket;
+  if (getRateLimitConfig().trustProxy) {
+    const forwarded = handshake.headers?.["x-forwarded-for"];
+    if (forwarded) {
+      return forwarded.split(",")[0].trim();
+    }
+  }
+  return handshake.address;
+}
+
+// runs before auth so a flood of handshakes never reaches token verification
+async function socketConnectionRateLimit(socket, next) {
+  try {
+    const result = await consume("socketConnections", { ip: getSocketIp(socket) });
+    if (!result.allowed) {
+      const err = new Error("Too many connections");
+      err.data = { code: "RATE_LIMITED", message: RATE_LIMIT_MESSAGE, retryAfter: result.retryAfter };
+      return next(err);
+    }
+  } catch (err) {
+    // fail open, like the REST limiter
+  }
+  return next();
+}
+
+// every incoming event spends from the socketEvents budget. throttled events are
+// dropped; ones that expect an ack are told why so the client can back off
+function socketEventRateLimit(socket) {
+  const ip = getSocketIp(socket);
+
+  return async (packet, next) => {
+    let result;
+    try {
+      result = await consume("socketEvents", { userId: socket.data.userId, ip });
+    } catch (err) {
+      return next();
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    const ack = packet[packet.length - 1];
+    if (typeof ack === "function") {
+      ack({ ok: false, message: RATE_LIMIT_MESSAGE, statusCode: 429, retryAfter: result.retryAfter });
+    }
+    return undefined;
+  };
+}
+
+module.exports = {
+  getSocketIp,
+  socketConnectionRateLimit,
+  socketEventRateLimit
+};
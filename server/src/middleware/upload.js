@@ -0,0 +1,41 @@
+const multer = require("multer");
+const { getUploadConfig } = require("../config/uploads");
+
+let uploader = null;
+
+const getUploader = () => {
+  if (!uploader) {
+    const { maxFileBytes, maxFiles } = getUploadConfig();
+    uploader = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxFileBytes, files: maxFiles }
+    }).array("files");
+  }
+  return uploader;
+};
+
+const LIMIT_STATUS = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_FILE_COUNT: 400,
+  LIMIT_UNEXPECTED_FILE: 400
+};
+
+// wraps multer so its errors carry a statusCode for the shared error handler
+function uploadFiles(req, res, next) {
+  getUploader()(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const { maxFileBytes, maxFiles } = getUploadConfig();
+      const messages = {
+        LIMIT_FILE_SIZE: `Files must be smaller than ${Math.round(maxFileBytes / (1024 * 1024))}MB`,
+        LIMIT_FILE_COUNT: `Upload at most ${maxFiles} files at a time`
+      };
+      err.statusCode = LIMIT_STATUS[err.code] || 400;
+      err.message = messages[err.code] || err.message;
+    }
+    next(err);
+  });
+}
+
+module.exports = {
+  uploadFiles
+};
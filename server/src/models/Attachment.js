@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const attachmentSchema = new Schema(
+  {
+    uploaderId: { type: String, required: true }, // Clerk user id
+    conversationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true
+    },
+    // set once the upload is sent as part of a message; unattached uploads can be swept
+    messageId: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    name: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    thumbnailKey: { type: String },
+    thumbnailUrl: { type: String }
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ uploaderId: 1, messageId: 1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+module.exports = Attachment;
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// append-only record of moderator actions
+const auditLogSchema = new Schema(
+  {
+    actorId: { type: String, required: true }, // Clerk user id, or "system" for scripts
+    action: { type: String, required: true },  // e.g. message.hidden, user.suspended
+    targetType: { type: String, enum: ["message", "user", "report"], required: true },
+    targetId: { type: String, required: true },
+    reason: { type: String, default: "" },
+    metadata: { type: Schema.Types.Mixed, default: {} }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, _id: -1 });
+auditLogSchema.index({ actorId: 1, _id: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+module.exports = AuditLog;
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// a message someone saved for later; private to the user who saved it
+const bookmarkSchema = new Schema(
+  {
+    userId: { type: String, required: true }, // Clerk user id
+    messageId: { type: Schema.Types.ObjectId, ref: "Message", required: true },
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", required: true }
+  },
+  { timestamps: true }
+);
+
+bookmarkSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+bookmarkSchema.index({ messageId: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+module.exports = Bookmark;
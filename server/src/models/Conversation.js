@@ -13,6 +13,7 @@ const conversationSchema = new Schema(
       }
     ],
     lastMessage: {
+      messageId: { type: Schema.Types.ObjectId, ref: "Message" },
       text: String,
       senderId: String,
       senderName: String,
@@ -20,6 +21,15 @@ const conversationSchema = new Schema(
       createdAt: Date
     },
     lastMessageAt: { type: Date },
+    // in the order they were pinned; the pin controller caps the list
+    pinnedMessages: [
+      {
+        _id: false,
+        messageId: { type: Schema.Types.ObjectId, ref: "Message", required: true },
+        pinnedBy: { type: String, required: true },
+        pinnedAt: { type: Date, default: Date.now }
+      }
+    ],
     unreadCounts: {
       type: Map,
       of: Number,
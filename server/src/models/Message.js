@@ -22,7 +22,27 @@ const messageSchema = new Schema(
     },
     text: {
         type: String,
-        required: true
+        // optional when files are attached; tombstones keep the document but drop its content
+        required: function () {
+            return !this.deletedAt && !(this.attachments && this.attachments.length > 0);
+        },
+        default: ""
+    },
+    attachments: {
+        type: [
+            {
+                _id: false,
+                attachmentId: { type: Schema.Types.ObjectId, ref: "Attachment" },
+                name: String,
+                mimeType: String,
+                size: Number,
+                url: String,
+                width: Number,
+                height: Number,
+                thumbnailUrl: String
+            }
+        ],
+        default: []
     },
     status: {
         type: String,
@@ -32,10 +52,122 @@ const messageSchema = new Schema(
     readBy: {
         type: [String],
         default: []
+    },
+    // per-recipient receipt timestamps, keyed by Clerk user id
+    deliveredAt: {
+        type: Map,
+        of: Date,
+        default: {}
+    },
+    readAt: {
+        type: Map,
+        of: Date,
+        default: {}
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    editHistory: {
+        type: [
+            {
+                _id: false,
+                text: String,
+                editedAt: Date
+            }
+        ],
+        default: []
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // set by a moderator; the content stays stored so the decision can be reversed
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    hiddenBy: {
+        type: String,
+        default: null
+    },
+    // raised by content filters whose action is "flag"; each one also opens a report
+    flags: {
+        type: [
+            {
+                _id: false,
+                filter: String,
+                reason: String
+            }
+        ],
+        default: []
+    },
+    // OpenGraph cards for links in the text, filled in after the message is sent
+    linkPreviews: {
+        type: [
+            {
+                _id: false,
+                url: String,
+                title: String,
+                description: String,
+                siteName: String,
+                imageUrl: String
+            }
+        ],
+        default: []
+    },
+    // emoji -> Clerk user ids who reacted with it
+    reactions: {
+        type: Map,
+        of: [String],
+        default: {}
+    },
+    // snapshot of the quoted message so the preview renders without another lookup
+    replyTo: {
+        type: new Schema(
+            {
+                messageId: { type: Schema.Types.ObjectId, ref: "Message" },
+                senderId: String,
+                senderName: String,
+                text: String,
+                deleted: { type: Boolean, default: false },
+                hidden: { type: Boolean, default: false }
+            },
+            { _id: false }
+        ),
+        default: null
+    },
+    // replies in a thread live outside the main timeline
+    threadRootId: {
+        type: Schema.Types.ObjectId,
+        ref: "Message",
+        default: null
+    },
+    threadReplyCount: {
+        type: Number,
+        default: 0
+    },
+    threadLastReplyAt: {
+        type: Date,
+        default: null
+    },
+    // idempotency key generated by the sending client so retries don't duplicate
+    clientMessageId: {
+        type: String,
+        default: null
     }
   },
   { timestamps: true }
 );
 
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ text: "text" });
+messageSchema.index({ threadRootId: 1, createdAt: 1 });
+messageSchema.index({ conversationId: 1, updatedAt: 1 });
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } }
+);
+
 const Message = mongoose.model("Message", messageSchema);
 module.exports = Message;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// one browser (service worker registration) that agreed to receive Web Push for a user
+const pushSubscriptionSchema = new Schema(
+  {
+    userId: {
+        type: String, // Clerk user id
+        required: true,
+        index: true
+    },
+    // the push service URL; unique per browser registration
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+    },
+    userAgent: {
+        type: String,
+        default: ""
+    },
+    lastDeliveredAt: {
+        type: Date,
+        default: null
+    }
+  },
+  { timestamps: true }
+);
+
+const PushSubscription = mongoose.model("PushSubscription", pushSubscriptionSchema);
+module.exports = PushSubscription;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const REASONS = ["spam", "harassment", "hate", "sexual", "violence", "self_harm", "other"];
+
+const reportSchema = new Schema(
+  {
+    messageId: { type: Schema.Types.ObjectId, ref: "Message", required: true },
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", required: true },
+    reporterId: { type: String, required: true },     // Clerk user id
+    reportedUserId: { type: String, required: true }, // sender of the message
+    reason: { type: String, enum: REASONS, required: true },
+    details: { type: String, default: "" },
+    // what the message said when it was reported, in case it is edited or deleted later
+    messageSnapshot: {
+      text: String,
+      senderName: String,
+      attachmentCount: Number,
+      createdAt: Date
+    },
+    status: { type: String, enum: ["open", "resolved", "dismissed"], default: "open" },
+    resolvedBy: { type: String, default: null },
+    resolvedAt: { type: Date, default: null },
+    resolution: { type: String, default: "" }
+  },
+  { timestamps: true }
+);
+
+reportSchema.statics.REASONS = REASONS;
+
+reportSchema.index({ messageId: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ status: 1, _id: -1 });
+
+const Report = mongoose.model("Report", reportSchema);
+module.exports = Report;
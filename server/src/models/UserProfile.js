@@ -1,15 +1,58 @@
 const mongoose = require("mongoose");
 
+const DIGEST_FREQUENCIES = ["off", "hourly", "daily", "weekly"];
+
 const userProfileSchema = new mongoose.Schema(
   {
     clerkUserId: { type: String, required: true, unique: true }, // maps to Clerk user.id
     displayName: { type: String, required: true },               // what we show in chat UI
     avatarUrl: { type: String, default: "" },                    // profile picture
-    email: { type: String, default: "" },
-    lastSeenAt: { type: Date, default: Date.now }
+    email: { type: String, default: "" },                        // as the client reported it; display only
+    verifiedEmail: { type: String, default: "" },                // from the session token; the only address we mail
+    lastSeenAt: { type: Date, default: Date.now },
+    blockedUserIds: { type: [String], default: [] },              // Clerk user IDs this user blocked
+    mutedConversations: { type: Map, of: Date, default: {} },      // conversationId -> muted until
+    role: { type: String, enum: ["member", "moderator"], default: "member" },
+    notificationPreferences: {
+      type: new mongoose.Schema(
+        {
+          push: { type: Boolean, default: true },            // master switch for Web Push
+          directMessages: { type: Boolean, default: true },
+          groupMessages: { type: Boolean, default: true },
+          showPreviews: { type: Boolean, default: true }     // off: "New message" instead of the text
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+    emailDigest: {
+      type: new mongoose.Schema(
+        {
+          frequency: { type: String, enum: DIGEST_FREQUENCIES, default: "daily" },
+          lastSentAt: { type: Date, default: null }  // also the lower bound for the next digest
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+    // null while in good standing; until null means suspended until lifted
+    suspension: {
+      type: new mongoose.Schema(
+        {
+          until: { type: Date, default: null },
+          reason: { type: String, default: "" },
+          suspendedBy: String,
+          suspendedAt: Date
+        },
+        { _id: false }
+      ),
+      default: null
+    }
   },
   { timestamps: true }
 );
 
+userProfileSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
 const UserProfile = mongoose.model("UserProfile", userProfileSchema);
 module.exports = UserProfile;
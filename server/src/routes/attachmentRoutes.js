@@ -0,0 +1,16 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { uploadFiles } = require("../middleware/upload");
+const { rateLimit } = require("../middleware/rateLimit");
+const attachmentController = require("../controllers/attachmentController");
+const router = express.Router();
+
+router.post(
+  "/",
+  requireAuth,
+  rateLimit("uploads"),
+  uploadFiles,
+  attachmentController.uploadAttachments
+);
+
+module.exports = router;
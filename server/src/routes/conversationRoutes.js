@@ -15,10 +15,76 @@ router.post(
   conversationController.ensureConversation
 );
 
+router.get(
+  "/sync",
+  requireAuth,
+  conversationController.syncConversations
+);
+
+router.post(
+  "/groups",
+  requireAuth,
+  conversationController.createGroup
+);
+
 router.get(
   "/:conversationId",
   requireAuth,
   conversationController.getConversationDetail
 );
 
+router.patch(
+  "/:conversationId",
+  requireAuth,
+  conversationController.renameGroup
+);
+
+router.post(
+  "/:conversationId/members",
+  requireAuth,
+  conversationController.addGroupMembers
+);
+
+router.delete(
+  "/:conversationId/members/:memberId",
+  requireAuth,
+  conversationController.removeGroupMember
+);
+
+router.post(
+  "/:conversationId/leave",
+  requireAuth,
+  conversationController.leaveGroup
+);
+
+router.put(
+  "/:conversationId/mute",
+  requireAuth,
+  conversationController.muteConversation
+);
+
+router.delete(
+  "/:conversationId/mute",
+  requireAuth,
+  conversationController.unmuteConversation
+);
+
+router.get(
+  "/:conversationId/pins",
+  requireAuth,
+  conversationController.listPinnedMessages
+);
+
+router.post(
+  "/:conversationId/pins",
+  requireAuth,
+  conversationController.pinMessage
+);
+
+router.delete(
+  "/:conversationId/pins/:messageId",
+  requireAuth,
+  conversationController.unpinMessage
+);
+
 module.exports = router;
@@ -1,8 +1,17 @@
 const express = require("express");
 const { requireAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const messageController = require("../controllers/messageController");
+const reactionController = require("../controllers/reactionController");
+const moderationController = require("../controllers/moderationController");
 const router = express.Router();
 
+router.get(
+  "/search",
+  requireAuth,
+  messageController.searchMessages
+);
+
 router.get(
   "/:conversationId",
   requireAuth,
@@ -12,7 +21,47 @@ router.get(
 router.post(
   "/",
   requireAuth,
+  rateLimit("messages"),
   messageController.sendMessage
 );
 
+router.patch(
+  "/:messageId",
+  requireAuth,
+  messageController.editMessage
+);
+
+router.delete(
+  "/:messageId",
+  requireAuth,
+  messageController.deleteMessage
+);
+
+router.get(
+  "/:messageId/thread",
+  requireAuth,
+  messageController.getThread
+);
+
+router.post(
+  "/:messageId/reactions",
+  requireAuth,
+  rateLimit("reactions"),
+  reactionController.addReaction
+);
+
+router.delete(
+  "/:messageId/reactions",
+  requireAuth,
+  rateLimit("reactions"),
+  reactionController.removeReaction
+);
+
+router.post(
+  "/:messageId/report",
+  requireAuth,
+  rateLimit("reports"),
+  moderationController.reportMessage
+);
+
 module.exports = router;
@@ -0,0 +1,55 @@
+const express = require("express");
+const { requireAuth, requireModerator } = require("../middleware/auth");
+const moderationController = require("../controllers/moderationController");
+const router = express.Router();
+
+router.get(
+  "/reports",
+  requireAuth,
+  requireModerator,
+  moderationController.listReports
+);
+
+router.patch(
+  "/reports/:reportId",
+  requireAuth,
+  requireModerator,
+  moderationController.resolveReport
+);
+
+router.post(
+  "/messages/:messageId/hide",
+  requireAuth,
+  requireModerator,
+  moderationController.hideMessage
+);
+
+router.delete(
+  "/messages/:messageId/hide",
+  requireAuth,
+  requireModerator,
+  moderationController.unhideMessage
+);
+
+router.post(
+  "/users/:userId/suspend",
+  requireAuth,
+  requireModerator,
+  moderationController.suspendUser
+);
+
+router.delete(
+  "/users/:userId/suspend",
+  requireAuth,
+  requireModerator,
+  moderationController.unsuspendUser
+);
+
+router.get(
+  "/audit",
+  requireAuth,
+  requireModerator,
+  moderationController.listAuditLog
+);
+
+module.exports = router;
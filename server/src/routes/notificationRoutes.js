@@ -0,0 +1,47 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const notificationController = require("../controllers/notificationController");
+const router = express.Router();
+
+router.get(
+  "/push",
+  requireAuth,
+  notificationController.getPushSettings
+);
+
+router.post(
+  "/push/subscriptions",
+  requireAuth,
+  notificationController.saveSubscription
+);
+
+router.delete(
+  "/push/subscriptions",
+  requireAuth,
+  notificationController.removeSubscription
+);
+
+router.get(
+  "/preferences",
+  requireAuth,
+  notificationController.getPreferences
+);
+
+router.put(
+  "/preferences",
+  requireAuth,
+  notificationController.updatePreferences
+);
+
+// no requireAuth: these come from an email, the token identifies the user
+router.get(
+  "/email/unsubscribe",
+  notificationController.confirmEmailDigestUnsubscribe
+);
+
+router.post(
+  "/email/unsubscribe",
+  notificationController.unsubscribeEmailDigest
+);
+
+module.exports = router;
@@ -9,10 +9,52 @@ router.get(
   userController.listUsers
 );
 
+router.get(
+  "/presence",
+  requireAuth,
+  userController.getPresence
+);
+
 router.post(
   "/sync",
   requireAuth,
   userController.syncProfile
 );
 
+router.get(
+  "/me/blocks",
+  requireAuth,
+  userController.listBlocks
+);
+
+router.post(
+  "/me/blocks",
+  requireAuth,
+  userController.blockUser
+);
+
+router.delete(
+  "/me/blocks/:userId",
+  requireAuth,
+  userController.unblockUser
+);
+
+router.get(
+  "/me/bookmarks",
+  requireAuth,
+  userController.listBookmarks
+);
+
+router.post(
+  "/me/bookmarks",
+  requireAuth,
+  userController.bookmarkMessage
+);
+
+router.delete(
+  "/me/bookmarks/:messageId",
+  requireAuth,
+  userController.removeBookmark
+);
+
 module.exports = router;
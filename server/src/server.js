@@ -5,13 +5,34 @@ const http = require("http");
 const { Server } = require("socket.io");
 
 const { connectDB } = require("./config/db");
+const { getUploadConfig } = require("./config/uploads");
+const { getRateLimitConfig } = require("./config/rateLimit");
+const { attachSocketAdapter } = require("./services/socketAdapter");
+const { describeStoredFile } = require("./services/attachments");
+const { startEmailDigestJob } = require("./services/emailDigest");
+const { validateContentFilters } = require("./services/contentFilters");
 const { socketAuthMiddleware } = require("./middleware/socketAuth");
+const { rateLimit } = require("./middleware/rateLimit");
+const { socketConnectionRateLimit, socketEventRateLimit } = require("./middleware/socketRateLimit");
+const {
+  registerTypingHandlers,
+  registerTypingClusterHandlers
+} = require("./sockets/typingHandlers");
+const { registerPresenceHandlers } = require("./sockets/presenceHandlers");
+const { registerReceiptHandlers } = require("./sockets/receiptHandlers");
+const { registerMessageHandlers } = require("./sockets/messageHandlers");
+const { registerConversationHandlers } = require("./sockets/conversationHandlers");
+const { userRoom } = require("./sockets/rooms");
 
 dotenv.config();
 
 const app = express();
 const httpServer = http.createServer(app);
 
+if (getRateLimitConfig().trustProxy) {
+  app.set("trust proxy", true);
+}
+
 connectDB();
 
 const allowedOrigins = (process.env.ALLOWED_ORIGINS || process.env.ALLOWED_ORIGIN || "")
@@ -41,8 +62,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-User-Id"],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: ["Content-Range", "X-Content-Range", "Retry-After"],
   maxAge: 600
 };
 
@@ -58,9 +79,9 @@ const io = new Server(httpServer, {
 
 global.io = io;
 
-const userPresence = new Map();
-
+io.use(socketConnectionRateLimit);
 io.use(socketAuthMiddleware);
+registerTypingClusterHandlers(io);
 
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
@@ -71,10 +92,33 @@ app.get("/healthz", (req, res) => res.json({ status: "ok" }));
 const conversationRoutes = require("./routes/conversationRoutes");
 const messageRoutes = require("./routes/messageRoutes");
 const userRoutes = require("./routes/userRoutes");
+const attachmentRoutes = require("./routes/attachmentRoutes");
+const moderationRoutes = require("./routes/moderationRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
 
+app.use("/api", rateLimit("api"));
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/notifications", notificationRoutes);
+
+const uploadConfig = getUploadConfig();
+if (uploadConfig.driver === "local") {
+  app.use("/uploads", express.static(uploadConfig.local.directory, {
+    fallthrough: false,
+    maxAge: "7d",
+    immutable: true,
+    // the type comes from our own key, not from what express.static would guess
+    setHeaders: (res, filePath) => {
+      const { contentType, inline } = describeStoredFile(filePath);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", inline ? "inline" : "attachment");
+      res.setHeader("X-Content-Type-Options", "nosniff");
+    }
+  }));
+}
 
 app.use((req, res) => {
   res.status(404).json({ message: "Not Found" });
@@ -85,6 +129,10 @@ app.use((err, req, res, next) => {
   const response = {
     message: err.message || "Internal server error"
   };
+  // machine-readable reason for client-facing errors, e.g. CONTENT_TOO_LONG
+  if (err.statusCode && typeof err.code === "string") {
+    response.code = err.code;
+  }
   if (process.env.NODE_ENV !== "production") {
     response.stack = err.stack;
   }
@@ -94,40 +142,34 @@ app.use((err, req, res, next) => {
 io.on("connection", (socket) => {
   const { userId } = socket.data;
   if (userId) {
-    userPresence.set(userId, socket.id);
-    socket.join(userId);
+    socket.join(userRoom(userId));
   }
 
-  socket.on("conversation:join", (conversationId) => {
-    if (conversationId) {
-      socket.join(conversationId);
-    }
-  });
-
-  socket.on("conversation:leave", (conversationId) => {
-    if (conversationId) {
-      socket.leave(conversationId);
-    }
-  });
-
-  socket.on("message:new", ({ conversationId, message }) => {
-    if (conversationId && message) {
-      socket.to(conversationId).emit("message:new", { conversationId, message });
-    }
-  });
+  socket.use(socketEventRateLimit(socket));
 
-  socket.on("disconnect", () => {
-    if (userId) {
-      userPresence.delete(userId);
-    }
-  });
+  registerPresenceHandlers(io, socket);
+  registerTypingHandlers(io, socket);
+  registerReceiptHandlers(io, socket);
+  registerMessageHandlers(io, socket);
+  registerConversationHandlers(io, socket);
 });
 
 const PORT = process.env.PORT || 5000;
 
-httpServer.listen(PORT, () => {
-  if (process.env.NODE_ENV !== "production") {
+// accept connections only once emits can reach the other nodes
+attachSocketAdapter(io)
+  .then(() => {
+    validateContentFilters();
+    httpServer.listen(PORT, () => {
+      if (process.env.NODE_ENV !== "production") {
+        const timestamp = new Date().toISOString();
+        process.stdout.write(`[${timestamp}] Server ready on http://localhost:${PORT}\n`);
+      }
+      startEmailDigestJob();
+    });
+  })
+  .catch((err) => {
     const timestamp = new Date().toISOString();
-    process.stdout.write(`[${timestamp}] Server ready on http://localhost:${PORT}\n`);
-  }
-});
+    process.stderr.write(`[${timestamp}] ${err.message}\n`);
+    process.exit(1);
+  });
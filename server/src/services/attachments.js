@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const Attachment = require("../models/Attachment");
+const { getUploadConfig } = require("../config/uploads");
+const { getStorage } = require("./storage");
+
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/gif", "image/webp"]);
+
+// stored keys get their extension from the checked mimetype, never from the client's
+// file name; types added through UPLOAD_ALLOWED_TYPES that aren't listed get none
+const EXTENSIONS_BY_TYPE = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+  "application/zip": ".zip",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.ms-excel": ".xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx"
+};
+const TYPES_BY_EXTENSION = new Map(
+  Object.entries(EXTENSIONS_BY_TYPE).map(([type, extension]) => [extension, type])
+);
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const buildKey = (conversationId, mimeType) =>
+  `${conversationId}/${crypto.randomUUID()}${EXTENSIONS_BY_TYPE[mimeType] || ""}`;
+
+// how a stored file may be served: only decoded images render inline, everything
+// else is a download with a fixed type, so no upload can run as a page on our origin
+function describeStoredFile(key) {
+  const contentType = TYPES_BY_EXTENSION.get(path.extname(key).toLowerCase()) || "application/octet-stream";
+  return { contentType, inline: IMAGE_TYPES.has(contentType) };
+}
+
+const readImage = async (buffer, thumbnailSize) => {
+  try {
+    const image = sharp(buffer, { animated: false });
+    const metadata = await image.metadata();
+    const thumbnail = await image
+      .rotate()
+      .resize({ width: thumbnailSize, height: thumbnailSize, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+    return { width: metadata.width, height: metadata.height, thumbnail };
+  } catch (err) {
+    throw createHttpError(400, "The uploaded image could not be read");
+  }
+};
+
+async function storeUpload(file, { uploaderId, conversationId }) {
+  const { allowedTypes, thumbnailSize } = getUploadConfig();
+
+  if (!allowedTypes.includes(file.mimetype)) {
+    throw createHttpError(415, `Files of type ${file.mimetype} are not allowed`);
+  }
+
+  const storage = getStorage();
+  const key = buildKey(conversationId, file.mimetype);
+  const record = {
+    uploaderId,
+    conversationId,
+    name: (file.originalname || "file").slice(0, 255),
+    mimeType: file.mimetype,
+    size: file.size,
+    key
+  };
+
+  // decoding doubles as content validation, so a renamed binary can't pose as an image
+  if (IMAGE_TYPES.has(file.mimetype)) {
+    const { width, height, thumbnail } = await readImage(file.buffer, thumbnailSize);
+    const thumbnailKey = key.replace(/(\.[a-z0-9]+)?$/, ".thumb.webp");
+    const savedThumbnail = await storage.save({
+      key: thumbnailKey,
+      body: thumbnail,
+      contentType: "image/webp",
+      inline: true
+    });
+    Object.assign(record, {
+      width,
+      height,
+      thumbnailKey,
+      thumbnailUrl: savedThumbnail.url
+    });
+  }
+
+  const saved = await storage.save({
+    key,
+    body: file.buffer,
+    contentType: file.mimetype,
+    inline: IMAGE_TYPES.has(file.mimetype)
+  });
+  record.url = saved.url;
+
+  return Attachment.create(record);
+}
+
+async function removeStoredFiles(attachment) {
+  const storage = getStorage();
+  const keys = [attachment.key, attachment.thumbnailKey].filter(Boolean);
+  await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+// the shape embedded on messages and returned to clients
+function toMessageAttachment(attachment) {
+  return {
+    attachmentId: attachment._id,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: attachment.url,
+    width: attachment.width,
+    height: attachment.height,
+    thumbnailUrl: attachment.thumbnailUrl
+  };
+}
+
+module.exports = {
+  describeStoredFile,
+  storeUpload,
+  removeStoredFiles,
+  toMessageAttachment
+};
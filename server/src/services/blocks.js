@@ -0,0 +1,55 @@
+const UserProfile = require("../models/UserProfile");
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ids from `otherUserIds` that userId blocked or that blocked userId
+async function findBlockedBetween(userId, otherUserIds) {
+  if (otherUserIds.length === 0) return new Set();
+
+  const profiles = await UserProfile.find({
+    $or: [
+      { clerkUserId: userId, blockedUserIds: { $in: otherUserIds } },
+      { clerkUserId: { $in: otherUserIds }, blockedUserIds: userId }
+    ]
+  })
+    .select("clerkUserId blockedUserIds")
+    .lean();
+
+  const blocked = new Set();
+  profiles.forEach((profile) => {
+    if (profile.clerkUserId === userId) {
+      profile.blockedUserIds.filter((id) => otherUserIds.includes(id)).forEach((id) => blocked.add(id));
+    } else {
+      blocked.add(profile.clerkUserId);
+    }
+  });
+  return blocked;
+}
+
+// a block works both ways for direct messages; the blocked side isn't told who did it
+async function assertCanMessage(userId, otherUserId) {
+  const profiles = await UserProfile.find({
+    $or: [
+      { clerkUserId: userId, blockedUserIds: otherUserId },
+      { clerkUserId: otherUserId, blockedUserIds: userId }
+    ]
+  })
+    .select("clerkUserId")
+    .lean();
+
+  if (profiles.some((profile) => profile.clerkUserId === userId)) {
+    throw createHttpError(403, "You blocked this user. Unblock them to send messages");
+  }
+  if (profiles.length > 0) {
+    throw createHttpError(403, "You can't message this user");
+  }
+}
+
+module.exports = {
+  findBlockedBetween,
+  assertCanMessage
+};
@@ -0,0 +1,28 @@
+const Bookmark = require("../models/Bookmark");
+const { userRoom } = require("../sockets/rooms");
+
+const MAX_BOOKMARKS = 500;
+
+// the users' other tabs and devices re-fetch their saved list
+function notifyBookmarksChanged(userIds) {
+  if (!global.io) return;
+  userIds.forEach((userId) => {
+    global.io.to(userRoom(userId)).emit("bookmarks:update", {});
+  });
+}
+
+// bookmarks the list can no longer show (deleted or hidden messages, conversations
+// the owner left) are dropped rather than kept, so they don't count towards the cap
+async function removeBookmarks(filter) {
+  const userIds = await Bookmark.distinct("userId", filter);
+  if (userIds.length === 0) return;
+
+  await Bookmark.deleteMany(filter);
+  notifyBookmarksChanged(userIds);
+}
+
+module.exports = {
+  MAX_BOOKMARKS,
+  notifyBookmarksChanged,
+  removeBookmarks
+};
@@ -0,0 +1,77 @@
+const { getContentFilterConfig } = require("../../config/contentFilters");
+const { createMaxLengthFilter } = require("./maxLength");
+const { createRepeatedCharactersFilter } = require("./repeatedCharacters");
+const { createLinksFilter } = require("./links");
+const { createProfanityFilter } = require("./profanity");
+
+// a factory takes its config section and returns ({ text, userId, conversationId }) ->
+// { action: "allow" } | { action: "rewrite", text } | { action: "flag", reason }
+// | { action: "reject", code, message }
+const factories = {
+  maxLength: (config) => createMaxLengthFilter(config.maxLength),
+  repeatedCharacters: (config) => createRepeatedCharactersFilter(config.repeatedCharacters),
+  links: (config) => createLinksFilter(config.links),
+  profanity: (config) => createProfanityFilter(config.profanity)
+};
+
+let pipeline = null;
+
+function registerContentFilter(name, factory) {
+  factories[name] = factory;
+  pipeline = null;
+}
+
+function getPipeline() {
+  if (!pipeline) {
+    const config = getContentFilterConfig();
+    pipeline = config.filters.map((name) => {
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown content filter "${name}"`);
+      }
+      return { name, run: factory(config) };
+    });
+  }
+  return pipeline;
+}
+
+// builds the pipeline up front so a misspelled CONTENT_FILTERS entry stops the
+// server at startup instead of failing every send
+function validateContentFilters() {
+  return getPipeline().map((filter) => filter.name);
+}
+
+const createRejection = (filter, { code, message }) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.code = code || "CONTENT_REJECTED";
+  error.filter = filter;
+  return error;
+};
+
+// runs every filter over the outgoing text in order; later filters see earlier rewrites.
+// resolves with the text to store and any flags, or throws a 422 naming the filter
+async function runContentFilters({ text, userId, conversationId }) {
+  let current = text;
+  const flags = [];
+
+  for (const filter of getPipeline()) {
+    const result = await filter.run({ text: current, userId, conversationId });
+    if (result.action === "reject") {
+      throw createRejection(filter.name, result);
+    }
+    if (result.action === "rewrite") {
+      current = result.text;
+    } else if (result.action === "flag") {
+      flags.push({ filter: filter.name, reason: result.reason });
+    }
+  }
+
+  return { text: current, flags };
+}
+
+module.exports = {
+  registerContentFilter,
+  runContentFilters,
+  validateContentFilters
+};
@@ -0,0 +1,29 @@
+const { extractUrls } = require("../../utils/urls");
+
+const extractHosts = (text) => extractUrls(text).map((url) => url.hostname.toLowerCase());
+
+// example.com also covers www.example.com and any other subdomain
+const matchesDomain = (host, domains) =>
+  domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+function createLinksFilter({ allowlist, denylist, action }) {
+  return ({ text }) => {
+    const blocked = extractHosts(text).filter(
+      (host) =>
+        matchesDomain(host, denylist) || (allowlist.length > 0 && !matchesDomain(host, allowlist))
+    );
+    if (blocked.length === 0) return { action: "allow" };
+
+    const domains = [...new Set(blocked)].join(", ");
+    if (action === "flag") {
+      return { action: "flag", reason: `Links to ${domains}` };
+    }
+    return {
+      action: "reject",
+      code: "CONTENT_LINK_BLOCKED",
+      message: `Links to ${domains} aren't allowed here`
+    };
+  };
+}
+
+module.exports = { createLinksFilter };
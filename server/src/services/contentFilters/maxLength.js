@@ -0,0 +1,12 @@
+function createMaxLengthFilter({ limit }) {
+  return ({ text }) => {
+    if (text.length <= limit) return { action: "allow" };
+    return {
+      action: "reject",
+      code: "CONTENT_TOO_LONG",
+      message: `Messages can be at most ${limit} characters (this one has ${text.length})`
+    };
+  };
+}
+
+module.exports = { createMaxLengthFilter };
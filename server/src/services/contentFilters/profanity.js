@@ -0,0 +1,48 @@
+// deliberately short; deployments extend it with CONTENT_PROFANITY_WORDS
+const DEFAULT_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bullshit",
+  "cunt",
+  "dick",
+  "fuck",
+  "motherfucker",
+  "prick",
+  "shit",
+  "slut",
+  "twat",
+  "wanker",
+  "whore"
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// keeps the first letter so the meaning survives: "shit" -> "s***"
+const mask = (word) => word[0] + "*".repeat(word.length - 1);
+
+function createProfanityFilter({ extraWords, action }) {
+  const words = [...new Set([...DEFAULT_WORDS, ...extraWords])]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const pattern = new RegExp(`\\b(?:${words.join("|")})(?:s|es|ed|ing|er|ers|y)?\\b`, "gi");
+
+  return ({ text }) => {
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return { action: "allow" };
+
+    if (action === "rewrite") {
+      return { action: "rewrite", text: text.replace(pattern, mask) };
+    }
+    if (action === "flag") {
+      return { action: "flag", reason: "Contains profanity" };
+    }
+    return {
+      action: "reject",
+      code: "CONTENT_PROFANITY",
+      message: "Your message contains language that isn't allowed here"
+    };
+  };
+}
+
+module.exports = { createProfanityFilter };
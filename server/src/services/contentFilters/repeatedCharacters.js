@@ -0,0 +1,23 @@
+function createRepeatedCharactersFilter({ maxRun, action }) {
+  // u flag so an emoji counts as one character, not two surrogates
+  const pattern = new RegExp(`(.)\\1{${maxRun},}`, "gsu");
+
+  return ({ text }) => {
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return { action: "allow" };
+
+    if (action === "rewrite") {
+      return { action: "rewrite", text: text.replace(pattern, (match, char) => char.repeat(maxRun)) };
+    }
+    if (action === "flag") {
+      return { action: "flag", reason: `Repeats a character more than ${maxRun} times` };
+    }
+    return {
+      action: "reject",
+      code: "CONTENT_REPEATED_CHARACTERS",
+      message: `Please don't repeat a character more than ${maxRun} times in a row`
+    };
+  };
+}
+
+module.exports = { createRepeatedCharactersFilter };
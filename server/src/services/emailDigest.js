@@ -0,0 +1,288 @@
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const UserProfile = require("../models/UserProfile");
+const presence = require("./presence");
+const { sendMail } = require("./mail");
+const { isConversationMuted } = require("./mutes");
+const { previewText } = require("./messages");
+const { getEmailDigestConfig } = require("../config/emailDigest");
+const { decodeToken, signHs256, verifySignature } = require("../utils/jwt");
+
+const HOUR_MS = 60 * 60 * 1000;
+const FREQUENCY_MS = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+// someone's first digest only covers the last week
+const MAX_LOOKBACK_MS = 7 * 24 * HOUR_MS;
+const MAX_SNIPPET_LENGTH = 200;
+const UNSUBSCRIBE_PURPOSE = "email-digest-unsubscribe";
+
+const logDigest = (message, stream = process.stdout) => {
+  const timestamp = new Date().toISOString();
+  stream.write(`[${timestamp}] Email digest: ${message}\n`);
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const truncate = (text) =>
+  text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 1).trimEnd()}…` : text;
+
+// unsubscribe links must work without signing in, so they carry a signed user id.
+// they don't expire: an old digest should still be able to stop the next one
+function createUnsubscribeToken(userId) {
+  return signHs256({ sub: userId, purpose: UNSUBSCRIBE_PURPOSE }, getEmailDigestConfig().secret);
+}
+
+// the user id the token was issued for, or null if it isn't a valid unsubscribe token
+function verifyUnsubscribeToken(token) {
+  const { secret } = getEmailDigestConfig();
+  if (!secret) return null;
+  try {
+    const decoded = decodeToken(token);
+    if (decoded.header.alg !== "HS256" || !verifySignature(decoded, secret)) return null;
+    if (decoded.payload.purpose !== UNSUBSCRIBE_PURPOSE || typeof decoded.payload.sub !== "string") {
+      return null;
+    }
+    return decoded.payload.sub;
+  } catch (err) {
+    return null;
+  }
+}
+
+const isDue = (profile, now) => {
+  const frequency = profile.emailDigest?.frequency || "daily";
+  const interval = FREQUENCY_MS[frequency];
+  if (!interval) return false;
+  const lastSentAt = profile.emailDigest?.lastSentAt;
+  return !lastSentAt || now - lastSentAt >= interval;
+};
+
+// unread messages per conversation, newest conversations first. a digest covers
+// what was already old enough at the previous run onwards, so nothing is repeated
+// and nothing that was too fresh last time is skipped
+async function collectUnread(profile, now, config) {
+  const userId = profile.clerkUserId;
+  const unreadAgeMs = config.unreadAgeMin * 60 * 1000;
+  const lastSentAt = profile.emailDigest?.lastSentAt;
+  const since = new Date(
+    Math.max(lastSentAt ? lastSentAt.getTime() - unreadAgeMs : 0, now.getTime() - MAX_LOOKBACK_MS)
+  );
+  const olderThan = new Date(now.getTime() - unreadAgeMs);
+
+  const conversations = await Conversation.find({
+    members: userId,
+    [`unreadCounts.${userId}`]: { $gt: 0 }
+  }).sort({ lastMessageAt: -1 });
+
+  const items = [];
+  for (const conversation of conversations) {
+    if (items.length >= config.maxConversations) break;
+    if (isConversationMuted(profile, conversation._id.toString())) continue;
+
+    const filter = {
+      conversationId: conversation._id,
+      senderId: { $nin: [userId, ...(profile.blockedUserIds || [])] },
+      readBy: { $ne: userId },
+      deletedAt: null,
+      hiddenAt: null,
+      createdAt: { $gt: since, $lte: olderThan }
+    };
+    const [count, messages] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.find(filter).sort({ createdAt: -1 }).limit(config.messagesPerConversation)
+    ]);
+    if (count === 0) continue;
+
+    items.push({
+      conversationId: conversation._id.toString(),
+      name: conversation.isGroup ? conversation.name || "Group chat" : messages[0].senderName,
+      isGroup: Boolean(conversation.isGroup),
+      count,
+      messages: messages.reverse().map((message) => ({
+        senderName: message.senderName,
+        text: truncate(previewText(message)),
+        createdAt: message.createdAt
+      }))
+    });
+  }
+  return items;
+}
+
+function buildDigestEmail(profile, items, config) {
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+  const unreadLabel = total === 1 ? "1 unread message" : `${total} unread messages`;
+  const subject =
+    items.length === 1
+      ? `You have ${unreadLabel} from ${items[0].name}`
+      : `You have ${unreadLabel} in ${items.length} conversations`;
+
+  const unsubscribeUrl = `${config.apiUrl}/api/notifications/email/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(profile.clerkUserId)
+  )}`;
+  const conversationUrl = (item) => `${config.appUrl}/?conversation=${encodeURIComponent(item.conversationId)}`;
+  const frequency = profile.emailDigest?.frequency || "daily";
+  const footer = `You get this ${frequency} summary because you have unread messages in Meridian Chat.`;
+
+  const text = [
+    `Hi ${profile.displayName},`,
+    "",
+    `While you were away you received ${unreadLabel}.`,
+    "",
+    ...items.flatMap((item) => [
+      `${item.name} (${item.count} unread)`,
+      ...item.messages.map((message) => `  ${item.isGroup ? `${message.senderName}: ` : ""}${message.text}`),
+      `  Open: ${conversationUrl(item)}`,
+      ""
+    ]),
+    footer,
+    `Change how often you get these in the app's notification settings, or unsubscribe: ${unsubscribeUrl}`
+  ].join("\n");
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#0f172a;font-family:system-ui,sans-serif;color:#e2e8f0">
+    <div style="max-width:560px;margin:0 auto">
+      <p>Hi ${escapeHtml(profile.displayName)},</p>
+      <p>While you were away you received <strong>${escapeHtml(unreadLabel)}</strong>.</p>
+      ${items
+        .map(
+          (item) => `<div style="margin:16px 0;padding:16px;border:1px solid #334155;border-radius:12px;background:#1e293b">
+        <p style="margin:0 0 8px;font-weight:600">${escapeHtml(item.name)}
+          <span style="font-weight:400;color:#94a3b8">· ${item.count} unread</span></p>
+        ${item.messages
+          .map(
+            (message) =>
+              `<p style="margin:4px 0;color:#cbd5e1">${
+                item.isGroup ? `<strong>${escapeHtml(message.senderName)}:</strong> ` : ""
+              }${escapeHtml(message.text)}</p>`
+          )
+          .join("\n        ")}
+        <p style="margin:12px 0 0"><a href="${escapeHtml(conversationUrl(item))}" style="color:#a5b4fc">Open conversation</a></p>
+      </div>`
+        )
+        .join("\n      ")}
+      <p style="font-size:12px;color:#94a3b8">${escapeHtml(footer)}
+        Change how often you get these in the app's notification settings, or
+        <a href="${escapeHtml(unsubscribeUrl)}" style="color:#94a3b8">unsubscribe</a>.</p>
+    </div>
+  </body>
+</html>`;
+
+  return {
+    to: profile.verifiedEmail,
+    subject,
+    text,
+    html,
+    // lets mail clients offer their own one-click unsubscribe (RFC 8058)
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+    }
+  };
+}
+
+async function sendDigest(profile, now, config) {
+  const items = await collectUnread(profile, now, config);
+  if (items.length === 0) return false;
+
+  // claim the run first so two nodes on the same schedule can't both send it
+  const previous = profile.emailDigest?.lastSentAt || null;
+  const claim = await UserProfile.updateOne(
+    { _id: profile._id, "emailDigest.lastSentAt": previous },
+    { $set: { "emailDigest.lastSentAt": now } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    await sendMail(buildDigestEmail(profile, items, config));
+    return true;
+  } catch (err) {
+    // hand the run back so the next pass retries it
+    await UserProfile.updateOne(
+      { _id: profile._id, "emailDigest.lastSentAt": now },
+      { $set: { "emailDigest.lastSentAt": previous } }
+    );
+    throw err;
+  }
+}
+
+// one pass over everyone with a verified email address and digests switched on; users
+// who are online right now are skipped, they'll see their unread badges anyway
+async function runEmailDigest({ now = new Date() } = {}) {
+  const config = getEmailDigestConfig();
+  if (!config.secret) {
+    throw new Error("EMAIL_DIGEST_SECRET is required to sign unsubscribe links");
+  }
+
+  const result = { considered: 0, sent: 0, failed: 0 };
+  const cursor = UserProfile.find({ verifiedEmail: { $nin: ["", null] }, "emailDigest.frequency": { $ne: "off" } })
+    .select("clerkUserId displayName verifiedEmail emailDigest mutedConversations blockedUserIds")
+    .cursor({ batchSize: config.batchSize });
+
+  let batch = [];
+  const flush = async () => {
+    const online = await presence.getOnlineUserIds(global.io, batch.map((profile) => profile.clerkUserId));
+    for (const profile of batch) {
+      if (online.has(profile.clerkUserId)) continue;
+      result.considered += 1;
+      try {
+        if (await sendDigest(profile, now, config)) result.sent += 1;
+      } catch (err) {
+        result.failed += 1;
+        logDigest(`could not send to ${profile.clerkUserId}: ${err.message}`, process.stderr);
+      }
+    }
+    batch = [];
+  };
+
+  for await (const profile of cursor) {
+    if (!isDue(profile, now)) continue;
+    batch.push(profile);
+    if (batch.length >= config.batchSize) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  return result;
+}
+
+// runs the digest on a timer in this process; returns a stop function
+function startEmailDigestJob() {
+  const config = getEmailDigestConfig();
+  if (!config.enabled) return null;
+  if (!config.secret) {
+    logDigest("disabled, EMAIL_DIGEST_SECRET is not set", process.stderr);
+    return null;
+  }
+
+  let isRunning = false;
+  const tick = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      const { sent, failed } = await runEmailDigest();
+      if (sent > 0 || failed > 0) logDigest(`sent ${sent}, failed ${failed}`);
+    } catch (err) {
+      logDigest(err.message, process.stderr);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, config.intervalSec * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  verifyUnsubscribeToken,
+  runEmailDigest,
+  startEmailDigestJob
+};
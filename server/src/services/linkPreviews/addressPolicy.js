@@ -0,0 +1,41 @@
+const net = require("net");
+
+// loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// carrier-grade NAT, documentation, benchmarking, multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  // IPv4-mapped and NAT64 addresses could smuggle any of the ranges above
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv6"));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+module.exports = { isPublicAddress };
@@ -0,0 +1,142 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { isPublicAddress } = require("./addressPolicy");
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const createBlockedError = (hostname) => {
+  const error = new Error(`${hostname} resolves to a private or reserved address`);
+  error.code = "LINK_PREVIEW_BLOCKED";
+  return error;
+};
+
+// checked at connect time rather than before the request, so a host can't pass
+// the check and then re-resolve somewhere private (DNS rebinding)
+const createGuardedLookup = (mayBePrivate) => (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true, family: options.family || 0, hints: options.hints }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!mayBePrivate(hostname) && addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(createBlockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// literal addresses never reach the lookup, so they are checked up front
+const assertAllowedUrl = (url, mayBePrivate) => {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Unsupported protocol ${url.protocol}`);
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && !mayBePrivate(hostname) && !isPublicAddress(hostname)) {
+    throw createBlockedError(hostname);
+  }
+};
+
+function requestOnce(url, { lookup, signal, userAgent, maxBytes }) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(
+      url,
+      {
+        // a pooled socket would skip the lookup, and with it the address check
+        agent: false,
+        lookup,
+        signal,
+        headers: {
+          "User-Agent": userAgent,
+          Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.1",
+          "Accept-Encoding": "identity"
+        }
+      },
+      (response) => {
+        const { statusCode, headers } = response;
+
+        if (REDIRECT_STATUSES.has(statusCode) && headers.location) {
+          response.resume();
+          resolve({ redirectTo: new URL(headers.location, url) });
+          return;
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          reject(new Error(`Unexpected status ${statusCode}`));
+          return;
+        }
+
+        const contentType = headers["content-type"] || "";
+        if (!/^(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+          response.destroy();
+          resolve({ contentType, body: "" });
+          return;
+        }
+
+        // anything past the cap is dropped; the metadata we want is near the top
+        const chunks = [];
+        let received = 0;
+        let settled = false;
+        const finish = () => {
+          if (settled) return;
+          settled = true;
+          resolve({ contentType, body: Buffer.concat(chunks).subarray(0, maxBytes).toString("utf8") });
+        };
+
+        response.on("data", (chunk) => {
+          chunks.push(chunk);
+          received += chunk.length;
+          if (received >= maxBytes) {
+            finish();
+            response.destroy();
+          }
+        });
+        response.on("end", finish);
+        response.on("error", (err) => {
+          if (!settled) reject(err);
+        });
+      }
+    );
+    request.on("error", reject);
+  });
+}
+
+// the default fetcher: plain http(s) with redirects followed by hand so every hop
+// is re-checked. allowPrivateNetworks is true for any host or a list of hostnames that
+// may resolve privately, e.g. ["localhost"] to reach a stub server in tests
+function createHttpFetcher({ allowPrivateNetworks = false } = {}) {
+  const privateHosts = new Set(
+    Array.isArray(allowPrivateNetworks) ? allowPrivateNetworks.map((host) => host.toLowerCase()) : []
+  );
+  const mayBePrivate = (hostname) => allowPrivateNetworks === true || privateHosts.has(hostname.toLowerCase());
+  const lookup = createGuardedLookup(mayBePrivate);
+
+  return async function fetchPage(rawUrl, { timeoutMs, maxBytes, maxRedirects, userAgent }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      let url = new URL(rawUrl);
+      for (let hop = 0; hop <= maxRedirects; hop += 1) {
+        assertAllowedUrl(url, mayBePrivate);
+        const result = await requestOnce(url, { lookup, signal: controller.signal, userAgent, maxBytes });
+        if (!result.redirectTo) {
+          return { url: url.href, contentType: result.contentType, body: result.body };
+        }
+        url = result.redirectTo;
+      }
+      throw new Error(`More than ${maxRedirects} redirects`);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        throw new Error(`Timed out after ${timeoutMs}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { createHttpFetcher };
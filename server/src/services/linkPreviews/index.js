@@ -0,0 +1,90 @@
+const { getLinkPreviewConfig } = require("../../config/linkPreviews");
+const { extractUrls } = require("../../utils/urls");
+const { createHttpFetcher } = require("./httpFetcher");
+const { parseLinkMetadata } = require("./metadata");
+
+let fetcher = createHttpFetcher();
+
+// url -> { preview, expiresAt }; a null preview remembers that the page had nothing to show
+const cache = new Map();
+// concurrent messages linking the same page share one fetch
+const inFlight = new Map();
+
+// swap the network layer, e.g. for a stub server in tests. null restores the default
+function setLinkPreviewFetcher(nextFetcher) {
+  fetcher = nextFetcher || createHttpFetcher();
+  clearLinkPreviewCache();
+}
+
+function clearLinkPreviewCache() {
+  cache.clear();
+  inFlight.clear();
+}
+
+const readCache = (url) => {
+  const entry = cache.get(url);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(url);
+    return undefined;
+  }
+  return entry.preview;
+};
+
+const writeCache = (url, preview, { ttlSec, failureTtlSec, maxEntries }) => {
+  cache.delete(url);
+  cache.set(url, { preview, expiresAt: Date.now() + (preview ? ttlSec : failureTtlSec) * 1000 });
+  // Map keeps insertion order, so the first key is the oldest entry
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+async function unfurl(url, config) {
+  try {
+    const page = await fetcher(url, config);
+    if (!page?.body) return null;
+    const preview = parseLinkMetadata(page.body, page.url || url);
+    // the card links to what was written, not wherever it redirected
+    return preview ? { ...preview, url } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function getLinkPreview(url) {
+  const config = getLinkPreviewConfig();
+  const cached = readCache(url);
+  if (cached !== undefined) return cached;
+
+  if (!inFlight.has(url)) {
+    inFlight.set(
+      url,
+      unfurl(url, config)
+        .then((preview) => {
+          writeCache(url, preview, config.cache);
+          return preview;
+        })
+        .finally(() => inFlight.delete(url))
+    );
+  }
+  return inFlight.get(url);
+}
+
+// previews for the first few links in `text`, in order; links without one are skipped
+async function getLinkPreviews(text) {
+  const { enabled, maxPerMessage } = getLinkPreviewConfig();
+  if (!enabled || !text) return [];
+
+  const urls = extractUrls(text).slice(0, maxPerMessage);
+  const previews = await Promise.all(urls.map((url) => getLinkPreview(url.href)));
+  return previews.filter(Boolean);
+}
+
+module.exports = {
+  clearLinkPreviewCache,
+  createHttpFetcher,
+  getLinkPreview,
+  getLinkPreviews,
+  setLinkPreviewFetcher
+};
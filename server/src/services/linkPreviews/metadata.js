@@ -0,0 +1,80 @@
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 400;
+const MAX_SITE_NAME_LENGTH = 100;
+
+const META_TAG_PATTERN = /<meta\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /([a-zA-Z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const TITLE_PATTERN = /<title[^>]*>([\s\S]*?)<\/title>/i;
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+const decodeEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === "#") {
+      const codePoint = body[1].toLowerCase() === "x" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch {
+        return entity;
+      }
+    }
+    return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+  });
+
+const clean = (value, maxLength) => {
+  if (!value) return "";
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? "";
+  }
+  return attributes;
+};
+
+// og:image is often relative, and only web URLs are safe to hand to the client
+const resolveImageUrl = (value, pageUrl) => {
+  if (!value) return "";
+  try {
+    const url = new URL(decodeEntities(value.trim()), pageUrl);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : "";
+  } catch {
+    return "";
+  }
+};
+
+// OpenGraph first, then Twitter cards, then plain <title>/<meta name="description">
+function parseLinkMetadata(html, pageUrl) {
+  const meta = {};
+  (html.match(META_TAG_PATTERN) || []).forEach((tag) => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || "").toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const titleTag = html.match(TITLE_PATTERN)?.[1];
+  const title = clean(meta["og:title"] || meta["twitter:title"] || titleTag, MAX_TITLE_LENGTH);
+  const description = clean(
+    meta["og:description"] || meta["twitter:description"] || meta.description,
+    MAX_DESCRIPTION_LENGTH
+  );
+
+  if (!title && !description) return null;
+
+  return {
+    url: pageUrl,
+    title,
+    description,
+    siteName: clean(meta["og:site_name"], MAX_SITE_NAME_LENGTH) || new URL(pageUrl).hostname.replace(/^www\./, ""),
+    imageUrl: resolveImageUrl(meta["og:image"] || meta["og:image:url"] || meta["twitter:image"], pageUrl)
+  };
+}
+
+module.exports = { parseLinkMetadata };
@@ -0,0 +1,15 @@
+// prints each message instead of sending it; the default for local development
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send({ from, to, subject, text }) {
+      const timestamp = new Date().toISOString();
+      process.stdout.write(
+        `[${timestamp}] Mail from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n`
+      );
+      return { messageId: null };
+    }
+  };
+}
+
+module.exports = { createConsoleTransport };
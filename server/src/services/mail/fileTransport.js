@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// RFC 2047 encoded-word, so non-ASCII subjects and names survive
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+
+const encodeBody = (value) =>
+  Buffer.from(value).toString("base64").replace(/.{76}/g, "$&\r\n");
+
+// writes every message as an .eml file that any mail client can open
+function createFileTransport({ directory }) {
+  return {
+    name: "file",
+    async send({ from, to, subject, text, html, headers = {} }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const boundary = `----=_Part_${id}`;
+      const lines = [
+        `From: ${encodeHeader(from)}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${id}@mail-outbox.local>`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        "MIME-Version: 1.0",
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        "",
+        `--${boundary}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        encodeBody(text),
+        `--${boundary}`,
+        "Content-Type: text/html; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        encodeBody(html || ""),
+        `--${boundary}--`,
+        ""
+      ];
+
+      await fs.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${id}.eml`);
+      await fs.writeFile(file, lines.join("\r\n"));
+      return { messageId: id, file };
+    }
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,32 @@
+const { getMailConfig } = require("../../config/mail");
+const { createConsoleTransport } = require("./consoleTransport");
+const { createFileTransport } = require("./fileTransport");
+const { createSmtpTransport } = require("./smtpTransport");
+
+const drivers = {
+  console: () => createConsoleTransport(),
+  file: (config) => createFileTransport(config.file),
+  smtp: (config) => createSmtpTransport(config.smtp)
+};
+
+let transport = null;
+
+// a transport exposes send({ from, to, subject, text, html, headers }) -> { messageId }
+function getMailTransport() {
+  if (!transport) {
+    const config = getMailConfig();
+    const factory = drivers[config.transport];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}"`);
+    }
+    transport = factory(config);
+  }
+  return transport;
+}
+
+async function sendMail(message) {
+  const { from } = getMailConfig();
+  return getMailTransport().send({ from, ...message });
+}
+
+module.exports = { getMailTransport, sendMail };
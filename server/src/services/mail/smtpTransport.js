@@ -0,0 +1,28 @@
+function loadNodemailer() {
+  try {
+    return require("nodemailer");
+  } catch (err) {
+    throw new Error("MAIL_TRANSPORT=smtp requires the optional nodemailer package");
+  }
+}
+
+function createSmtpTransport({ url, host, port, secure, user, pass }) {
+  if (!url && !host) {
+    throw new Error("SMTP_URL or SMTP_HOST is required when MAIL_TRANSPORT=smtp");
+  }
+
+  const nodemailer = loadNodemailer();
+  const transporter = nodemailer.createTransport(
+    url || { host, port, secure, auth: user ? { user, pass } : undefined }
+  );
+
+  return {
+    name: "smtp",
+    async send({ from, to, subject, text, html, headers }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html, headers });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,360 @@
+const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
+const Message = require("../models/Message");
+const UserProfile = require("../models/UserProfile");
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { clearTyping } = require("../sockets/typingHandlers");
+const { summarizeReceipts } = require("./receipts");
+const { toMessageAttachment } = require("./attachments");
+const { toPlainReactions } = require("./reactions");
+const { assertCanMessage } = require("./blocks");
+const { runContentFilters } = require("./contentFilters");
+const { fileSystemReport } = require("./moderation");
+const { getLinkPreviews } = require("./linkPreviews");
+const { notifyNewMessage } = require("./push");
+const { userRoom, conversationRoom } = require("../sockets/rooms");
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const QUOTE_PREVIEW_LENGTH = 200;
+
+// quotes of a hidden message keep their snapshot but stop showing it
+const serializeReplyTo = (replyTo) => {
+  if (!replyTo) return null;
+  const plain = replyTo.toObject ? replyTo.toObject() : replyTo;
+  return plain.hidden ? { ...plain, text: "" } : plain;
+};
+
+const serializeMessage = (message, members = []) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  senderId: message.senderId,
+  senderName: message.senderName,
+  senderAvatar: message.senderAvatar,
+  text: message.hiddenAt ? "" : message.text,
+  attachments: message.hiddenAt ? [] : message.attachments || [],
+  linkPreviews: message.hiddenAt ? [] : message.linkPreviews || [],
+  reactions: toPlainReactions(message.reactions),
+  replyTo: serializeReplyTo(message.replyTo),
+  threadRootId: message.threadRootId || null,
+  threadReplyCount: message.threadReplyCount || 0,
+  threadLastReplyAt: message.threadLastReplyAt || null,
+  clientMessageId: message.clientMessageId || null,
+  status: message.status,
+  readBy: message.readBy,
+  receipts: summarizeReceipts(message, members),
+  editedAt: message.editedAt || null,
+  deletedAt: message.deletedAt || null,
+  hiddenAt: message.hiddenAt || null,
+  createdAt: message.createdAt,
+  updatedAt: message.updatedAt
+});
+
+// sidebar previews need something to show for file-only messages
+const previewText = (message) => {
+  if (message.text) return message.text;
+  const attachments = message.attachments || [];
+  if (attachments.length === 0) return "";
+  if (attachments.every((file) => file.mimeType?.startsWith("image/"))) {
+    return attachments.length === 1 ? "📷 Photo" : `📷 ${attachments.length} photos`;
+  }
+  return attachments.length === 1 ? `📎 ${attachments[0].name}` : `📎 ${attachments.length} files`;
+};
+
+const toReplySnapshot = (message) => ({
+  messageId: message._id,
+  senderId: message.senderId,
+  senderName: message.senderName,
+  text: previewText(message).slice(0, QUOTE_PREVIEW_LENGTH),
+  deleted: false
+});
+
+const toLastMessage = (message) => ({
+  messageId: message._id,
+  text: previewText(message),
+  senderId: message.senderId,
+  senderName: message.senderName,
+  senderAvatar: message.senderAvatar,
+  createdAt: message.createdAt
+});
+
+// quotes and thread roots must be live messages from the same conversation
+const loadReferencedMessage = async (messageId, conversationId, label) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    const error = new Error(`Invalid ${label} message id`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const message = await Message.findOne({ _id: messageId, conversationId });
+  if (!message || message.deletedAt || message.hiddenAt) {
+    const error = new Error(`The ${label} message is no longer available`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return message;
+};
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeClientMessageId = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (
+    typeof value !== "string" ||
+    value.length > MAX_CLIENT_MESSAGE_ID_LENGTH ||
+    !CLIENT_MESSAGE_ID_PATTERN.test(value)
+  ) {
+    throw createHttpError(400, "Invalid clientMessageId");
+  }
+  return value;
+};
+
+// the message is already stored, so a failure here shouldn't fail the send
+const flagForReview = (message, flags) =>
+  fileSystemReport(message, flags).catch((err) => {
+    const timestamp = new Date().toISOString();
+    process.stderr.write(`[${timestamp}] Could not file report for message ${message._id}: ${err.message}\n`);
+  });
+
+// unfurling runs after the message is delivered; the cards follow as message:updated.
+// the write only lands if the text is still the one the previews were built from
+async function refreshLinkPreviews(message, members) {
+  const text = message.text;
+  const previews = await getLinkPreviews(text);
+  const current = message.linkPreviews || [];
+  if (previews.length === 0 && current.length === 0) return;
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, text, deletedAt: null, hiddenAt: null },
+    { $set: { linkPreviews: previews } },
+    { new: true }
+  );
+  if (!updated || !global.io) return;
+
+  const conversationId = updated.conversationId.toString();
+  global.io.to(conversationRoom(conversationId)).emit("message:updated", {
+    conversationId,
+    message: serializeMessage(updated, members)
+  });
+}
+
+const queueLinkPreviews = (message, members) => {
+  refreshLinkPreviews(message, members).catch((err) => {
+    const timestamp = new Date().toISOString();
+    process.stderr.write(`[${timestamp}] Could not build link previews for message ${message._id}: ${err.message}\n`);
+  });
+};
+
+// push goes out after the response; a slow or failing push service can't hold up the send
+const queuePushNotifications = (conversation, message) => {
+  notifyNewMessage({ conversation, message, preview: previewText(message) }).catch((err) => {
+    const timestamp = new Date().toISOString();
+    process.stderr.write(`[${timestamp}] Could not send push notifications for message ${message._id}: ${err.message}\n`);
+  });
+};
+
+const findBySenderKey = (senderId, clientMessageId) =>
+  Message.findOne({ senderId, clientMessageId });
+
+// shared by POST /api/messages and the message:send socket event. a retry that
+// carries the same clientMessageId gets the original message back instead of a duplicate
+async function createMessage({
+  userId,
+  conversationId,
+  text: rawText,
+  attachmentIds: rawAttachmentIds,
+  replyToId,
+  threadRootId,
+  clientMessageId: rawClientMessageId
+}) {
+  const text = typeof rawText === "string" ? rawText.trim() : "";
+  const attachmentIds = Array.isArray(rawAttachmentIds)
+    ? [...new Set(rawAttachmentIds.map(String))]
+    : [];
+  const clientMessageId = normalizeClientMessageId(rawClientMessageId);
+
+  if (!conversationId || (!text && attachmentIds.length === 0)) {
+    throw createHttpError(400, "conversationId and text or attachments are required");
+  }
+
+  if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw createHttpError(400, `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files per message`);
+  }
+
+  if (attachmentIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createHttpError(400, "Invalid attachment id");
+  }
+
+  const conversation = await ensureConversationAccess(conversationId, userId);
+
+  if (clientMessageId) {
+    const existing = await findBySenderKey(userId, clientMessageId);
+    if (existing) {
+      if (!existing.conversationId.equals(conversation._id)) {
+        throw createHttpError(409, "clientMessageId was already used in another conversation");
+      }
+      return { message: serializeMessage(existing, conversation.members), created: false };
+    }
+  }
+
+  if (!conversation.isGroup) {
+    const otherMemberId = conversation.members.find((memberId) => memberId !== userId);
+    if (otherMemberId) {
+      await assertCanMessage(userId, otherMemberId);
+    }
+  }
+
+  // an empty text (attachments only) has nothing to filter
+  const filtered = text
+    ? await runContentFilters({ text, userId, conversationId })
+    : { text, flags: [] };
+
+  const quoted = replyToId
+    ? await loadReferencedMessage(replyToId, conversationId, "quoted")
+    : null;
+
+  let threadRoot = threadRootId
+    ? await loadReferencedMessage(threadRootId, conversationId, "thread")
+    : null;
+  // threads are one level deep; replying to a reply continues its thread
+  if (threadRoot?.threadRootId) {
+    threadRoot = await loadReferencedMessage(threadRoot.threadRootId, conversationId, "thread");
+  }
+
+  // uploads can only be sent once, by their uploader, into the conversation they were uploaded for
+  const uploads = attachmentIds.length > 0
+    ? await Attachment.find({
+        _id: { $in: attachmentIds },
+        uploaderId: userId,
+        conversationId,
+        messageId: null
+      })
+    : [];
+
+  if (uploads.length !== attachmentIds.length) {
+    throw createHttpError(400, "One or more attachments are unavailable");
+  }
+
+  const orderedUploads = attachmentIds.map((id) => uploads.find((upload) => upload._id.equals(id)));
+
+  const profile =
+    (await UserProfile.findOne({ clerkUserId: userId })) ||
+    {
+      displayName: "You",
+      avatarUrl: ""
+    };
+
+  let message;
+  try {
+    message = await Message.create({
+      conversationId,
+      senderId: userId,
+      senderName: profile.displayName,
+      senderAvatar: profile.avatarUrl,
+      text: filtered.text,
+      attachments: orderedUploads.map(toMessageAttachment),
+      replyTo: quoted ? toReplySnapshot(quoted) : null,
+      threadRootId: threadRoot ? threadRoot._id : null,
+      clientMessageId,
+      flags: filtered.flags,
+      readBy: [userId],
+      status: "sent"
+    });
+  } catch (err) {
+    // two retries raced past the lookup above; the unique index let exactly one through
+    if (err.code === 11000 && clientMessageId) {
+      const existing = await findBySenderKey(userId, clientMessageId);
+      if (existing) {
+        return { message: serializeMessage(existing, conversation.members), created: false };
+      }
+    }
+    throw err;
+  }
+
+  if (filtered.flags.length > 0) {
+    await flagForReview(message, filtered.flags);
+  }
+
+  if (uploads.length > 0) {
+    await Attachment.updateMany(
+      { _id: { $in: attachmentIds } },
+      { $set: { messageId: message._id } }
+    );
+  }
+
+  if (!conversation.unreadCounts) {
+    conversation.unreadCounts = new Map();
+  }
+
+  const updateUnread = (memberId) => {
+    if (conversation.unreadCounts instanceof Map) {
+      const prev = conversation.unreadCounts.get(memberId) || 0;
+      conversation.unreadCounts.set(memberId, memberId === userId ? 0 : prev + 1);
+    } else {
+      const prev = conversation.unreadCounts[memberId] || 0;
+      conversation.unreadCounts[memberId] = memberId === userId ? 0 : prev + 1;
+    }
+  };
+
+  conversation.members.forEach(updateUnread);
+
+  conversation.lastMessage = toLastMessage(message);
+  conversation.lastMessageAt = message.createdAt;
+
+  await conversation.save();
+
+  const updatedRoot = threadRoot
+    ? await Message.findByIdAndUpdate(
+        threadRoot._id,
+        { $inc: { threadReplyCount: 1 }, $set: { threadLastReplyAt: message.createdAt } },
+        { new: true }
+      )
+    : null;
+
+  const serialized = serializeMessage(message, conversation.members);
+  const roomId = conversation._id.toString();
+
+  if (global.io) {
+    clearTyping(global.io, roomId, userId);
+
+    global.io.to(conversationRoom(roomId)).emit("message:new", {
+      conversationId: roomId,
+      message: serialized
+    });
+
+    if (updatedRoot) {
+      global.io.to(conversationRoom(roomId)).emit("message:updated", {
+        conversationId: roomId,
+        message: serializeMessage(updatedRoot, conversation.members)
+      });
+    }
+
+    conversation.members
+      .filter((memberId) => memberId !== userId)
+      .forEach((memberId) => {
+        global.io.to(userRoom(memberId)).emit("conversation:update", { conversationId: roomId });
+      });
+  }
+
+  queuePushNotifications(conversation, message);
+  if (filtered.text) {
+    queueLinkPreviews(message, conversation.members);
+  }
+
+  return { message: serialized, created: true };
+}
+
+module.exports = {
+  QUOTE_PREVIEW_LENGTH,
+  flagForReview,
+  queueLinkPreviews,
+  serializeMessage,
+  previewText,
+  toLastMessage,
+  createMessage
+};
@@ -0,0 +1,82 @@
+const AuditLog = require("../models/AuditLog");
+const Report = require("../models/Report");
+const UserProfile = require("../models/UserProfile");
+
+// a suspension without an end date lasts until a moderator lifts it
+function getActiveSuspension(profile, now = new Date()) {
+  const suspension = profile?.suspension;
+  if (!suspension) return null;
+  if (suspension.until && new Date(suspension.until) <= now) return null;
+  return suspension;
+}
+
+async function findActiveSuspension(userId) {
+  const profile = await UserProfile.findOne({ clerkUserId: userId, suspension: { $ne: null } })
+    .select("suspension")
+    .lean();
+  return getActiveSuspension(profile);
+}
+
+// the shape both requireAuth and the socket handshake reject with
+function createSuspensionError(suspension) {
+  const error = new Error(
+    suspension.until
+      ? `Your account is suspended until ${new Date(suspension.until).toISOString()}`
+      : "Your account is suspended"
+  );
+  error.statusCode = 403;
+  error.code = "ACCOUNT_SUSPENDED";
+  error.suspendedUntil = suspension.until || null;
+  return error;
+}
+
+async function isModerator(userId) {
+  const exists = await UserProfile.exists({ clerkUserId: userId, role: "moderator" });
+  return Boolean(exists);
+}
+
+// every moderator action goes through here so the audit log stays complete
+function recordAudit({ actorId, action, targetType, targetId, reason = "", metadata = {} }) {
+  return AuditLog.create({
+    actorId,
+    action,
+    targetType,
+    targetId: String(targetId),
+    reason,
+    metadata
+  });
+}
+
+// content filter flags land in the same queue as user reports, filed by "system"
+async function fileSystemReport(message, flags) {
+  await Report.updateOne(
+    { messageId: message._id, reporterId: "system" },
+    {
+      $set: {
+        details: flags.map((flag) => `${flag.filter}: ${flag.reason}`).join("; "),
+        status: "open",
+        messageSnapshot: {
+          text: message.text,
+          senderName: message.senderName,
+          attachmentCount: message.attachments.length,
+          createdAt: message.createdAt
+        }
+      },
+      $setOnInsert: {
+        conversationId: message.conversationId,
+        reportedUserId: message.senderId,
+        reason: "other"
+      }
+    },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  getActiveSuspension,
+  findActiveSuspension,
+  createSuspensionError,
+  isModerator,
+  recordAudit,
+  fileSystemReport
+};
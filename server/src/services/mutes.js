@@ -0,0 +1,20 @@
+// stored for "until I turn it back on"; far enough out to never expire
+const MUTE_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+// when `profile` has the conversation muted, the end of the mute; otherwise null
+function getMutedUntil(profile, conversationId, now = new Date()) {
+  const mutes = profile?.mutedConversations;
+  if (!mutes) return null;
+  const until = mutes instanceof Map ? mutes.get(conversationId) : mutes[conversationId];
+  return until && new Date(until) > now ? new Date(until) : null;
+}
+
+function isConversationMuted(profile, conversationId, now = new Date()) {
+  return getMutedUntil(profile, conversationId, now) !== null;
+}
+
+module.exports = {
+  MUTE_FOREVER,
+  getMutedUntil,
+  isConversationMuted
+};
@@ -0,0 +1,40 @@
+const Message = require("../models/Message");
+const { serializeMessage } = require("./messages");
+const { conversationRoom } = require("../sockets/rooms");
+
+const MAX_PINNED_MESSAGES = 50;
+
+// newest pin first, each with the message it points at
+async function listPins(conversation) {
+  const pins = conversation.pinnedMessages || [];
+  if (pins.length === 0) return [];
+
+  const messages = await Message.find({ _id: { $in: pins.map((pin) => pin.messageId) } });
+  const byId = new Map(messages.map((message) => [message._id.toString(), message]));
+
+  return [...pins]
+    .sort((a, b) => b.pinnedAt - a.pinnedAt)
+    .filter((pin) => byId.has(pin.messageId.toString()))
+    .map((pin) => ({
+      messageId: pin.messageId.toString(),
+      pinnedBy: pin.pinnedBy,
+      pinnedAt: pin.pinnedAt,
+      message: serializeMessage(byId.get(pin.messageId.toString()), conversation.members)
+    }));
+}
+
+// everyone with the conversation open gets the full list, so clients never merge
+async function broadcastPins(conversation) {
+  const pins = await listPins(conversation);
+  if (global.io) {
+    const conversationId = conversation._id.toString();
+    global.io.to(conversationRoom(conversationId)).emit("conversation:pins", { conversationId, pins });
+  }
+  return pins;
+}
+
+module.exports = {
+  MAX_PINNED_MESSAGES,
+  listPins,
+  broadcastPins
+};
@@ -0,0 +1,33 @@
+const { userRoom } = require("../sockets/rooms");
+
+// a user is online while any of their sockets, on any node, sits in their personal
+// room. with a cluster adapter fetchSockets asks every node, so presence needs no
+// separate store and a crashed node's sockets simply stop being reported
+
+async function countConnections(io, userId) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  return sockets.length;
+}
+
+async function getOnlineUserIds(io, userIds) {
+  if (!io || userIds.length === 0) return new Set();
+  const sockets = await io.in(userIds.map(userRoom)).fetchSockets();
+  return new Set(sockets.map((socket) => socket.data.userId).filter(Boolean));
+}
+
+// users with a visible tab on the conversation, see conversation:focus
+async function getUserIdsViewing(io, userIds, conversationId) {
+  if (!io || userIds.length === 0) return new Set();
+  const sockets = await io.in(userIds.map(userRoom)).fetchSockets();
+  return new Set(
+    sockets
+      .filter((socket) => socket.data.focusedConversationId === conversationId)
+      .map((socket) => socket.data.userId)
+  );
+}
+
+module.exports = {
+  countConnections,
+  getOnlineUserIds,
+  getUserIdsViewing
+};
@@ -0,0 +1,128 @@
+const webpush = require("web-push");
+const PushSubscription = require("../models/PushSubscription");
+const UserProfile = require("../models/UserProfile");
+const presence = require("./presence");
+const { isConversationMuted } = require("./mutes");
+const { getPushConfig } = require("../config/push");
+
+const MAX_BODY_LENGTH = 140;
+// the push service says the subscription is gone for good
+const EXPIRED_STATUSES = new Set([404, 410]);
+
+const logPushError = (message) => {
+  const timestamp = new Date().toISOString();
+  process.stderr.write(`[${timestamp}] ${message}\n`);
+};
+
+const truncate = (text) =>
+  text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1).trimEnd()}…` : text;
+
+// only https on the default port to a known push service; anything else would let a
+// client make the server send requests into networks it can reach and they can't
+function isAllowedPushEndpoint(endpoint, allowedHosts = getPushConfig().allowedHosts) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return false;
+  }
+  if (url.protocol !== "https:" || url.port || url.username || url.password) return false;
+  const host = url.hostname.toLowerCase();
+  return allowedHosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+const wantsPush = (profile, conversation, senderId) => {
+  const preferences = profile.notificationPreferences || {};
+  if (preferences.push === false) return false;
+  if ((conversation.isGroup ? preferences.groupMessages : preferences.directMessages) === false) {
+    return false;
+  }
+  if (isConversationMuted(profile, conversation._id.toString())) return false;
+  return !(profile.blockedUserIds || []).includes(senderId);
+};
+
+const buildPayload = (profile, conversation, message, preview) => {
+  const conversationId = conversation._id.toString();
+  const showPreview = profile.notificationPreferences?.showPreviews !== false;
+  const text = showPreview && preview ? truncate(preview) : "New message";
+
+  return {
+    type: "message",
+    conversationId,
+    messageId: message._id.toString(),
+    title: conversation.isGroup ? conversation.name || "Group chat" : message.senderName,
+    body: conversation.isGroup ? `${message.senderName}: ${text}` : text,
+    icon: message.senderAvatar || undefined,
+    // one notification per conversation; newer messages replace it
+    tag: `conversation:${conversationId}`,
+    url: `/?conversation=${encodeURIComponent(conversationId)}`
+  };
+};
+
+async function deliver(subscription, payload, config) {
+  // stored before the host list was tightened, or the list has changed since
+  if (!isAllowedPushEndpoint(subscription.endpoint, config.allowedHosts)) {
+    await PushSubscription.deleteOne({ _id: subscription._id });
+    return;
+  }
+
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      {
+        TTL: config.ttlSec,
+        urgency: "high",
+        vapidDetails: config.vapid
+      }
+    );
+    await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastDeliveredAt: new Date() } });
+  } catch (err) {
+    if (EXPIRED_STATUSES.has(err.statusCode)) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return;
+    }
+    logPushError(`Push to ${subscription.userId} failed: ${err.statusCode || ""} ${err.message}`.trim());
+  }
+}
+
+// pushes a new message to recipients who would otherwise miss it: skips muted
+// conversations, blocked senders, disabled preferences and anyone with a visible
+// tab already on the conversation. `preview` is the sidebar text for the message
+async function notifyNewMessage({ conversation, message, preview }) {
+  const config = getPushConfig();
+  if (!config.enabled) return;
+
+  const recipientIds = conversation.members.filter((memberId) => memberId !== message.senderId);
+  if (recipientIds.length === 0) return;
+
+  const profiles = await UserProfile.find({ clerkUserId: { $in: recipientIds } }).select(
+    "clerkUserId mutedConversations notificationPreferences blockedUserIds"
+  );
+  const candidates = profiles.filter((profile) => wantsPush(profile, conversation, message.senderId));
+  if (candidates.length === 0) return;
+
+  const viewing = await presence.getUserIdsViewing(
+    global.io,
+    candidates.map((profile) => profile.clerkUserId),
+    conversation._id.toString()
+  );
+  const targets = new Map(
+    candidates
+      .filter((profile) => !viewing.has(profile.clerkUserId))
+      .map((profile) => [profile.clerkUserId, profile])
+  );
+  if (targets.size === 0) return;
+
+  const subscriptions = await PushSubscription.find({ userId: { $in: [...targets.keys()] } });
+  await Promise.all(
+    subscriptions.map((subscription) =>
+      deliver(subscription, buildPayload(targets.get(subscription.userId), conversation, message, preview), config)
+    )
+  );
+}
+
+module.exports = {
+  isAllowedPushEndpoint,
+  notifyNewMessage
+};
@@ -0,0 +1,84 @@
+const { getRateLimitConfig } = require("../../config/rateLimit");
+const { createMemoryStore } = require("./memoryStore");
+const { createRedisStore } = require("./redisStore");
+
+const RATE_LIMIT_MESSAGE = "Too many requests, slow down";
+
+const drivers = {
+  memory: async () => createMemoryStore(),
+  redis: createRedisStore
+};
+
+let storePromise = null;
+
+const log = (stream, message) => {
+  const timestamp = new Date().toISOString();
+  stream.write(`[${timestamp}] ${message}\n`);
+};
+
+// a store exposes hit(key, windowMs) -> { count, resetAt }. a shared store that
+// can't be reached degrades to per-process counters instead of blocking traffic
+function getStore() {
+  if (!storePromise) {
+    const config = getRateLimitConfig();
+    const factory = drivers[config.store];
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${config.store}"`);
+    }
+    storePromise = factory(config).catch((err) => {
+      log(process.stderr, `Rate limit ${config.store} store unavailable, using in-memory: ${err.message}`);
+      return createMemoryStore();
+    });
+  }
+  return storePromise;
+}
+
+// counts one hit against every dimension of the bucket (per user, per ip) and
+// reports the tightest one. retryAfter is in whole seconds, as Retry-After expects
+async function consume(bucket, { userId, ip } = {}) {
+  const config = getRateLimitConfig();
+  const budget = config.budgets[bucket];
+  if (!config.enabled || !budget) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const checks = [];
+  if (budget.user && userId) checks.push({ key: `${bucket}:user:${userId}`, ...budget.user });
+  if (budget.ip && ip) checks.push({ key: `${bucket}:ip:${ip}`, ...budget.ip });
+  if (checks.length === 0) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const store = await getStore();
+  const now = Date.now();
+  const results = await Promise.all(
+    checks.map(async (check) => {
+      const { count, resetAt } = await store.hit(check.key, check.windowSec * 1000);
+      return {
+        allowed: count <= check.points,
+        limit: check.points,
+        remaining: Math.max(check.points - count, 0),
+        retryAfter: Math.max(Math.ceil((resetAt - now) / 1000), 1)
+      };
+    })
+  );
+
+  const blocked = results.filter((result) => !result.allowed);
+  if (blocked.length > 0) {
+    return blocked.reduce((worst, result) => (result.retryAfter > worst.retryAfter ? result : worst));
+  }
+  return results.reduce((tightest, result) => (result.remaining < tightest.remaining ? result : tightest));
+}
+
+function createRateLimitError(retryAfter) {
+  const err = new Error(RATE_LIMIT_MESSAGE);
+  err.statusCode = 429;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+module.exports = {
+  RATE_LIMIT_MESSAGE,
+  consume,
+  createRateLimitError
+};
@@ -0,0 +1,30 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// fixed-window counters kept in this process; fine for a single node
+function createMemoryStore() {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,35 @@
+function loadRedis() {
+  try {
+    return require("redis");
+  } catch (err) {
+    throw new Error("RATE_LIMIT_STORE=redis requires the optional redis package");
+  }
+}
+
+// counters live in redis so every node draws from the same budget
+async function createRedisStore({ redisUrl, redisKeyPrefix }) {
+  if (!redisUrl) {
+    throw new Error("REDIS_URL is required when RATE_LIMIT_STORE=redis");
+  }
+
+  const redis = loadRedis();
+  const client = redis.createClient({ url: redisUrl });
+  await client.connect();
+
+  return {
+    name: "redis",
+    async hit(key, windowMs) {
+      const redisKey = `${redisKeyPrefix}:${key}`;
+      const [count, ttl] = await client.multi().incr(redisKey).pTTL(redisKey).exec();
+      let remainingMs = Number(ttl);
+      // first hit of the window, or a key left without an expiry
+      if (remainingMs < 0) {
+        await client.pExpire(redisKey, windowMs);
+        remainingMs = windowMs;
+      }
+      return { count: Number(count), resetAt: Date.now() + remainingMs };
+    }
+  };
+}
+
+module.exports = { createRedisStore };
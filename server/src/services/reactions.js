@@ -0,0 +1,28 @@
+const MAX_EMOJI_LENGTH = 16;
+const MAX_DISTINCT_REACTIONS = 20;
+
+// one emoji, optionally with skin tone / ZWJ sequences; rejects text and Map-unsafe keys
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200D\uFE0F\u20E3])*$/u;
+
+function normalizeEmoji(value) {
+  const emoji = typeof value === "string" ? value.trim() : "";
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji)) {
+    const error = new Error("A single emoji is required");
+    error.statusCode = 400;
+    throw error;
+  }
+  return emoji;
+}
+
+// hydrated documents hold a Map, lean ones a plain object
+function toPlainReactions(reactions) {
+  if (!reactions) return {};
+  const entries = reactions instanceof Map ? [...reactions.entries()] : Object.entries(reactions);
+  return Object.fromEntries(entries.filter(([, userIds]) => userIds && userIds.length > 0));
+}
+
+module.exports = {
+  MAX_DISTINCT_REACTIONS,
+  normalizeEmoji,
+  toPlainReactions
+};
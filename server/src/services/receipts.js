@@ -0,0 +1,130 @@
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+
+// caps how many messages one acknowledgement can touch; older ones are caught by the next ack
+const MAX_RECEIPT_BATCH = 500;
+
+// hydrated documents expose Maps, lean ones plain objects
+const hasReceipt = (receipts, userId) => {
+  if (!receipts) return false;
+  return receipts instanceof Map ? receipts.has(userId) : Boolean(receipts[userId]);
+};
+
+function summarizeReceipts(message, members) {
+  const recipients = members.filter((id) => id !== message.senderId);
+  const readBy = Array.isArray(message.readBy) ? message.readBy : [];
+  const seenCount = recipients.filter(
+    (id) => hasReceipt(message.readAt, id) || readBy.includes(id)
+  ).length;
+  const deliveredCount = recipients.filter(
+    (id) => hasReceipt(message.deliveredAt, id) || hasReceipt(message.readAt, id) || readBy.includes(id)
+  ).length;
+
+  return {
+    recipientCount: recipients.length,
+    deliveredCount,
+    seenCount
+  };
+}
+
+function deriveStatus({ recipientCount, deliveredCount, seenCount }) {
+  if (recipientCount > 0 && seenCount >= recipientCount) return "seen";
+  if (recipientCount > 0 && deliveredCount >= recipientCount) return "delivered";
+  return "sent";
+}
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// marks every message from other members up to and including `upToMessageId`
+// as delivered to (or read by) `userId`, and returns the resulting status changes
+async function recordReceipts({ conversation, userId, upToMessageId, kind }) {
+  const conversationId = conversation._id;
+  const upTo = await Message.findOne({ _id: upToMessageId, conversationId }).select("createdAt");
+  if (!upTo) {
+    throw createHttpError(404, "Message not found");
+  }
+
+  const field = kind === "read" ? "readAt" : "deliveredAt";
+  const pending = await Message.find({
+    conversationId,
+    senderId: { $ne: userId },
+    deletedAt: null,
+    createdAt: { $lte: upTo.createdAt },
+    [`${field}.${userId}`]: { $exists: false }
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_RECEIPT_BATCH)
+    .select("_id");
+
+  const ids = pending.map((message) => message._id);
+  const now = new Date();
+
+  if (ids.length > 0) {
+    const update = { $set: { [`${field}.${userId}`]: now } };
+    if (kind === "read") {
+      update.$addToSet = { readBy: userId };
+    }
+    await Message.updateMany({ _id: { $in: ids } }, update);
+
+    // reading implies delivery; backfill without overwriting an earlier delivery time
+    if (kind === "read") {
+      await Message.updateMany(
+        { _id: { $in: ids }, [`deliveredAt.${userId}`]: { $exists: false } },
+        { $set: { [`deliveredAt.${userId}`]: now } }
+      );
+    }
+  }
+
+  if (kind === "read") {
+    const remaining = await Message.countDocuments({
+      conversationId,
+      senderId: { $ne: userId },
+      deletedAt: null,
+      createdAt: { $gt: upTo.createdAt }
+    });
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { [`unreadCounts.${userId}`]: remaining } }
+    );
+  }
+
+  if (ids.length === 0) return [];
+
+  const touched = await Message.find({ _id: { $in: ids } })
+    .select("senderId status readBy deliveredAt readAt")
+    .lean();
+
+  const updates = [];
+  const statusWrites = [];
+  touched.forEach((message) => {
+    const receipts = summarizeReceipts(message, conversation.members);
+    const status = deriveStatus(receipts);
+    if (status !== message.status) {
+      statusWrites.push({
+        updateOne: { filter: { _id: message._id }, update: { $set: { status } } }
+      });
+    }
+    updates.push({
+      messageId: message._id.toString(),
+      senderId: message.senderId,
+      status,
+      receipts
+    });
+  });
+
+  if (statusWrites.length > 0) {
+    await Message.bulkWrite(statusWrites);
+  }
+
+  return updates;
+}
+
+module.exports = {
+  summarizeReceipts,
+  deriveStatus,
+  recordReceipts
+};
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { getAuthConfig } = require("../config/auth");
+const {
+  createTokenError,
+  decodeToken,
+  verifySignature,
+  validateClaims
+} = require("../utils/jwt");
+
+const JWKS_REFRESH_COOLDOWN_MS = 30 * 1000;
+
+let config = null;
+let pemKey = null;
+let warnedUnconfigured = false;
+const jwksCache = {
+  keys: new Map(),
+  fetchedAt: 0,
+  pending: null
+};
+
+// env is loaded by server.js after the middleware modules are required,
+// so read the configuration on first use instead of at import time
+const getConfig = () => {
+  if (!config) {
+    config = getAuthConfig();
+    pemKey = config.publicKey ? crypto.createPublicKey(config.publicKey) : null;
+  }
+  return config;
+};
+
+const fetchJwks = async (jwksUrl) => {
+  const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  const keys = new Map();
+  (body.keys || []).forEach((jwk) => {
+    if (jwk.kid && (!jwk.use || jwk.use === "sig")) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    }
+  });
+  return keys;
+};
+
+const refreshJwks = async ({ jwksUrl }) => {
+  if (!jwksCache.pending) {
+    jwksCache.pending = fetchJwks(jwksUrl)
+      .then((keys) => {
+        jwksCache.keys = keys;
+        jwksCache.fetchedAt = Date.now();
+      })
+      .finally(() => {
+        jwksCache.pending = null;
+      });
+  }
+  await jwksCache.pending;
+};
+
+const getJwksKey = async (kid, authConfig) => {
+  const age = Date.now() - jwksCache.fetchedAt;
+  const isStale = age > authConfig.jwksCacheTtlMs;
+  // an unknown kid usually means Clerk rotated keys; refetch, but not on every bad token
+  const isUnknownKid = !jwksCache.keys.has(kid) && age > JWKS_REFRESH_COOLDOWN_MS;
+
+  if (isStale || isUnknownKid) {
+    try {
+      await refreshJwks(authConfig);
+    } catch (err) {
+      if (jwksCache.keys.size === 0) {
+        const error = new Error("Unable to load signing keys");
+        error.statusCode = 503;
+        throw error;
+      }
+    }
+  }
+
+  return jwksCache.keys.get(kid) || null;
+};
+
+const resolveKey = async (header, authConfig) => {
+  if (header.alg === "HS256") {
+    if (!authConfig.testSecret) {
+      throw createTokenError("Test tokens are disabled");
+    }
+    return authConfig.testSecret;
+  }
+
+  if (pemKey) {
+    return pemKey;
+  }
+
+  if (authConfig.jwksUrl) {
+    const key = await getJwksKey(header.kid, authConfig);
+    if (!key) {
+      throw createTokenError("Unknown signing key");
+    }
+    return key;
+  }
+
+  // nothing can verify this alg; that is the token's problem as far as the caller
+  // is concerned, so it gets the usual 401 rather than a server error it can trigger
+  if (!warnedUnconfigured) {
+    warnedUnconfigured = true;
+    const timestamp = new Date().toISOString();
+    process.stderr.write(`[${timestamp}] Auth: no CLERK_JWT_KEY or CLERK_JWKS_URL set, rejecting every token not signed with HS256\n`);
+  }
+  throw createTokenError(`Unsupported token algorithm: ${header.alg}`);
+};
+
+async function verifySessionToken(token) {
+  const authConfig = getConfig();
+  const decoded = decodeToken(token);
+  const key = await resolveKey(decoded.header, authConfig);
+
+  if (!verifySignature(decoded, key)) {
+    throw createTokenError("Invalid token signature");
+  }
+
+  validateClaims(decoded.payload, authConfig);
+
+  return {
+    userId: decoded.payload.sub,
+    sessionId: decoded.payload.sid || null,
+    claims: decoded.payload
+  };
+}
+
+function extractBearerToken(headerValue) {
+  if (typeof headerValue !== "string") return null;
+  const [scheme, token] = headerValue.trim().split(/\s+/);
+  if (!token || scheme.toLowerCase() !== "bearer") return null;
+  return token;
+}
+
+module.exports = {
+  verifySessionToken,
+  extractBearerToken
+};
@@ -0,0 +1,47 @@
+const { getSocketAdapterConfig } = require("../../config/socketAdapter");
+const { createRedisAdapter } = require("./redisAdapter");
+const { createMongoAdapter } = require("./mongoAdapter");
+
+let activeAdapter = "memory";
+
+const drivers = {
+  redis: createRedisAdapter,
+  mongo: createMongoAdapter
+};
+
+const log = (stream, message) => {
+  const timestamp = new Date().toISOString();
+  stream.write(`[${timestamp}] ${message}\n`);
+};
+
+// installs the configured cluster adapter on `io`. if it can't be set up the
+// server keeps Socket.IO's default in-memory adapter, which only reaches local sockets
+async function attachSocketAdapter(io) {
+  const config = getSocketAdapterConfig();
+  if (config.driver === "memory") {
+    return { name: "memory", close: async () => {} };
+  }
+
+  const factory = drivers[config.driver];
+  if (!factory) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${config.driver}"`);
+  }
+
+  try {
+    const installed = await factory(config);
+    io.adapter(installed.adapter);
+    activeAdapter = installed.name;
+    log(process.stdout, `Socket.IO adapter: ${installed.name}`);
+    return installed;
+  } catch (err) {
+    log(process.stderr, `Socket.IO ${config.driver} adapter unavailable, using in-memory: ${err.message}`);
+    return { name: "memory", close: async () => {} };
+  }
+}
+
+// serverSideEmit only exists when there are other nodes to talk to
+function isClustered() {
+  return activeAdapter !== "memory";
+}
+
+module.exports = { attachSocketAdapter, isClustered };
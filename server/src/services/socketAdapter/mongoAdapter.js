@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+function loadMongoAdapter() {
+  try {
+    return require("@socket.io/mongo-adapter");
+  } catch (err) {
+    throw new Error("SOCKET_ADAPTER=mongo requires the optional @socket.io/mongo-adapter package");
+  }
+}
+
+// nodes exchange packets through a collection they all watch with a change stream
+async function createMongoAdapter({ mongoCollection, mongoEventTtlSec, requestsTimeoutMs }) {
+  const { createAdapter } = loadMongoAdapter();
+  await mongoose.connection.asPromise();
+
+  const collection = mongoose.connection.db.collection(mongoCollection);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: mongoEventTtlSec });
+
+  return {
+    name: "mongo",
+    adapter: createAdapter(collection, {
+      addCreatedAtField: true,
+      requestsTimeout: requestsTimeoutMs
+    }),
+    async close() {}
+  };
+}
+
+module.exports = { createMongoAdapter };
@@ -0,0 +1,34 @@
+function loadRedisPackages() {
+  try {
+    return {
+      redis: require("redis"),
+      adapter: require("@socket.io/redis-adapter")
+    };
+  } catch (err) {
+    throw new Error("SOCKET_ADAPTER=redis requires the optional redis and @socket.io/redis-adapter packages");
+  }
+}
+
+async function createRedisAdapter({ redisUrl, redisKeyPrefix, requestsTimeoutMs }) {
+  if (!redisUrl) {
+    throw new Error("REDIS_URL is required when SOCKET_ADAPTER=redis");
+  }
+
+  const { redis, adapter } = loadRedisPackages();
+  const pubClient = redis.createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    name: "redis",
+    adapter: adapter.createAdapter(pubClient, subClient, {
+      key: redisKeyPrefix,
+      requestsTimeout: requestsTimeoutMs
+    }),
+    async close() {
+      await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+    }
+  };
+}
+
+module.exports = { createRedisAdapter };
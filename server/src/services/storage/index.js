@@ -0,0 +1,26 @@
+const { getUploadConfig } = require("../../config/uploads");
+const { createLocalDriver } = require("./localDriver");
+const { createS3Driver } = require("./s3Driver");
+
+const drivers = {
+  local: (config) => createLocalDriver(config.local),
+  s3: (config) => createS3Driver(config.s3)
+};
+
+let storage = null;
+
+// a driver exposes save({ key, body, contentType, inline }) -> { key, url } and remove(key);
+// files that aren't `inline` must be served as downloads
+function getStorage() {
+  if (!storage) {
+    const config = getUploadConfig();
+    const factory = drivers[config.driver];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${config.driver}"`);
+    }
+    storage = factory(config);
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
@@ -0,0 +1,30 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+function createLocalDriver({ directory, publicUrl }) {
+  const resolveKey = (key) => {
+    const target = path.resolve(directory, key);
+    if (!target.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: "local",
+    directory,
+
+    async save({ key, body }) {
+      const target = resolveKey(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, body);
+      return { key, url: `${publicUrl}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,47 @@
+function loadS3Client() {
+  try {
+    return require("@aws-sdk/client-s3");
+  } catch (err) {
+    throw new Error("STORAGE_DRIVER=s3 requires the optional @aws-sdk/client-s3 package");
+  }
+}
+
+// works with AWS S3 and S3-compatible stores (MinIO, R2, Spaces) via S3_ENDPOINT
+function createS3Driver({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }) {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required when STORAGE_DRIVER=s3");
+  }
+
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = loadS3Client();
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: "s3",
+
+    async save({ key, body, contentType, inline }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentDisposition: inline ? "inline" : "attachment"
+      }));
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+module.exports = { createS3Driver };
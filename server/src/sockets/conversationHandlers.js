@@ -0,0 +1,59 @@
+const ensureConversationAccess = require("../utils/conversationAccess");
+const { conversationRoom } = require("./rooms");
+
+// older clients send the id on its own rather than { conversationId }
+const readConversationId = (payload) =>
+  typeof payload === "string" ? payload : payload?.conversationId;
+
+function registerConversationHandlers(io, socket) {
+  const { userId } = socket.data;
+
+  // only members get a conversation's live events; the ack says why a join was refused
+  socket.on("conversation:join", async (payload, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {};
+    const conversationId = readConversationId(payload);
+
+    if (typeof conversationId !== "string" || !conversationId) {
+      return respond({ ok: false, message: "conversationId is required", statusCode: 400 });
+    }
+
+    try {
+      await ensureConversationAccess(conversationId, userId);
+      socket.join(conversationRoom(conversationId));
+      respond({ ok: true });
+    } catch (err) {
+      respond({
+        ok: false,
+        message: err.statusCode ? err.message : "Unable to join conversation",
+        statusCode: err.statusCode || 500
+      });
+    }
+  });
+
+  socket.on("conversation:leave", (payload, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {};
+    const conversationId = readConversationId(payload);
+
+    if (typeof conversationId === "string" && conversationId) {
+      socket.leave(conversationRoom(conversationId));
+      if (socket.data.focusedConversationId === conversationId) {
+        socket.data.focusedConversationId = null;
+      }
+    }
+    respond({ ok: true });
+  });
+
+  // the conversation this tab shows while it is visible (null when hidden or closed);
+  // push notifications skip users who are already looking at the conversation
+  socket.on("conversation:focus", (payload) => {
+    const conversationId = readConversationId(payload);
+    socket.data.focusedConversationId =
+      typeof conversationId === "string" && socket.rooms.has(conversationRoom(conversationId))
+        ? conversationId
+        : null;
+  });
+}
+
+module.exports = {
+  registerConversationHandlers
+};
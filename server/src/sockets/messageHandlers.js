@@ -0,0 +1,44 @@
+const { createMessage } = require("../services/messages");
+const { consume, createRateLimitError } = require("../services/rateLimit");
+const { getSocketIp } = require("../middleware/socketRateLimit");
+
+function registerMessageHandlers(io, socket) {
+  const { userId } = socket.data;
+  const ip = getSocketIp(socket);
+
+  // persists exactly like POST /api/messages; the broadcast happens inside createMessage
+  socket.on("message:send", async (payload, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {};
+
+    try {
+      // same budget as POST /api/messages, so switching transports doesn't double it
+      const limit = await consume("messages", { userId, ip });
+      if (!limit.allowed) {
+        throw createRateLimitError(limit.retryAfter);
+      }
+
+      const { message, created } = await createMessage({
+        userId,
+        conversationId: payload?.conversationId,
+        text: payload?.text,
+        attachmentIds: payload?.attachmentIds,
+        replyToId: payload?.replyToId,
+        threadRootId: payload?.threadRootId,
+        clientMessageId: payload?.clientMessageId
+      });
+      respond({ ok: true, message, duplicate: !created });
+    } catch (err) {
+      respond({
+        ok: false,
+        message: err.statusCode ? err.message : "Unable to send message",
+        statusCode: err.statusCode || 500,
+        code: err.statusCode ? err.code : undefined,
+        retryAfter: err.retryAfter
+      });
+    }
+  });
+}
+
+module.exports = {
+  registerMessageHandlers
+};
@@ -0,0 +1,48 @@
+const Conversation = require("../models/Conversation");
+const UserProfile = require("../models/UserProfile");
+const presence = require("../services/presence");
+const { userRoom } = require("./rooms");
+
+// everyone who shares at least one conversation with the user
+const findContacts = async (userId) => {
+  const memberIds = await Conversation.distinct("members", { members: userId });
+  return memberIds.filter((id) => id !== userId);
+};
+
+const broadcastPresence = async (io, userId, update) => {
+  const contacts = await findContacts(userId);
+  contacts.forEach((contactId) => {
+    io.to(userRoom(contactId)).emit("presence:update", { userId, ...update });
+  });
+};
+
+const logPresenceError = (err) => {
+  const timestamp = new Date().toISOString();
+  process.stderr.write(`[${timestamp}] Presence update failed: ${err.message}\n`);
+};
+
+function registerPresenceHandlers(io, socket) {
+  const { userId } = socket.data;
+  if (!userId) return;
+
+  // announced on every connect: with several nodes two tabs can come up at once
+  // and neither would see itself as the first. clients treat repeats as no-ops
+  broadcastPresence(io, userId, { online: true, lastSeenAt: null }).catch(logPresenceError);
+
+  socket.on("disconnect", async () => {
+    const lastSeenAt = new Date();
+    try {
+      // by now this socket has left its rooms, so only the user's other tabs are counted
+      if ((await presence.countConnections(io, userId)) > 0) return;
+
+      await UserProfile.updateOne({ clerkUserId: userId }, { $set: { lastSeenAt } });
+      await broadcastPresence(io, userId, { online: false, lastSeenAt });
+    } catch (err) {
+      logPresenceError(err);
+    }
+  });
+}
+
+module.exports = {
+  registerPresenceHandlers
+};
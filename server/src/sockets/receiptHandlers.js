@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const { recordReceipts } = require("../services/receipts");
+const { userRoom, conversationRoom } = require("./rooms");
+
+function registerReceiptHandlers(io, socket) {
+  const { userId } = socket.data;
+
+  const handleReceipt = (kind) => async (payload, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {};
+    const conversationId = payload?.conversationId;
+    const upToMessageId = payload?.upToMessageId;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(conversationId) ||
+      !mongoose.Types.ObjectId.isValid(upToMessageId)
+    ) {
+      return respond({ ok: false, message: "conversationId and upToMessageId are required" });
+    }
+
+    try {
+      const conversation = await Conversation.findOne({ _id: conversationId, members: userId });
+      if (!conversation) {
+        return respond({ ok: false, message: "Conversation not found" });
+      }
+
+      const updates = await recordReceipts({ conversation, userId, upToMessageId, kind });
+      if (updates.length > 0) {
+        io.to(conversationRoom(conversationId)).emit("message:status", { conversationId, updates });
+      }
+      if (kind === "read") {
+        // lets the reader's other tabs clear their unread badge
+        io.to(userRoom(userId)).emit("conversation:update", { conversationId });
+      }
+
+      respond({ ok: true, updated: updates.length });
+    } catch (err) {
+      respond({ ok: false, message: err.statusCode ? err.message : "Unable to record receipt" });
+    }
+  };
+
+  socket.on("message:delivered", handleReceipt("delivered"));
+  socket.on("message:read", handleReceipt("read"));
+}
+
+module.exports = {
+  registerReceiptHandlers
+};
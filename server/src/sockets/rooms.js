@@ -0,0 +1,16 @@
+// room names carry a prefix so a user id can never be passed off as a conversation
+// id (or the other way round) to get into someone else's broadcasts
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+// the adapter applies this on every node, so tabs connected elsewhere leave too
+function evictFromConversation(io, conversationId, userIds) {
+  if (!io || userIds.length === 0) return;
+  io.in(userIds.map(userRoom)).socketsLeave(conversationRoom(conversationId));
+}
+
+module.exports = {
+  userRoom,
+  conversationRoom,
+  evictFromConversation
+};
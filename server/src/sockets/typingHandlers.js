@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const { isClustered } = require("../services/socketAdapter");
+const { getTypingConfig } = require("../config/typing");
+const { conversationRoom } = require("./rooms");
+
+// `${conversationId}:${userId}` -> { socketId, timer }
+const activeTypers = new Map();
+
+const isMember = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return false;
+  const exists = await Conversation.exists({ _id: conversationId, members: userId });
+  return Boolean(exists);
+};
+
+function registerTypingHandlers(io, socket) {
+  const { userId } = socket.data;
+
+  const broadcast = (conversationId, isTyping) => {
+    socket.to(conversationRoom(conversationId)).emit("typing:update", { conversationId, userId, isTyping });
+  };
+
+  const stopTyping = (conversationId) => {
+    const key = `${conversationId}:${userId}`;
+    const entry = activeTypers.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    activeTypers.delete(key);
+    broadcast(conversationId, false);
+  };
+
+  socket.on("typing:start", async (payload) => {
+    const conversationId = payload?.conversationId;
+    if (typeof conversationId !== "string" || !userId) return;
+
+    try {
+      if (!(await isMember(conversationId, userId))) return;
+    } catch (err) {
+      return;
+    }
+
+    const key = `${conversationId}:${userId}`;
+    const existing = activeTypers.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    activeTypers.set(key, {
+      socketId: socket.id,
+      timer: setTimeout(() => stopTyping(conversationId), getTypingConfig().timeoutMs)
+    });
+
+    if (!existing) {
+      broadcast(conversationId, true);
+    }
+  });
+
+  socket.on("typing:stop", (payload) => {
+    const conversationId = payload?.conversationId;
+    if (typeof conversationId !== "string") return;
+    stopTyping(conversationId);
+  });
+
+  socket.on("disconnect", () => {
+    activeTypers.forEach((entry, key) => {
+      if (entry.socketId === socket.id) {
+        stopTyping(key.slice(0, key.indexOf(":")));
+      }
+    });
+  });
+}
+
+const clearLocalTyping = (io, conversationId, userId) => {
+  const key = `${conversationId}:${userId}`;
+  const entry = activeTypers.get(key);
+  if (!entry) return false;
+  clearTimeout(entry.timer);
+  activeTypers.delete(key);
+  io.to(conversationRoom(conversationId)).emit("typing:update", { conversationId, userId, isTyping: false });
+  return true;
+};
+
+// sending a message ends the sender's typing state without waiting for the timeout.
+// the typing timer lives on whichever node took typing:start, which may not be this one
+function clearTyping(io, conversationId, userId) {
+  if (clearLocalTyping(io, conversationId, userId)) return;
+  if (isClustered()) {
+    io.serverSideEmit("typing:clear", { conversationId, userId });
+  }
+}
+
+// called once per server so other nodes can clear typing state held here
+function registerTypingClusterHandlers(io) {
+  io.on("typing:clear", (payload) => {
+    if (payload?.conversationId && payload?.userId) {
+      clearLocalTyping(io, payload.conversationId, payload.userId);
+    }
+  });
+}
+
+module.exports = {
+  registerTypingHandlers,
+  registerTypingClusterHandlers,
+  clearTyping
+};
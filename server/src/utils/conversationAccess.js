@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+
+const ensureConversationAccess = async (conversationId, currentUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    const error = new Error("Invalid conversation id");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    const error = new Error("Conversation not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!conversation.members.includes(currentUserId)) {
+    const error = new Error("Access denied");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return conversation;
+};
+
+module.exports = ensureConversationAccess;
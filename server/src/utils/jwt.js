@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: "sha256", kind: "rsa" },
+  RS384: { hash: "sha384", kind: "rsa" },
+  RS512: { hash: "sha512", kind: "rsa" },
+  ES256: { hash: "sha256", kind: "ec" },
+  ES384: { hash: "sha384", kind: "ec" },
+  HS256: { hash: "sha256", kind: "hmac" }
+};
+
+const createTokenError = (message, code = "INVALID_TOKEN") => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+const base64UrlEncode = (input) =>
+  Buffer.from(typeof input === "string" ? input : JSON.stringify(input)).toString("base64url");
+
+const parseSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (err) {
+    throw createTokenError("Malformed token");
+  }
+};
+
+function decodeToken(token) {
+  if (typeof token !== "string") {
+    throw createTokenError("Malformed token");
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw createTokenError("Malformed token");
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = parseSegment(headerSegment);
+  const payload = parseSegment(payloadSegment);
+
+  if (!header || typeof header !== "object" || !payload || typeof payload !== "object") {
+    throw createTokenError("Malformed token");
+  }
+
+  return {
+    header,
+    payload,
+    signingInput: `${headerSegment}.${payloadSegment}`,
+    signature: Buffer.from(signatureSegment, "base64url")
+  };
+}
+
+function verifySignature({ header, signingInput, signature }, key) {
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw createTokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (algorithm.kind === "hmac") {
+    if (!Buffer.isBuffer(key) && typeof key !== "string") {
+      throw createTokenError("Token algorithm does not match the configured key");
+    }
+    const expected = crypto.createHmac(algorithm.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (!(key instanceof crypto.KeyObject) || key.type !== "public") {
+    throw createTokenError("Token algorithm does not match the configured key");
+  }
+
+  const keyKind = key.asymmetricKeyType === "ec" ? "ec" : "rsa";
+  if (keyKind !== algorithm.kind) {
+    throw createTokenError("Token algorithm does not match the configured key");
+  }
+
+  return crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    algorithm.kind === "ec" ? { key, dsaEncoding: "ieee-p1363" } : key,
+    signature
+  );
+}
+
+function validateClaims(payload, { issuer, audiences, authorizedParties, clockToleranceSec = 5 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== "number" || payload.exp + clockToleranceSec < now) {
+    throw createTokenError("Token expired", "TOKEN_EXPIRED");
+  }
+
+  if (typeof payload.nbf === "number" && payload.nbf - clockToleranceSec > now) {
+    throw createTokenError("Token not yet valid");
+  }
+
+  if (issuer && payload.iss !== issuer) {
+    throw createTokenError("Unexpected token issuer");
+  }
+
+  if (audiences && audiences.length > 0) {
+    const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!tokenAudiences.some((aud) => audiences.includes(aud))) {
+      throw createTokenError("Unexpected token audience");
+    }
+  }
+
+  if (authorizedParties && authorizedParties.length > 0 && payload.azp) {
+    if (!authorizedParties.includes(payload.azp)) {
+      throw createTokenError("Unexpected authorized party");
+    }
+  }
+
+  if (!payload.sub) {
+    throw createTokenError("Token has no subject");
+  }
+}
+
+function signHs256(payload, secret) {
+  const header = { alg: "HS256", typ: "JWT" };
+  const signingInput = `${base64UrlEncode(header)}.${base64UrlEncode(payload)}`;
+  const signature = crypto.createHmac("sha256", secret).update(signingInput).digest("base64url");
+  return `${signingInput}.${signature}`;
+}
+
+module.exports = {
+  createTokenError,
+  decodeToken,
+  verifySignature,
+  validateClaims,
+  signHs256
+};
@@ -0,0 +1,56 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// MongoDB text search stems words, so "meetings" should highlight "meeting"
+const stem = (word) => {
+  const stripped = word.replace(/(ing|ed|es|s)$/i, "");
+  return stripped.length >= 3 ? stripped : word;
+};
+
+// mirrors $text syntax: quoted phrases, plain words, and -negated words (ignored)
+function parseSearchTerms(query) {
+  const terms = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    terms.push(match[1].trim());
+  }
+
+  query
+    .replace(phrasePattern, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .forEach((word) => terms.push(stem(word)));
+
+  return [...new Set(terms.filter(Boolean))];
+}
+
+// returns a window of `text` around the first match plus [start, end) ranges to
+// highlight, so clients can render matches without trusting server-built HTML
+function buildSnippet(text, terms, radius = 60) {
+  if (!text) return { snippet: "", highlights: [] };
+
+  const pattern = terms.length > 0
+    ? new RegExp(terms.map((term) => `\\b${escapeRegExp(term)}\\w*`).join("|"), "gi")
+    : null;
+  const matches = pattern ? [...text.matchAll(pattern)] : [];
+
+  const first = matches[0]?.index ?? 0;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  const highlights = matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .map((m) => [m.index - start + prefix.length, m.index - start + prefix.length + m[0].length]);
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights
+  };
+}
+
+module.exports = {
+  parseSearchTerms,
+  buildSnippet
+};
@@ -0,0 +1,25 @@
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+// "see https://example.com/docs." shouldn't carry the full stop into the link
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+
+// links written in a message, in order of appearance and without duplicates;
+// bare www. hosts are treated as https
+function extractUrls(text) {
+  const seen = new Set();
+  return (text.match(URL_PATTERN) || [])
+    .map((raw) => {
+      const trimmed = raw.replace(TRAILING_PUNCTUATION, "");
+      try {
+        return new URL(trimmed.toLowerCase().startsWith("www.") ? `https://${trimmed}` : trimmed);
+      } catch {
+        return null;
+      }
+    })
+    .filter((url) => {
+      if (!url || seen.has(url.href)) return false;
+      seen.add(url.href);
+      return true;
+    });
+}
+
+module.exports = { extractUrls };